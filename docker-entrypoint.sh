@@ -0,0 +1,12 @@
+#!/bin/sh
+set -e
+
+# Docker creates a missing ./data bind mount owned by root, which the
+# nodejs user can't write to. Fix ownership, then drop privileges.
+if [ "$(id -u)" = '0' ]; then
+  mkdir -p /usr/src/app/data
+  chown -R nodejs:nodejs /usr/src/app/data
+  exec su-exec nodejs "$@"
+fi
+
+exec "$@"
@@ -3,6 +3,7 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import axios from 'axios';
 import crypto from 'crypto';
+import fs from 'fs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -25,6 +26,10 @@ if (!SERVER_URL) {
   }
 }
 
+// Upstream APIs, overridable so the test suite can point them at local stand-ins
+const TRAKT_API_URL = process.env.TRAKT_API_URL || 'https://api.trakt.tv';
+const TMDB_API_URL = process.env.TMDB_API_URL || 'https://api.themoviedb.org';
+
 // ============================================
 // CDN Configuration
 // ============================================
@@ -58,22 +63,80 @@ app.options('*', (req, res) => {
 app.use(express.json());
 app.use(express.static('public'));
 
+// Serverless deployments have no queue poller; any request gives due retries a chance to run
+app.use((req, res, next) => {
+  pokeActionQueue();
+  next();
+});
+
 // Store OAuth states and pending requests
 const oauthStates = new Map();
 const pendingRequests = new Map();
 
-// Cache for TMDB and Trakt data
+// Shared TMDB metadata (titles, genres, episode air dates), kept in least-recently-used order
 const tmdbCache = new Map();
+const METADATA_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const METADATA_MISS_TTL = 60 * 60 * 1000; // 1 hour for ids TMDB doesn't know
+const METADATA_CACHE_MAX_ENTRIES = parseInt(process.env.METADATA_CACHE_MAX_ENTRIES) || 2000;
+
+// Cache for Trakt stats
 const traktStatsCache = new Map();
 const CACHE_TTL = 30 * 60 * 1000; // 30 minutes
 
-// Cache for Upstash tokens
-const upstashTokenCache = new Map();
-const UPSTASH_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+// Cache for show season/episode structure (/shows/:id/seasons?extended=episodes)
+const showSeasonsCache = new Map();
+
+// Cache for release / first-aired dates used by "watched at release" marks
+const releaseDateCache = new Map();
+
+// Cache for community comments (most liked first)
+const traktCommentsCache = new Map();
+const COMMENTS_CACHE_TTL = 30 * 60 * 1000; // 30 minutes
+
+// Trakt-confirmed username per access token, keyed by a SHA-256 of the token
+const verifiedUsersCache = new Map();
+const VERIFIED_USER_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const VERIFIED_USER_CACHE_MAX_ENTRIES = 5000;
+
+// Cache for stored tokens (Upstash / server storage), keyed by configId
+const tokenCache = new Map();
+const TOKEN_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Per-user caches below keep their most recently used entries, so a public instance
+// only holds its active users; full-list downloads in flight are shared per user + list
+const USER_CACHE_MAX_ENTRIES = parseInt(process.env.USER_CACHE_MAX_ENTRIES) || 1000;
+const pendingUserDownloads = new Map();
+
+// Per-user ratings index, refreshed when /sync/last_activities changes
+const ratingsIndexes = new Map();
+
+// Per-user watched index (plays + last watched), refreshed the same way
+const watchedIndexes = new Map();
+
+// Per-user watchlist membership (listed_at), refreshed on watchlist activity
+const watchlistIndexes = new Map();
+
+// Per-user personal list membership, refreshed on list activity
+const listIndexes = new Map();
+const LIST_INDEX_TTL = 15 * 60 * 1000; // 15 minutes, when Trakt gives no list activity timestamp
+
+// Per-user show progress (/shows/:id/progress/watched), dropped after our own history writes
+const showProgressCache = new Map();
+const SHOW_PROGRESS_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
-// Cache for user ratings
-const userRatingCache = new Map();
-const USER_RATING_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+// Cache for /sync/last_activities
+const lastActivitiesCache = new Map();
+const LAST_ACTIVITIES_CACHE_TTL = 60 * 1000; // 1 minute
+
+// Cache for active check-ins (/users/me/watching)
+const checkinCache = new Map();
+const CHECKIN_CACHE_TTL = 60 * 1000; // 1 minute
+
+// Cache for watchlist catalogs
+const watchlistCatalogCache = new Map();
+const WATCHLIST_CATALOG_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+// Trakt paging in progress per catalog buffer
+const watchlistCatalogFetches = new Map();
 
 // ============================================
 // Upstash Redis Helper Functions
@@ -121,6 +184,40 @@ async function upstashGet(upstashUrl, upstashToken, key) {
   }
 }
 
+async function upstashDel(upstashUrl, upstashToken, key) {
+  try {
+    const response = await axios.get(`${upstashUrl}/del/${key}`, {
+      headers: {
+        'Authorization': `Bearer ${upstashToken}`,
+        'Accept': 'application/json'
+      },
+      timeout: 10000
+    });
+    return response.data.result;
+  } catch (error) {
+    console.error('Upstash del error:', error.message);
+    throw error;
+  }
+}
+
+// Any other Redis command through the REST API, arguments as path segments
+async function upstashCommand(upstashUrl, upstashToken, ...args) {
+  try {
+    const path = args.map(arg => encodeURIComponent(arg)).join('/');
+    const response = await axios.get(`${upstashUrl}/${path}`, {
+      headers: {
+        'Authorization': `Bearer ${upstashToken}`,
+        'Accept': 'application/json'
+      },
+      timeout: 10000
+    });
+    return response.data.result;
+  } catch (error) {
+    console.error(`Upstash ${args[0]} error:`, error.message);
+    throw error;
+  }
+}
+
 // Test Upstash connection
 async function testUpstashConnection(upstashUrl, upstashToken) {
   try {
@@ -134,14 +231,342 @@ async function testUpstashConnection(upstashUrl, upstashToken) {
   }
 }
 
+// ============================================
+// Storage Backends (tokens and per-config data)
+// ============================================
+
+// Every backend implements: get(key) -> string|null, set(key, value, ttlSeconds), del(key),
+// plus what the action queue needs to share work between instances:
+// claim(key, ttlSeconds) -> true only for the first caller (SET NX), and the list
+// operations push(key, value, ttlSeconds), range(key) -> string[], remove(key, value)
+const TOKEN_TTL_SECONDS = 90 * 24 * 60 * 60; // 90 days
+
+function createUpstashStorage(upstashUrl, upstashToken) {
+  return {
+    name: 'upstash',
+    get: (key) => upstashGet(upstashUrl, upstashToken, key),
+    set: (key, value, ttlSeconds) => upstashSet(upstashUrl, upstashToken, key, value, ttlSeconds),
+    del: (key) => upstashDel(upstashUrl, upstashToken, key),
+    async claim(key, ttlSeconds) {
+      return (await upstashCommand(upstashUrl, upstashToken, 'set', key, '1', 'NX', 'EX', ttlSeconds)) === 'OK';
+    },
+    async push(key, value, ttlSeconds) {
+      await upstashCommand(upstashUrl, upstashToken, 'rpush', key, value);
+      if (ttlSeconds) await upstashCommand(upstashUrl, upstashToken, 'expire', key, ttlSeconds);
+    },
+    async range(key) {
+      return (await upstashCommand(upstashUrl, upstashToken, 'lrange', key, 0, -1)) || [];
+    },
+    remove: (key, value) => upstashCommand(upstashUrl, upstashToken, 'lrem', key, 0, value)
+  };
+}
+
+// Plain Redis server (REDIS_URL), client loaded lazily so other deployments don't need it
+function createRedisStorage(redisUrl) {
+  let clientPromise = null;
+
+  function getClient() {
+    if (!clientPromise) {
+      clientPromise = (async () => {
+        const { createClient } = await import('redis');
+        const client = createClient({ url: redisUrl });
+        client.on('error', (error) => console.error('Redis error:', error.message));
+        await client.connect();
+        console.log('[STORAGE] Connected to Redis');
+        return client;
+      })().catch((error) => {
+        clientPromise = null;
+        throw error;
+      });
+    }
+    return clientPromise;
+  }
+
+  return {
+    name: 'redis',
+    async get(key) {
+      const client = await getClient();
+      return client.get(key);
+    },
+    async set(key, value, ttlSeconds) {
+      const client = await getClient();
+      return ttlSeconds ? client.set(key, value, { EX: ttlSeconds }) : client.set(key, value);
+    },
+    async del(key) {
+      const client = await getClient();
+      return client.del(key);
+    },
+    async claim(key, ttlSeconds) {
+      const client = await getClient();
+      return (await client.set(key, '1', { NX: true, EX: ttlSeconds })) === 'OK';
+    },
+    async push(key, value, ttlSeconds) {
+      const client = await getClient();
+      await client.rPush(key, value);
+      if (ttlSeconds) await client.expire(key, ttlSeconds);
+    },
+    async range(key) {
+      const client = await getClient();
+      return client.lRange(key, 0, -1);
+    },
+    async remove(key, value) {
+      const client = await getClient();
+      return client.lRem(key, 0, value);
+    }
+  };
+}
+
+// JSON file on a mounted volume (e.g. ./data in docker-compose)
+function createFileStorage(filePath) {
+  let loading = null;
+  let writeChain = Promise.resolve();
+
+  function load() {
+    if (!loading) {
+      loading = fs.promises.readFile(filePath, 'utf8')
+        .then((contents) => JSON.parse(contents))
+        .catch((error) => {
+          if (error.code !== 'ENOENT') {
+            console.error(`[STORAGE] Could not read ${filePath}: ${error.message}`);
+          }
+          return {};
+        });
+    }
+    return loading;
+  }
+
+  // Writes are serialized and go through a temp file so a crash never leaves half a file
+  async function save(entries) {
+    writeChain = writeChain.then(async () => {
+      await fs.promises.mkdir(dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(entries));
+      await fs.promises.rename(tempPath, filePath);
+    });
+    return writeChain;
+  }
+
+  return {
+    name: 'file',
+    async get(key) {
+      const entries = await load();
+      const entry = entries[key];
+      if (!entry) return null;
+      if (entry.expiresAt && entry.expiresAt < Date.now()) {
+        delete entries[key];
+        await save(entries);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlSeconds) {
+      const entries = await load();
+      entries[key] = {
+        value,
+        expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+      };
+      await save(entries);
+      return 'OK';
+    },
+    async del(key) {
+      const entries = await load();
+      delete entries[key];
+      await save(entries);
+      return 1;
+    },
+    // One process owns the file, so plain read-modify-write is atomic enough here
+    async claim(key, ttlSeconds) {
+      if (await this.get(key) !== null) return false;
+      await this.set(key, '1', ttlSeconds);
+      return true;
+    },
+    async push(key, value, ttlSeconds) {
+      const list = (await this.get(key)) || [];
+      await this.set(key, [...list, value], ttlSeconds);
+    },
+    async range(key) {
+      return (await this.get(key)) || [];
+    },
+    async remove(key, value) {
+      const entries = await load();
+      if (Array.isArray(entries[key]?.value)) {
+        entries[key].value = entries[key].value.filter(item => item !== value);
+        await save(entries);
+      }
+    }
+  };
+}
+
+// Process-local fallback for per-config data when no persistent backend exists (lost on restart)
+function createMemoryStorage() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt && entry.expiresAt < Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlSeconds) {
+      entries.set(key, {
+        value,
+        expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+      });
+      return 'OK';
+    },
+    async del(key) {
+      entries.delete(key);
+      return 1;
+    },
+    async claim(key, ttlSeconds) {
+      if (await this.get(key) !== null) return false;
+      await this.set(key, '1', ttlSeconds);
+      return true;
+    },
+    async push(key, value, ttlSeconds) {
+      const list = (await this.get(key)) || [];
+      await this.set(key, [...list, value], ttlSeconds);
+    },
+    async range(key) {
+      return (await this.get(key)) || [];
+    },
+    async remove(key, value) {
+      const entry = entries.get(key);
+      if (Array.isArray(entry?.value)) {
+        entry.value = entry.value.filter(item => item !== value);
+      }
+    }
+  };
+}
+
+const memoryStorage = createMemoryStorage();
+
+// Server-wide backend chosen by STORAGE_BACKEND (file | redis | upstash)
+let serverStorage;
+
+function getServerStorage() {
+  if (serverStorage !== undefined) {
+    return serverStorage;
+  }
+
+  const backend = (process.env.STORAGE_BACKEND || '').toLowerCase();
+
+  if (backend === 'file') {
+    const filePath = process.env.STORAGE_FILE || join(__dirname, 'data', 'storage.json');
+    serverStorage = createFileStorage(filePath);
+    console.log(`[STORAGE] Using file storage: ${filePath}`);
+  } else if (backend === 'redis' && process.env.REDIS_URL) {
+    serverStorage = createRedisStorage(process.env.REDIS_URL);
+    console.log(`[STORAGE] Using Redis storage`);
+  } else if (backend === 'upstash' && process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN) {
+    serverStorage = createUpstashStorage(process.env.UPSTASH_REDIS_REST_URL, process.env.UPSTASH_REDIS_REST_TOKEN);
+    console.log(`[STORAGE] Using Upstash storage from environment`);
+  } else {
+    if (backend) {
+      console.error(`[STORAGE] STORAGE_BACKEND=${backend} is missing its settings, server storage disabled`);
+    }
+    serverStorage = null;
+  }
+
+  return serverStorage;
+}
+
+// Logged once: every request for such a config would otherwise repeat it
+let upstashFallbackWarned = false;
+
+// Backend for a config: the user's own Upstash credentials, otherwise the server backend
+function getStorageForConfig(userConfig) {
+  if (userConfig.storage === 'upstash' && userConfig.upstashUrl && userConfig.upstashToken) {
+    return createUpstashStorage(userConfig.upstashUrl, userConfig.upstashToken);
+  }
+  if (userConfig.storage === 'upstash' && !upstashFallbackWarned) {
+    upstashFallbackWarned = true;
+    const storage = getServerStorage();
+    console.error(`[STORAGE] Config uses Upstash storage without Upstash credentials, falling back to ${storage ? `server storage (${storage.name})` : 'the tokens in the config'}`);
+  }
+  if (userConfig.storage === 'server' || userConfig.storage === 'upstash') {
+    return getServerStorage();
+  }
+  return null;
+}
+
+function usesStoredTokens(userConfig) {
+  return userConfig.storage === 'upstash' || userConfig.storage === 'server';
+}
+
+// ============================================
+// Config Encryption (AES-256-GCM)
+// ============================================
+
+// CONFIG_SECRET seals new configs; CONFIG_SECRET_PREVIOUS (comma separated) keeps rotated-out keys readable
+const ENCRYPTED_CONFIG_PREFIX = 'enc1';
+
+function deriveConfigKey(secret) {
+  const key = crypto.createHash('sha256').update(secret).digest();
+  const keyId = crypto.createHash('sha256').update(key).digest('hex').substring(0, 8);
+  return { key, keyId };
+}
+
+const currentConfigKey = process.env.CONFIG_SECRET ? deriveConfigKey(process.env.CONFIG_SECRET) : null;
+const previousConfigKeys = (process.env.CONFIG_SECRET_PREVIOUS || '')
+  .split(',')
+  .map(secret => secret.trim())
+  .filter(Boolean)
+  .map(deriveConfigKey);
+
+function isConfigEncryptionEnabled() {
+  return currentConfigKey !== null;
+}
+
+function isEncryptedConfig(configString) {
+  return configString.startsWith(`${ENCRYPTED_CONFIG_PREFIX}.`);
+}
+
+// Format: enc1.<keyId>.<base64url(iv | auth tag | ciphertext)>
+function encryptConfigString(jsonStr) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', currentConfigKey.key, iv);
+  const ciphertext = Buffer.concat([cipher.update(jsonStr, 'utf8'), cipher.final()]);
+  const payload = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+  return `${ENCRYPTED_CONFIG_PREFIX}.${currentConfigKey.keyId}.${payload}`;
+}
+
+function decryptConfigString(configString) {
+  const [, keyId, payload] = configString.split('.');
+  const configKey = [currentConfigKey, ...previousConfigKeys].find(candidate => candidate && candidate.keyId === keyId);
+  if (!configKey) {
+    throw new Error(`No CONFIG_SECRET matches key ${keyId}`);
+  }
+
+  const data = Buffer.from(payload, 'base64url');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', configKey.key, data.subarray(0, 12));
+  decipher.setAuthTag(data.subarray(12, 28));
+  return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8');
+}
+
+// Plain base64 configs and ones sealed with a retired key should be swapped for a fresh URL
+function configNeedsReissue(configString) {
+  if (!isConfigEncryptionEnabled()) return false;
+  if (!isEncryptedConfig(configString)) return true;
+  return configString.split('.')[1] !== currentConfigKey.keyId;
+}
+
 // ============================================
 // Helper Functions
 // ============================================
 
-// Base64 helpers
+// Config string helpers: encrypted when CONFIG_SECRET is set, plain base64url otherwise
 function encodeConfig(config) {
   try {
     const jsonStr = JSON.stringify(config);
+    if (isConfigEncryptionEnabled()) {
+      return encryptConfigString(jsonStr);
+    }
     return Buffer.from(jsonStr).toString('base64')
       .replace(/\+/g, '-')
       .replace(/\//g, '_')
@@ -154,6 +579,11 @@ function encodeConfig(config) {
 
 function decodeConfig(configString) {
   try {
+    if (isEncryptedConfig(configString)) {
+      return JSON.parse(decryptConfigString(configString));
+    }
+
+    // Plain configs from before encryption still work until they are re-issued
     let base64 = configString.replace(/-/g, '+').replace(/_/g, '/');
     while (base64.length % 4 !== 0) {
       base64 += '=';
@@ -169,7 +599,7 @@ function decodeConfig(configString) {
 // Parse Stremio ID
 function parseStremioId(id, type) {
   if (type === 'movie' && id.startsWith('tt')) {
-    return { imdbId: id };
+    return { imdbId: id, season: null, episode: null };
   }
 
   if (type === 'series') {
@@ -183,289 +613,1962 @@ function parseStremioId(id, type) {
         };
       }
     } else if (id.startsWith('tt')) {
-      return { imdbId: id };
+      return { imdbId: id, season: null, episode: null };
     }
   }
 
   return null;
 }
 
-// Get media emoji
-function getMediaEmoji(type, title = '') {
-  if (type === 'movie') {
-    return '🎬';
-  } else if (type === 'series') {
-    const lowerTitle = title.toLowerCase();
-    const animeKeywords = ['attack on titan', 'demon slayer', 'naruto', 'one piece',
-                          'dragon ball', 'my hero academia', 'bleach', 'hunter x hunter'];
-    const animationKeywords = ['rick and morty', 'south park', 'family guy', 'simpsons'];
-    const docKeywords = ['planet earth', 'cosmos', 'blue planet', 'documentary'];
-
-    if (animeKeywords.some(keyword => lowerTitle.includes(keyword))) return '🐉';
-    else if (animationKeywords.some(keyword => lowerTitle.includes(keyword))) return '🎨';
-    else if (docKeywords.some(keyword => lowerTitle.includes(keyword))) return '📽️';
-    else return '📺';
-  }
-  return '🎬';
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token || '')).digest('hex');
 }
 
-// ============================================
-// Number Formatting Helper
-// ============================================
-
-function formatNumber(num) {
-  if (num >= 1000000) {
-    return (num / 1000000).toFixed(1).replace(/\.0$/, '') + 'M';
+// Stable per-user key for caches, the action log and queued jobs: the username Trakt
+// confirmed for this token (verifyAccountIdentity), else a hash of the token itself.
+// Never configId or username from the config, which are whatever the URL says.
+function getUserCacheKey(userConfig) {
+  const tokenHash = hashToken(userConfig.access_token);
+  const verified = verifiedUsersCache.get(tokenHash);
+  if (verified?.username) {
+    return `user_${verified.username}`;
   }
-  if (num >= 1000) {
-    return (num / 1000).toFixed(1).replace(/\.0$/, '') + 'k';
-  }
-  return num.toString();
-}
-
-// ============================================
-// Stat Emoji Mapping
-// ============================================
-
-function getStatEmoji(stat) {
-  const emojiMap = {
-    'watchers': '👁️',
-    'plays': '▶️',
-    'comments': '💬',
-    'lists': '📋',
-    'collectors': '⭐',
-    'votes': '👍',
-    'rating': '⭐'
-  };
-  return emojiMap[stat] || '📊';
-}
-
-// ============================================
-// Stat Display Name Mapping
-// ============================================
-
-function getStatDisplayName(stat, value) {
-  const displayMap = {
-    'watchers': value === 1 ? 'watcher' : 'watchers',
-    'plays': value === 1 ? 'play' : 'plays',
-    'comments': value === 1 ? 'comment' : 'comments',
-    'lists': value === 1 ? 'list' : 'lists',
-    'collectors': value === 1 ? 'collector' : 'collectors',
-    'votes': value === 1 ? 'vote' : 'votes',
-    'rating': 'rating'
-  };
-  return displayMap[stat] || stat;
+  return `token_${tokenHash.substring(0, 32)}`;
 }
 
-// ============================================
-// Trakt Stats Fetcher
-// ============================================
-
-async function fetchTraktStats(imdbId, type, clientId) {
-  const cacheKey = `${imdbId}_${type}_stats`;
-  const now = Date.now();
+// Asks Trakt whose token this is (/users/settings, cached per token). Returns false
+// when Trakt rejects the token; network errors aren't cached and key by token hash.
+async function verifyAccountIdentity(userConfig) {
+  if (!userConfig?.access_token) return false;
 
-  // Check cache
-  const cached = traktStatsCache.get(cacheKey);
-  if (cached && (now - cached.timestamp) < CACHE_TTL) {
-    console.log(`[TRAKT STATS] Using cached stats for ${imdbId}`);
-    return cached.stats;
+  const tokenHash = hashToken(userConfig.access_token);
+  const cached = verifiedUsersCache.get(tokenHash);
+  if (cached && (Date.now() - cached.timestamp) < VERIFIED_USER_CACHE_TTL) {
+    return cached.valid;
   }
 
   try {
-    console.log(`[TRAKT STATS] Fetching stats for ${imdbId} (${type})`);
-
-    const mediaType = type === 'movie' ? 'movies' : 'shows';
-    const url = `https://api.trakt.tv/${mediaType}/${imdbId}/stats`;
-
-    const response = await fetch(url, {
+    const response = await fetch(`${TRAKT_API_URL}/users/settings`, {
       headers: {
         'Content-Type': 'application/json',
+        'Authorization': `Bearer ${userConfig.access_token}`,
         'trakt-api-version': '2',
-        'trakt-api-key': clientId
+        'trakt-api-key': userConfig.clientId
       }
     });
 
-    if (!response.ok) {
-      console.log(`[TRAKT STATS] Failed: ${response.status}`);
-      return null;
+    if (!response.ok && response.status !== 401 && response.status !== 403) {
+      console.log(`[IDENTITY] Trakt settings lookup failed: ${response.status}`);
+      return true;
     }
 
-    const stats = await response.json();
-
-    // Cache the result
-    traktStatsCache.set(cacheKey, {
-      stats: stats,
-      timestamp: now
-    });
-
-    console.log(`[TRAKT STATS] Found:`, stats);
-    return stats;
-
+    const settings = response.ok ? await response.json() : null;
+    const entry = {
+      username: settings?.user?.username || null,
+      valid: response.ok,
+      timestamp: Date.now()
+    };
+    verifiedUsersCache.delete(tokenHash);
+    verifiedUsersCache.set(tokenHash, entry);
+    while (verifiedUsersCache.size > VERIFIED_USER_CACHE_MAX_ENTRIES) {
+      verifiedUsersCache.delete(verifiedUsersCache.keys().next().value);
+    }
+    return entry.valid;
   } catch (error) {
-    console.error(`[TRAKT STATS] Error: ${error.message}`);
-    return null;
+    console.error(`[IDENTITY] Error: ${error.message}`);
+    return true;
+  }
+}
+
+// Index key for per-user lookups (movie/show IMDb id, or IMDb id + season/episode)
+function getMediaIndexKey(imdbId, season = null, episode = null) {
+  if (season !== null && episode !== null) {
+    return `${imdbId}:${parseInt(season)}:${parseInt(episode)}`;
+  }
+  if (season !== null) {
+    return `${imdbId}:${parseInt(season)}`;
   }
+  return imdbId;
 }
 
 // ============================================
-// Get User Rating Function (FIXED VERSION)
+// Media Genres & Emoji
 // ============================================
 
-async function getUserRating(imdbId, type, accessToken, clientId, season = null, episode = null) {
-  const cacheKey = `${imdbId}_${type}_${season || ''}_${episode || ''}_${accessToken.substring(0, 10)}`;
-  const now = Date.now();
+// TMDB genre ids (movie and TV lists) as Trakt genre slugs, so both sources
+// classify the same way
+const TMDB_GENRE_SLUGS = {
+  28: 'action',
+  12: 'adventure',
+  16: 'animation',
+  35: 'comedy',
+  80: 'crime',
+  99: 'documentary',
+  18: 'drama',
+  10751: 'family',
+  14: 'fantasy',
+  36: 'history',
+  27: 'horror',
+  10402: 'music',
+  9648: 'mystery',
+  10749: 'romance',
+  878: 'science-fiction',
+  53: 'thriller',
+  10752: 'war',
+  37: 'western',
+  10759: 'action',
+  10762: 'kids',
+  10763: 'news',
+  10764: 'reality',
+  10765: 'science-fiction',
+  10766: 'soap',
+  10767: 'talk',
+  10768: 'war'
+};
+
+// First match wins, so the more telling genres come first
+const DEFAULT_GENRE_EMOJI = {
+  anime: '🐉',
+  animation: '🎨',
+  documentary: '📽️',
+  horror: '👻',
+  'science-fiction': '🚀',
+  fantasy: '🧙',
+  comedy: '😂',
+  romance: '💘',
+  thriller: '🔪',
+  crime: '🕵️',
+  war: '🎖️',
+  western: '🤠',
+  music: '🎵',
+  kids: '🧸',
+  family: '👪',
+  reality: '🎤',
+  news: '📰',
+  action: '💥',
+  adventure: '🗺️',
+  mystery: '🔍',
+  history: '🏛️',
+  drama: '🎭'
+};
+
+// Trakt genres share the metadata cache (and its size limit) with TMDB entries
+function getMediaGenresKey(type, imdbId) {
+  return `genres:${type === 'movie' ? 'movie' : 'tv'}:${imdbId}`;
+}
 
-  // Check cache
-  const cached = userRatingCache.get(cacheKey);
-  if (cached && (now - cached.timestamp) < USER_RATING_CACHE_TTL) {
-    console.log(`[USER RATING] Using cached rating for ${imdbId}`);
-    return cached.rating;
+// Animation from Japan counts as anime (Trakt tags it directly)
+function normalizeGenres(genres, isJapanese = false) {
+  const slugs = new Set(genres);
+  if (isJapanese && slugs.has('animation')) {
+    slugs.add('anime');
   }
+  return [...slugs];
+}
 
-  try {
-    console.log(`[USER RATING] Fetching user rating for ${imdbId} (${type})`);
-
-    let url;
-    let responseData;
+// Genres from a TMDB /find result (movie_results[0] or tv_results[0])
+function getTmdbGenres(result) {
+  const genres = (result?.genre_ids || []).map(id => TMDB_GENRE_SLUGS[id]).filter(Boolean);
+  const isJapanese = result?.original_language === 'ja' || (result?.origin_country || []).includes('JP');
+  return normalizeGenres(genres, isJapanese);
+}
 
-    if (type === 'movie') {
-      // Get ALL movie ratings and filter
-      url = 'https://api.trakt.tv/sync/ratings/movies';
-      const response = await fetch(url, {
+// Trakt genres for items TMDB had none for. Items Trakt doesn't know are
+// remembered as misses like TMDB ones.
+async function loadMediaGenres(imdbId, type, userConfig) {
+  return getCachedMetadata(getMediaGenresKey(type, imdbId), async () => {
+    try {
+      const mediaType = type === 'movie' ? 'movies' : 'shows';
+      const response = await fetch(`${TRAKT_API_URL}/${mediaType}/${imdbId}?extended=full`, {
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${accessToken}`,
           'trakt-api-version': '2',
-          'trakt-api-key': clientId
+          'trakt-api-key': userConfig.clientId
         }
       });
 
+      if (response.status === 404) {
+        return null;
+      }
       if (!response.ok) {
-        console.log(`[USER RATING] Failed: ${response.status}`);
-        return 0;
+        console.log(`[GENRES] Trakt lookup failed: ${response.status}`);
+        return undefined;
       }
 
-      const ratings = await response.json();
+      const summary = await response.json();
+      console.log(`[GENRES] ${imdbId}: ${(summary.genres || []).join(', ') || 'none'} via Trakt`);
+      return normalizeGenres(summary.genres || [], summary.country === 'jp');
+    } catch (error) {
+      console.error(`[GENRES] Error: ${error.message}`);
+      return undefined;
+    }
+  });
+}
 
-      // Find the specific movie by IMDb ID
-      const movieRating = ratings.find(item =>
-        item.movie && item.movie.ids && item.movie.ids.imdb === imdbId
-      );
+// Genres already in the metadata cache: TMDB's first, then Trakt's
+function getCachedGenres(type, imdbId) {
+  const mediaType = type === 'movie' ? 'movie' : 'tv';
+  const tmdbGenres = tmdbCache.get(`${mediaType}:${imdbId}`)?.metadata?.genres;
+  if (tmdbGenres?.length) {
+    return tmdbGenres;
+  }
+  return tmdbCache.get(getMediaGenresKey(type, imdbId))?.metadata || null;
+}
 
-      if (movieRating) {
-        console.log(`[USER RATING] Found specific rating: ${movieRating.rating}/10 for ${imdbId}`);
-        userRatingCache.set(cacheKey, {
-          rating: movieRating.rating,
-          timestamp: now
-        });
-        return movieRating.rating;
-      } else {
-        console.log(`[USER RATING] No rating found for movie ${imdbId}`);
-        userRatingCache.set(cacheKey, {
-          rating: 0,
-          timestamp: now
-        });
-        return 0;
-      }
+// Emoji for the item's most telling genre; user picks (config.genreEmoji)
+// override the defaults. 🎬 / 📺 when no genre is known.
+function getMediaEmoji(type, imdbId = null, userConfig = null) {
+  const fallback = type === 'movie' ? '🎬' : '📺';
+  const genres = imdbId ? getCachedGenres(type, imdbId) : null;
+  if (!genres) {
+    return fallback;
+  }
 
-    } else if (type === 'series') {
-      if (season !== null && episode !== null) {
-        // For episodes, get ALL episode ratings and filter
-        url = 'https://api.trakt.tv/sync/ratings/episodes';
-        const response = await fetch(url, {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${accessToken}`,
-            'trakt-api-version': '2',
-            'trakt-api-key': clientId
-          }
-        });
+  const emojiMap = { ...DEFAULT_GENRE_EMOJI, ...(userConfig?.genreEmoji || {}) };
+  const genre = Object.keys(emojiMap).find(slug => genres.includes(slug) && emojiMap[slug]);
+  return genre ? emojiMap[genre] : fallback;
+}
 
-        if (!response.ok) {
-          console.log(`[USER RATING] Failed: ${response.status}`);
-          return 0;
+// ============================================
+// Shared Metadata (TMDB)
+// ============================================
+
+// Titles, genres and air dates aren't user-specific, so every user shares one
+// cache no matter whose TMDB key filled it. METADATA_CACHE_PERSIST=true also
+// keeps entries in a Redis or Upstash backend so they survive restarts; those
+// expire keys natively, while the file backend would grow with every id and
+// rewrite the whole file per lookup, so it isn't used for this.
+const METADATA_STORAGE_PREFIX = 'metadata:';
+
+// Lookups on their way, so a burst of stream requests makes a single TMDB call
+const metadataLookups = new Map();
+
+let metadataStorageWarned = false;
+
+function getMetadataStorage() {
+  if (process.env.METADATA_CACHE_PERSIST !== 'true') return null;
+
+  const storage = getServerStorage();
+  if (storage && (storage.name === 'redis' || storage.name === 'upstash')) {
+    return storage;
+  }
+  if (!metadataStorageWarned) {
+    metadataStorageWarned = true;
+    console.error(`[METADATA] METADATA_CACHE_PERSIST needs STORAGE_BACKEND=redis or upstash (got ${storage ? storage.name : 'none'}), keeping metadata in memory`);
+  }
+  return null;
+}
+
+function isMetadataFresh(entry) {
+  const ttl = entry.metadata ? METADATA_CACHE_TTL : METADATA_MISS_TTL;
+  return (Date.now() - entry.timestamp) < ttl;
+}
+
+// Re-inserting moves the key to the end, so the first key is always the least recently used
+function rememberMetadata(key, metadata, timestamp = Date.now()) {
+  tmdbCache.delete(key);
+  tmdbCache.set(key, { metadata, timestamp });
+  while (tmdbCache.size > METADATA_CACHE_MAX_ENTRIES) {
+    tmdbCache.delete(tmdbCache.keys().next().value);
+  }
+}
+
+// Memory first, then the storage backend, then lookup(). lookup returns null
+// for "not on TMDB" (cached briefly) and undefined when the call failed (not cached).
+async function getCachedMetadata(key, lookup) {
+  const cached = tmdbCache.get(key);
+  if (cached && isMetadataFresh(cached)) {
+    rememberMetadata(key, cached.metadata, cached.timestamp);
+    return cached.metadata;
+  }
+
+  if (metadataLookups.has(key)) {
+    return metadataLookups.get(key);
+  }
+
+  const pending = (async () => {
+    const storage = getMetadataStorage();
+    const storageKey = `${METADATA_STORAGE_PREFIX}${key}`;
+
+    if (storage) {
+      try {
+        const stored = await storage.get(storageKey);
+        const entry = typeof stored === 'string' ? JSON.parse(stored) : stored;
+        if (entry && isMetadataFresh(entry)) {
+          rememberMetadata(key, entry.metadata, entry.timestamp);
+          return entry.metadata;
+        }
+      } catch (error) {
+        console.error(`[METADATA] Storage read failed for ${key}: ${error.message}`);
+      }
+    }
+
+    const metadata = await lookup();
+    if (metadata === undefined) {
+      // Stale data beats nothing while TMDB is unreachable
+      return cached ? cached.metadata : null;
+    }
+
+    const entry = { metadata, timestamp: Date.now() };
+    rememberMetadata(key, metadata, entry.timestamp);
+
+    if (storage) {
+      const ttlSeconds = Math.round((metadata ? METADATA_CACHE_TTL : METADATA_MISS_TTL) / 1000);
+      try {
+        await storage.set(storageKey, JSON.stringify(entry), ttlSeconds);
+      } catch (error) {
+        console.error(`[METADATA] Storage write failed for ${key}: ${error.message}`);
+      }
+    }
+
+    return metadata;
+  })().finally(() => metadataLookups.delete(key));
+
+  metadataLookups.set(key, pending);
+  return pending;
+}
+
+// Title, year, release date and genres for a movie or show, or null.
+// Without a TMDB key only what other users already cached is available.
+async function getMediaMetadata(imdbId, type, tmdbKey = null) {
+  const mediaType = type === 'movie' ? 'movie' : 'tv';
+
+  return getCachedMetadata(`${mediaType}:${imdbId}`, async () => {
+    if (!tmdbKey) return undefined;
+
+    try {
+      const response = await fetch(
+        `${TMDB_API_URL}/3/find/${imdbId}?api_key=${tmdbKey}&external_source=imdb_id`
+      );
+
+      if (!response.ok) {
+        console.log(`[METADATA] TMDB find failed for ${imdbId}: ${response.status}`);
+        return undefined;
+      }
+
+      const data = await response.json();
+      const result = (mediaType === 'movie' ? data.movie_results : data.tv_results)?.[0];
+      if (!result) {
+        console.log(`[METADATA] ${imdbId} not found on TMDB`);
+        return null;
+      }
+
+      const releaseDate = result.release_date || result.first_air_date || null;
+      const metadata = {
+        tmdbId: result.id,
+        title: result.title || result.name || null,
+        year: releaseDate ? releaseDate.split('-')[0] : null,
+        releaseDate,
+        genres: getTmdbGenres(result)
+      };
+
+      console.log(`[METADATA] ${imdbId}: "${metadata.title}" (${metadata.year || 'N/A'}) via TMDB`);
+      return metadata;
+    } catch (error) {
+      console.log(`[METADATA] TMDB error for ${imdbId}: ${error.message}`);
+      return undefined;
+    }
+  });
+}
+
+// Episode names, air dates and types for one season, one TMDB call per season:
+// { episodes: { [number]: { name, airDate, type } } }, or null
+async function getSeasonMetadata(imdbId, season, tmdbKey = null) {
+  const show = await getMediaMetadata(imdbId, 'series', tmdbKey);
+  if (!show?.tmdbId) return null;
+
+  return getCachedMetadata(`season:${imdbId}:${parseInt(season)}`, async () => {
+    if (!tmdbKey) return undefined;
+
+    try {
+      const response = await fetch(
+        `${TMDB_API_URL}/3/tv/${show.tmdbId}/season/${parseInt(season)}?api_key=${tmdbKey}`
+      );
+
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        console.log(`[METADATA] TMDB season failed for ${imdbId} S${season}: ${response.status}`);
+        return undefined;
+      }
+
+      const data = await response.json();
+      const episodes = {};
+      for (const episode of data.episodes || []) {
+        episodes[episode.episode_number] = {
+          name: episode.name || null,
+          airDate: episode.air_date || null,
+          type: getTmdbEpisodeType(parseInt(season), episode)
+        };
+      }
+      return { episodes };
+    } catch (error) {
+      console.log(`[METADATA] TMDB season error for ${imdbId} S${season}: ${error.message}`);
+      return undefined;
+    }
+  });
+}
+
+// Whether the show has ended and its last aired episode: { ended, lastEpisode: { season, episode } }
+async function getShowStatusMetadata(imdbId, tmdbId, tmdbKey = null) {
+  return getCachedMetadata(`tvstatus:${imdbId}`, async () => {
+    if (!tmdbKey) return undefined;
+
+    try {
+      const response = await fetch(`${TMDB_API_URL}/3/tv/${tmdbId}?api_key=${tmdbKey}`);
+
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        console.log(`[METADATA] TMDB show failed for ${imdbId}: ${response.status}`);
+        return undefined;
+      }
+
+      const data = await response.json();
+      const last = data.last_episode_to_air;
+      return {
+        ended: data.status === 'Ended' || data.status === 'Canceled',
+        lastEpisode: last ? { season: last.season_number, episode: last.episode_number } : null
+      };
+    } catch (error) {
+      console.log(`[METADATA] TMDB show error for ${imdbId}: ${error.message}`);
+      return undefined;
+    }
+  });
+}
+
+async function getEpisodeMetadata(imdbId, season, episode, tmdbKey = null) {
+  const seasonMetadata = await getSeasonMetadata(imdbId, season, tmdbKey);
+  const metadata = seasonMetadata?.episodes[parseInt(episode)] || null;
+  if (metadata?.type !== 'season_finale') return metadata;
+
+  // The finale of a show that has ended is the series finale
+  const show = await getMediaMetadata(imdbId, 'series', tmdbKey);
+  const status = show?.tmdbId ? await getShowStatusMetadata(imdbId, show.tmdbId, tmdbKey) : null;
+  const isLastEpisode = status?.ended &&
+    status.lastEpisode?.season === parseInt(season) && status.lastEpisode?.episode === parseInt(episode);
+  return isLastEpisode ? { ...metadata, type: 'series_finale' } : metadata;
+}
+
+// Premieres and finales, in Trakt's episode_type names, with the badge shown in titles
+const EPISODE_TYPE_BADGES = {
+  series_premiere: '🚀',
+  season_premiere: '🚀',
+  mid_season_premiere: '🚀',
+  mid_season_finale: '🔚',
+  season_finale: '🔚',
+  series_finale: '🔚'
+};
+
+// TMDB marks finales but can't tell a season finale from the series finale
+// (getEpisodeMetadata checks the show for that); premieres are every regular
+// season's first episode
+function getTmdbEpisodeType(season, episode) {
+  if (episode.episode_type === 'finale') return 'season_finale';
+  if (episode.episode_type === 'mid_season') return 'mid_season_finale';
+  if (episode.episode_number === 1 && season > 0) {
+    return season === 1 ? 'series_premiere' : 'season_premiere';
+  }
+  return null;
+}
+
+// { name, airDate, type } for one episode from the TMDB season, or from
+// Trakt's episode summary when TMDB has nothing. Shared like the rest.
+async function getEpisodeInfo(imdbId, season, episode, userConfig = null) {
+  if (!imdbId || season === null || episode === null) return null;
+
+  const fromTmdb = await getEpisodeMetadata(imdbId, season, episode, userConfig?.tmdbKey);
+  if (fromTmdb) return fromTmdb;
+
+  return getCachedMetadata(`episode:${imdbId}:${parseInt(season)}:${parseInt(episode)}`, async () => {
+    if (!userConfig?.clientId) return undefined;
+
+    try {
+      const response = await fetch(`${TRAKT_API_URL}/shows/${imdbId}/seasons/${parseInt(season)}/episodes/${parseInt(episode)}?extended=full`, {
+        headers: {
+          'Content-Type': 'application/json',
+          'trakt-api-version': '2',
+          'trakt-api-key': userConfig.clientId
         }
+      });
+
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        console.log(`[METADATA] Trakt episode failed for ${imdbId} S${season}E${episode}: ${response.status}`);
+        return undefined;
+      }
+
+      const data = await response.json();
+      return {
+        name: data.title || null,
+        airDate: data.first_aired ? data.first_aired.substring(0, 10) : null,
+        type: EPISODE_TYPE_BADGES[data.episode_type] ? data.episode_type : null
+      };
+    } catch (error) {
+      console.log(`[METADATA] Trakt episode error for ${imdbId} S${season}E${episode}: ${error.message}`);
+      return undefined;
+    }
+  });
+}
+
+// "S2E10 'The Reckoning' — Season Finale"; just "S2E10" while nothing is known
+function formatEpisodeText(season, episode, episodeInfo = null, language = DEFAULT_LANGUAGE) {
+  let text = `S${season}E${episode}`;
+  if (episodeInfo?.name) {
+    text += ` '${episodeInfo.name}'`;
+  }
+  if (EPISODE_TYPE_BADGES[episodeInfo?.type]) {
+    text += ` — ${translate(language, `episodeType.${episodeInfo.type}`)}`;
+  }
+  return text;
+}
+
+// ============================================
+// Localization (stream titles)
+// ============================================
+
+const DEFAULT_LANGUAGE = 'en';
+
+// A message is a string or, when it depends on a count, one string per
+// Intl.PluralRules category ({ one, other, ... }). {name} placeholders are
+// filled from the params; a key missing from a catalog falls back to English.
+const MESSAGES = {
+  en: {
+    'language.name': 'English',
+    'name.marks': 'Trakt Marks',
+    'name.rate': 'Rate on Trakt',
+    'name.yourRating': 'Your Trakt Rating',
+    'name.watchlist': 'Trakt Watchlist',
+    'name.collection': 'Trakt Collection',
+    'name.lists': 'Trakt Lists',
+    'name.checkin': 'Trakt Check-in',
+    'name.default': 'Trakt',
+    'name.status': 'Trakt Status',
+    'name.progress': 'Trakt Progress',
+    'name.log': 'Trakt Log',
+    'name.comments': 'Trakt Comments',
+    'media.movie': 'movie',
+    'media.series': 'series',
+    'year.movie': '(Movie)',
+    'year.series': '(Series)',
+    'mark.watched': 'Mark "{title}" as Watched',
+    'mark.episodeWatched': 'Mark {episode} as Watched',
+    'mark.unwatched': 'Mark "{title}" as Unwatched',
+    'mark.episodeUnwatched': 'Mark {episode} as Unwatched',
+    'mark.seasonWatched': 'Mark Season {season} of "{title}" as Watched',
+    'mark.seriesWatched': 'Mark Entire "{title}" Series as Watched',
+    'mark.upToHere': 'Mark S1E1–{episode} of "{title}" as Watched',
+    'mark.upToHereHint': "Catches up on every earlier episode you haven't marked",
+    'mark.keepSingleState': 'Keeps only latest watched state',
+    'episodeType.series_premiere': 'Series Premiere',
+    'episodeType.season_premiere': 'Season Premiere',
+    'episodeType.mid_season_premiere': 'Mid-Season Premiere',
+    'episodeType.mid_season_finale': 'Mid-Season Finale',
+    'episodeType.season_finale': 'Season Finale',
+    'episodeType.series_finale': 'Series Finale',
+    'watchedAt.now': 'Watched just now',
+    'watchedAt.release': 'Watched at release date',
+    'watchedAt.unknown': 'Watched, date unknown',
+    'watchedAt.yesterday_evening': 'Watched yesterday evening',
+    'watchlist.add': 'Add to Watchlist',
+    'watchlist.addHint': 'Add {mediaType} to your Trakt watchlist',
+    'watchlist.remove': 'Remove from Watchlist',
+    'watchlist.removeHint': 'Remove {mediaType} from your Trakt watchlist',
+    'watchlist.since': 'On your watchlist since {date}',
+    'collection.add': 'Add to Collection',
+    'collection.remove': 'Remove from Collection',
+    'list.add': 'Add to "{list}"',
+    'list.addHint': 'Add {mediaType} to your Trakt list',
+    'list.remove': 'Remove from "{list}"',
+    'list.removeHint': 'Remove {mediaType} from your Trakt list',
+    'checkin.movie': 'Check In: Watching "{title}" Now',
+    'checkin.episode': 'Check In: Watching {episode} of "{title}" Now',
+    'checkin.hint': "Shows on your Trakt profile and friends' feeds",
+    'checkin.cancel': 'Cancel Current Check-in',
+    'checkin.cancelHint': 'Frees Trakt up for a new check-in',
+    'checkin.until': 'until {time}',
+    'checkin.conflict': 'Trakt turned down your check-in to {item} while this one runs',
+    'rating.removeHint': 'Click to remove rating',
+    'rating.currentValue': 'Current Rating: {value}',
+    'rating.value': 'Rating: {value}',
+    'rating.currentCard': 'Current Rating {value}',
+    'rating.card': 'Rating {value}',
+    'rating.series': 'Series',
+    'rating.season': 'Season {season}',
+    'scale.ten': '{value} out of 10 stars',
+    'scale.five_stars': '{value} out of 5 stars',
+    'scale.hundred': '{value} out of 100',
+    'thumbs.down': 'Not for me',
+    'thumbs.up': 'Liked it',
+    'thumbs.love': 'Loved it',
+    'stat.watchers': { one: 'watcher', other: 'watchers' },
+    'stat.plays': { one: 'play', other: 'plays' },
+    'stat.comments': { one: 'comment', other: 'comments' },
+    'stat.lists': { one: 'list', other: 'lists' },
+    'stat.collectors': { one: 'collector', other: 'collectors' },
+    'stat.votes': { one: 'vote', other: 'votes' },
+    'stat.rating': 'rating',
+    'statVerb.watchers': 'watching',
+    'statVerb.plays': 'played',
+    'statVerb.comments': 'commented',
+    'statVerb.lists': 'listed',
+    'statVerb.collectors': 'collected',
+    'statVerb.votes': 'voted',
+    'statVerb.rating': 'rated',
+    'number.thousands': '{value}k',
+    'number.millions': '{value}M',
+    'comment.likes': { one: '{value} like', other: '{value} likes' },
+    'comment.spoiler': 'Spoiler',
+    'comment.anonymous': 'Trakt user',
+    'lastAction.title': 'Last action: {summary}',
+    'lastAction.pending': { one: '{count} action waiting to retry', other: '{count} actions waiting to retry' },
+    'status.notWatched': 'Not watched yet',
+    'status.watched': 'Watched {count}×',
+    'status.lastOn': 'last on {date}',
+    'progress.episodes': '{completed}/{aired} episodes ({percent}%)',
+    'progress.nextUp': 'next up: {episode}',
+    'progress.caughtUp': 'all caught up',
+    'progress.isNext': 'This is your next episode',
+    'progress.ahead': '{episode} is ahead of your next unwatched episode',
+    'preset.compact': 'Compact (pattern 0)',
+    'preset.vertical': 'Emoji-first vertical (pattern 1)',
+    'preset.cinematic': 'Cinematic card (pattern 6)'
+  },
+  de: {
+    'language.name': 'Deutsch',
+    'name.marks': 'Trakt Markieren',
+    'name.rate': 'Auf Trakt bewerten',
+    'name.yourRating': 'Deine Trakt-Bewertung',
+    'name.watchlist': 'Trakt Watchlist',
+    'name.collection': 'Trakt Sammlung',
+    'name.lists': 'Trakt Listen',
+    'name.checkin': 'Trakt Check-in',
+    'name.default': 'Trakt',
+    'name.status': 'Trakt Status',
+    'name.progress': 'Trakt Fortschritt',
+    'name.log': 'Trakt Protokoll',
+    'name.comments': 'Trakt Kommentare',
+    'media.movie': 'Film',
+    'media.series': 'Serie',
+    'year.movie': '(Film)',
+    'year.series': '(Serie)',
+    'mark.watched': '"{title}" als gesehen markieren',
+    'mark.episodeWatched': '{episode} als gesehen markieren',
+    'mark.unwatched': '"{title}" als ungesehen markieren',
+    'mark.episodeUnwatched': '{episode} als ungesehen markieren',
+    'mark.seasonWatched': 'Staffel {season} von "{title}" als gesehen markieren',
+    'mark.seriesWatched': 'Ganze Serie "{title}" als gesehen markieren',
+    'mark.upToHere': 'S1E1–{episode} von "{title}" als gesehen markieren',
+    'mark.upToHereHint': 'Holt alle früheren Folgen nach, die du noch nicht markiert hast',
+    'mark.keepSingleState': 'Behält nur den neuesten Gesehen-Eintrag',
+    'episodeType.series_premiere': 'Serienpremiere',
+    'episodeType.season_premiere': 'Staffelpremiere',
+    'episodeType.mid_season_premiere': 'Midseason-Premiere',
+    'episodeType.mid_season_finale': 'Midseason-Finale',
+    'episodeType.season_finale': 'Staffelfinale',
+    'episodeType.series_finale': 'Serienfinale',
+    'watchedAt.now': 'Gerade eben gesehen',
+    'watchedAt.release': 'Zum Erscheinungsdatum gesehen',
+    'watchedAt.unknown': 'Gesehen, Datum unbekannt',
+    'watchedAt.yesterday_evening': 'Gestern Abend gesehen',
+    'watchlist.add': 'Zur Watchlist hinzufügen',
+    'watchlist.addHint': '{mediaType} zu deiner Trakt-Watchlist hinzufügen',
+    'watchlist.remove': 'Von der Watchlist entfernen',
+    'watchlist.removeHint': '{mediaType} von deiner Trakt-Watchlist entfernen',
+    'watchlist.since': 'Auf deiner Watchlist seit {date}',
+    'collection.add': 'Zur Sammlung hinzufügen',
+    'collection.remove': 'Aus der Sammlung entfernen',
+    'list.add': 'Zu "{list}" hinzufügen',
+    'list.addHint': '{mediaType} zu deiner Trakt-Liste hinzufügen',
+    'list.remove': 'Aus "{list}" entfernen',
+    'list.removeHint': '{mediaType} aus deiner Trakt-Liste entfernen',
+    'checkin.movie': 'Einchecken: "{title}" läuft gerade',
+    'checkin.episode': 'Einchecken: {episode} von "{title}" läuft gerade',
+    'checkin.hint': 'Erscheint in deinem Trakt-Profil und bei deinen Freunden',
+    'checkin.cancel': 'Aktuellen Check-in abbrechen',
+    'checkin.cancelHint': 'Macht Trakt frei für einen neuen Check-in',
+    'checkin.until': 'bis {time}',
+    'checkin.conflict': 'Trakt hat deinen Check-in zu {item} abgelehnt, solange dieser läuft',
+    'rating.removeHint': 'Klicken, um die Bewertung zu entfernen',
+    'rating.currentValue': 'Aktuelle Bewertung: {value}',
+    'rating.value': 'Bewertung: {value}',
+    'rating.currentCard': 'Aktuelle Bewertung {value}',
+    'rating.card': 'Bewertung {value}',
+    'rating.series': 'Serie',
+    'rating.season': 'Staffel {season}',
+    'scale.ten': '{value} von 10 Sternen',
+    'scale.five_stars': '{value} von 5 Sternen',
+    'scale.hundred': '{value} von 100',
+    'thumbs.down': 'Nichts für mich',
+    'thumbs.up': 'Hat mir gefallen',
+    'thumbs.love': 'Geliebt',
+    'stat.watchers': { one: 'Zuschauer', other: 'Zuschauer' },
+    'stat.plays': { one: 'Wiedergabe', other: 'Wiedergaben' },
+    'stat.comments': { one: 'Kommentar', other: 'Kommentare' },
+    'stat.lists': { one: 'Liste', other: 'Listen' },
+    'stat.collectors': { one: 'Sammler', other: 'Sammler' },
+    'stat.votes': { one: 'Stimme', other: 'Stimmen' },
+    'stat.rating': 'Bewertung',
+    'statVerb.watchers': 'schauen',
+    'statVerb.plays': 'abgespielt',
+    'statVerb.comments': 'kommentiert',
+    'statVerb.lists': 'gelistet',
+    'statVerb.collectors': 'gesammelt',
+    'statVerb.votes': 'abgestimmt',
+    'statVerb.rating': 'bewertet',
+    'number.thousands': '{value} Tsd.',
+    'number.millions': '{value} Mio.',
+    'comment.likes': { one: '{value} Like', other: '{value} Likes' },
+    'comment.spoiler': 'Spoiler',
+    'comment.anonymous': 'Trakt-Nutzer',
+    'lastAction.title': 'Letzte Aktion: {summary}',
+    'lastAction.pending': { one: '{count} Aktion wartet auf einen neuen Versuch', other: '{count} Aktionen warten auf einen neuen Versuch' },
+    'status.notWatched': 'Noch nicht gesehen',
+    'status.watched': '{count}× gesehen',
+    'status.lastOn': 'zuletzt am {date}',
+    'progress.episodes': '{completed}/{aired} Folgen ({percent} %)',
+    'progress.nextUp': 'als Nächstes: {episode}',
+    'progress.caughtUp': 'alles nachgeholt',
+    'progress.isNext': 'Das ist deine nächste Folge',
+    'progress.ahead': '{episode} liegt nach deiner nächsten ungesehenen Folge',
+    'preset.compact': 'Kompakt (Muster 0)',
+    'preset.vertical': 'Emoji zuerst, vertikal (Muster 1)',
+    'preset.cinematic': 'Kinokarte (Muster 6)'
+  },
+  fr: {
+    'language.name': 'Français',
+    'name.marks': 'Trakt Marquer',
+    'name.rate': 'Noter sur Trakt',
+    'name.yourRating': 'Votre note Trakt',
+    'name.watchlist': 'Watchlist Trakt',
+    'name.collection': 'Collection Trakt',
+    'name.lists': 'Listes Trakt',
+    'name.checkin': 'Check-in Trakt',
+    'name.default': 'Trakt',
+    'name.status': 'Statut Trakt',
+    'name.progress': 'Progression Trakt',
+    'name.log': 'Journal Trakt',
+    'name.comments': 'Commentaires Trakt',
+    'media.movie': 'film',
+    'media.series': 'série',
+    'year.movie': '(Film)',
+    'year.series': '(Série)',
+    'mark.watched': 'Marquer "{title}" comme vu',
+    'mark.episodeWatched': 'Marquer {episode} comme vu',
+    'mark.unwatched': 'Marquer "{title}" comme non vu',
+    'mark.episodeUnwatched': 'Marquer {episode} comme non vu',
+    'mark.seasonWatched': 'Marquer la saison {season} de "{title}" comme vue',
+    'mark.seriesWatched': 'Marquer toute la série "{title}" comme vue',
+    'mark.upToHere': 'Marquer S1E1–{episode} de "{title}" comme vus',
+    'mark.upToHereHint': 'Rattrape tous les épisodes précédents non marqués',
+    'mark.keepSingleState': 'Ne garde que le dernier visionnage',
+    'episodeType.series_premiere': 'Premier épisode de la série',
+    'episodeType.season_premiere': 'Premier épisode de la saison',
+    'episodeType.mid_season_premiere': 'Reprise de mi-saison',
+    'episodeType.mid_season_finale': 'Final de mi-saison',
+    'episodeType.season_finale': 'Final de saison',
+    'episodeType.series_finale': 'Final de la série',
+    'watchedAt.now': "Vu à l'instant",
+    'watchedAt.release': 'Vu à la date de sortie',
+    'watchedAt.unknown': 'Vu, date inconnue',
+    'watchedAt.yesterday_evening': 'Vu hier soir',
+    'watchlist.add': 'Ajouter à la watchlist',
+    'watchlist.addHint': 'Ajouter à votre watchlist Trakt',
+    'watchlist.remove': 'Retirer de la watchlist',
+    'watchlist.removeHint': 'Retirer de votre watchlist Trakt',
+    'watchlist.since': 'Dans votre watchlist depuis le {date}',
+    'collection.add': 'Ajouter à la collection',
+    'collection.remove': 'Retirer de la collection',
+    'list.add': 'Ajouter à "{list}"',
+    'list.addHint': 'Ajouter à votre liste Trakt',
+    'list.remove': 'Retirer de "{list}"',
+    'list.removeHint': 'Retirer de votre liste Trakt',
+    'checkin.movie': 'Check-in : "{title}" en cours',
+    'checkin.episode': 'Check-in : {episode} de "{title}" en cours',
+    'checkin.hint': 'Visible sur votre profil Trakt et dans le fil de vos amis',
+    'checkin.cancel': 'Annuler le check-in en cours',
+    'checkin.cancelHint': 'Libère Trakt pour un nouveau check-in',
+    'checkin.until': "jusqu'à {time}",
+    'checkin.conflict': 'Trakt a refusé votre check-in pour {item} tant que celui-ci est en cours',
+    'rating.removeHint': 'Cliquez pour supprimer la note',
+    'rating.currentValue': 'Note actuelle : {value}',
+    'rating.value': 'Note : {value}',
+    'rating.currentCard': 'Note actuelle {value}',
+    'rating.card': 'Note {value}',
+    'rating.series': 'Série',
+    'rating.season': 'Saison {season}',
+    'scale.ten': '{value} sur 10 étoiles',
+    'scale.five_stars': '{value} sur 5 étoiles',
+    'scale.hundred': '{value} sur 100',
+    'thumbs.down': 'Pas pour moi',
+    'thumbs.up': "J'ai aimé",
+    'thumbs.love': "J'ai adoré",
+    'stat.watchers': { one: 'spectateur', other: 'spectateurs' },
+    'stat.plays': { one: 'lecture', other: 'lectures' },
+    'stat.comments': { one: 'commentaire', other: 'commentaires' },
+    'stat.lists': { one: 'liste', other: 'listes' },
+    'stat.collectors': { one: 'collectionneur', other: 'collectionneurs' },
+    'stat.votes': { one: 'vote', other: 'votes' },
+    'stat.rating': 'note',
+    'statVerb.watchers': 'regardent',
+    'statVerb.plays': 'lectures',
+    'statVerb.comments': 'commentaires',
+    'statVerb.lists': 'en listes',
+    'statVerb.collectors': 'collectionnent',
+    'statVerb.votes': 'votes',
+    'statVerb.rating': 'note',
+    'number.thousands': '{value} k',
+    'number.millions': '{value} M',
+    'comment.likes': { one: "{value} j'aime", other: "{value} j'aime" },
+    'comment.spoiler': 'Spoiler',
+    'comment.anonymous': 'Utilisateur Trakt',
+    'lastAction.title': 'Dernière action : {summary}',
+    'lastAction.pending': { one: '{count} action en attente de nouvel essai', other: '{count} actions en attente de nouvel essai' },
+    'status.notWatched': 'Pas encore vu',
+    'status.watched': 'Vu {count}×',
+    'status.lastOn': 'dernière fois le {date}',
+    'progress.episodes': '{completed}/{aired} épisodes ({percent} %)',
+    'progress.nextUp': 'prochain : {episode}',
+    'progress.caughtUp': 'tout est à jour',
+    'progress.isNext': "C'est votre prochain épisode",
+    'progress.ahead': '{episode} vient après votre prochain épisode non vu',
+    'preset.compact': 'Compact (modèle 0)',
+    'preset.vertical': 'Vertical, emoji en tête (modèle 1)',
+    'preset.cinematic': 'Carte cinéma (modèle 6)'
+  },
+  es: {
+    'language.name': 'Español',
+    'name.marks': 'Trakt Marcar',
+    'name.rate': 'Calificar en Trakt',
+    'name.yourRating': 'Tu calificación de Trakt',
+    'name.watchlist': 'Watchlist de Trakt',
+    'name.collection': 'Colección de Trakt',
+    'name.lists': 'Listas de Trakt',
+    'name.checkin': 'Check-in de Trakt',
+    'name.default': 'Trakt',
+    'name.status': 'Estado de Trakt',
+    'name.progress': 'Progreso de Trakt',
+    'name.log': 'Registro de Trakt',
+    'name.comments': 'Comentarios de Trakt',
+    'media.movie': 'película',
+    'media.series': 'serie',
+    'year.movie': '(Película)',
+    'year.series': '(Serie)',
+    'mark.watched': 'Marcar "{title}" como visto',
+    'mark.episodeWatched': 'Marcar {episode} como visto',
+    'mark.unwatched': 'Marcar "{title}" como no visto',
+    'mark.episodeUnwatched': 'Marcar {episode} como no visto',
+    'mark.seasonWatched': 'Marcar la temporada {season} de "{title}" como vista',
+    'mark.seriesWatched': 'Marcar toda la serie "{title}" como vista',
+    'mark.upToHere': 'Marcar S1E1–{episode} de "{title}" como vistos',
+    'mark.upToHereHint': 'Pone al día todos los episodios anteriores sin marcar',
+    'mark.keepSingleState': 'Conserva solo el último visionado',
+    'episodeType.series_premiere': 'Estreno de la serie',
+    'episodeType.season_premiere': 'Estreno de temporada',
+    'episodeType.mid_season_premiere': 'Regreso de mitad de temporada',
+    'episodeType.mid_season_finale': 'Final de mitad de temporada',
+    'episodeType.season_finale': 'Final de temporada',
+    'episodeType.series_finale': 'Final de la serie',
+    'watchedAt.now': 'Visto ahora mismo',
+    'watchedAt.release': 'Visto en la fecha de estreno',
+    'watchedAt.unknown': 'Visto, fecha desconocida',
+    'watchedAt.yesterday_evening': 'Visto ayer por la noche',
+    'watchlist.add': 'Añadir a la watchlist',
+    'watchlist.addHint': 'Añadir a tu watchlist de Trakt',
+    'watchlist.remove': 'Quitar de la watchlist',
+    'watchlist.removeHint': 'Quitar de tu watchlist de Trakt',
+    'watchlist.since': 'En tu watchlist desde el {date}',
+    'collection.add': 'Añadir a la colección',
+    'collection.remove': 'Quitar de la colección',
+    'list.add': 'Añadir a "{list}"',
+    'list.addHint': 'Añadir a tu lista de Trakt',
+    'list.remove': 'Quitar de "{list}"',
+    'list.removeHint': 'Quitar de tu lista de Trakt',
+    'checkin.movie': 'Check-in: viendo "{title}" ahora',
+    'checkin.episode': 'Check-in: viendo {episode} de "{title}" ahora',
+    'checkin.hint': 'Aparece en tu perfil de Trakt y en el feed de tus amigos',
+    'checkin.cancel': 'Cancelar el check-in actual',
+    'checkin.cancelHint': 'Deja Trakt libre para un nuevo check-in',
+    'checkin.until': 'hasta las {time}',
+    'checkin.conflict': 'Trakt rechazó tu check-in a {item} mientras este siga activo',
+    'rating.removeHint': 'Haz clic para quitar la calificación',
+    'rating.currentValue': 'Calificación actual: {value}',
+    'rating.value': 'Calificación: {value}',
+    'rating.currentCard': 'Calificación actual {value}',
+    'rating.card': 'Calificación {value}',
+    'rating.series': 'Serie',
+    'rating.season': 'Temporada {season}',
+    'scale.ten': '{value} de 10 estrellas',
+    'scale.five_stars': '{value} de 5 estrellas',
+    'scale.hundred': '{value} de 100',
+    'thumbs.down': 'No es para mí',
+    'thumbs.up': 'Me gustó',
+    'thumbs.love': 'Me encantó',
+    'stat.watchers': { one: 'espectador', other: 'espectadores' },
+    'stat.plays': { one: 'reproducción', other: 'reproducciones' },
+    'stat.comments': { one: 'comentario', other: 'comentarios' },
+    'stat.lists': { one: 'lista', other: 'listas' },
+    'stat.collectors': { one: 'coleccionista', other: 'coleccionistas' },
+    'stat.votes': { one: 'voto', other: 'votos' },
+    'stat.rating': 'calificación',
+    'statVerb.watchers': 'viendo',
+    'statVerb.plays': 'reproducido',
+    'statVerb.comments': 'comentado',
+    'statVerb.lists': 'en listas',
+    'statVerb.collectors': 'coleccionado',
+    'statVerb.votes': 'votado',
+    'statVerb.rating': 'calificado',
+    'number.thousands': '{value} mil',
+    'number.millions': '{value} M',
+    'comment.likes': { one: '{value} me gusta', other: '{value} me gusta' },
+    'comment.spoiler': 'Spoiler',
+    'comment.anonymous': 'Usuario de Trakt',
+    'lastAction.title': 'Última acción: {summary}',
+    'lastAction.pending': { one: '{count} acción esperando reintento', other: '{count} acciones esperando reintento' },
+    'status.notWatched': 'Aún no visto',
+    'status.watched': 'Visto {count}×',
+    'status.lastOn': 'última vez el {date}',
+    'progress.episodes': '{completed}/{aired} episodios ({percent} %)',
+    'progress.nextUp': 'siguiente: {episode}',
+    'progress.caughtUp': 'todo al día',
+    'progress.isNext': 'Este es tu próximo episodio',
+    'progress.ahead': '{episode} va después de tu próximo episodio sin ver',
+    'preset.compact': 'Compacto (patrón 0)',
+    'preset.vertical': 'Vertical con emoji primero (patrón 1)',
+    'preset.cinematic': 'Tarjeta de cine (patrón 6)'
+  }
+};
+
+const pluralRules = new Map();
+
+function getLanguage(userConfig) {
+  return MESSAGES[userConfig?.language] ? userConfig.language : DEFAULT_LANGUAGE;
+}
+
+function getPluralCategory(language, count) {
+  if (!pluralRules.has(language)) {
+    pluralRules.set(language, new Intl.PluralRules(language));
+  }
+  return pluralRules.get(language).select(count);
+}
+
+function translate(language, key, params = {}) {
+  let message = MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+  if (typeof message === 'object') {
+    message = message[getPluralCategory(language, params.count ?? 0)] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] ?? placeholder));
+}
+
+// ============================================
+// Number Formatting Helper
+// ============================================
+
+// "3.1k" in English, "3,1 Tsd." in German - the separator comes from Intl,
+// the suffix from the message catalog
+function formatNumber(num, language = DEFAULT_LANGUAGE) {
+  const compact = new Intl.NumberFormat(language, { maximumFractionDigits: 1 });
+  if (num >= 1000000) {
+    return translate(language, 'number.millions', { value: compact.format(num / 1000000) });
+  }
+  if (num >= 1000) {
+    return translate(language, 'number.thousands', { value: compact.format(num / 1000) });
+  }
+  return new Intl.NumberFormat(language).format(num);
+}
+
+// ============================================
+// Stat Emoji Mapping
+// ============================================
+
+function getStatEmoji(stat) {
+  const emojiMap = {
+    'watchers': '👁️',
+    'plays': '▶️',
+    'comments': '💬',
+    'lists': '📋',
+    'collectors': '⭐',
+    'votes': '👍',
+    'rating': '⭐'
+  };
+  return emojiMap[stat] || '📊';
+}
+
+// ============================================
+// Stat Display Name Mapping
+// ============================================
+
+function getStatDisplayName(stat, value, language = DEFAULT_LANGUAGE) {
+  const key = `stat.${stat}`;
+  return MESSAGES[DEFAULT_LANGUAGE][key] ? translate(language, key, { count: value }) : stat;
+}
+
+// ============================================
+// Trakt Stats Fetcher
+// ============================================
+
+async function fetchTraktStats(imdbId, type, clientId) {
+  const cacheKey = `${imdbId}_${type}_stats`;
+  const now = Date.now();
+
+  // Check cache
+  const cached = traktStatsCache.get(cacheKey);
+  if (cached && (now - cached.timestamp) < CACHE_TTL) {
+    console.log(`[TRAKT STATS] Using cached stats for ${imdbId}`);
+    return cached.stats;
+  }
+
+  try {
+    console.log(`[TRAKT STATS] Fetching stats for ${imdbId} (${type})`);
+
+    const mediaType = type === 'movie' ? 'movies' : 'shows';
+    const url = `${TRAKT_API_URL}/${mediaType}/${imdbId}/stats`;
+
+    const response = await fetch(url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'trakt-api-version': '2',
+        'trakt-api-key': clientId
+      }
+    });
+
+    if (!response.ok) {
+      console.log(`[TRAKT STATS] Failed: ${response.status}`);
+      return null;
+    }
+
+    const stats = await response.json();
+
+    // Cache the result
+    traktStatsCache.set(cacheKey, {
+      stats: stats,
+      timestamp: now
+    });
+
+    console.log(`[TRAKT STATS] Found:`, stats);
+    return stats;
+
+  } catch (error) {
+    console.error(`[TRAKT STATS] Error: ${error.message}`);
+    return null;
+  }
+}
+
+// ============================================
+// Trakt Community Comments
+// ============================================
+
+// One page is fetched per item so hiding spoilers still leaves enough to show
+const COMMENTS_FETCH_LIMIT = 20;
+const COMMENT_BODY_LIMIT = 180;
+
+async function fetchTraktComments(imdbId, type, clientId, season = null, episode = null) {
+  const cacheKey = `${getMediaIndexKey(imdbId, season, episode)}_${type}_comments`;
+  const now = Date.now();
+
+  const cached = traktCommentsCache.get(cacheKey);
+  if (cached && (now - cached.timestamp) < COMMENTS_CACHE_TTL) {
+    console.log(`[COMMENTS] Using cached comments for ${cacheKey}`);
+    return cached.comments;
+  }
+
+  try {
+    let path;
+    if (type === 'movie') {
+      path = `movies/${imdbId}`;
+    } else if (season !== null && episode !== null) {
+      path = `shows/${imdbId}/seasons/${season}/episodes/${episode}`;
+    } else {
+      path = `shows/${imdbId}`;
+    }
+
+    const response = await fetch(`${TRAKT_API_URL}/${path}/comments/likes?limit=${COMMENTS_FETCH_LIMIT}`, {
+      headers: {
+        'Content-Type': 'application/json',
+        'trakt-api-version': '2',
+        'trakt-api-key': clientId
+      }
+    });
+
+    if (!response.ok) {
+      console.log(`[COMMENTS] Failed: ${response.status}`);
+      return null;
+    }
+
+    const comments = await response.json();
+
+    traktCommentsCache.set(cacheKey, {
+      comments: comments,
+      timestamp: now
+    });
+
+    console.log(`[COMMENTS] Found ${comments.length} comments for ${cacheKey}`);
+    return comments;
+
+  } catch (error) {
+    console.error(`[COMMENTS] Error: ${error.message}`);
+    return null;
+  }
+}
+
+// Single line, cut at a word boundary
+function truncateCommentBody(text, limit = COMMENT_BODY_LIMIT) {
+  const flat = (text || '').replace(/\s+/g, ' ').trim();
+  if (flat.length <= limit) return flat;
+  const cut = flat.substring(0, limit);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > limit / 2 ? cut.substring(0, lastSpace) : cut).trim()}…`;
+}
+
+function formatCommentTitle(comment, userConfig = null) {
+  const language = getLanguage(userConfig);
+  const author = comment.user?.username || translate(language, 'comment.anonymous');
+  const rating = comment.user_stats?.rating || comment.user_rating || null;
+  const likes = comment.likes || 0;
+
+  let header = `💬 ${author}`;
+  if (rating) {
+    header += ` · ⭐ ${getRatingScale(userConfig).format(rating, language)}`;
+  }
+  header += ` · 👍 ${translate(language, 'comment.likes', { count: likes, value: formatNumber(likes, language) })}`;
+
+  const spoilerBadge = comment.spoiler ? `⚠️ ${translate(language, 'comment.spoiler')}\n` : '';
+  return `${header}\n${spoilerBadge}"${truncateCommentBody(comment.comment)}"`;
+}
+
+// ============================================
+// Per-User Cache Helpers
+// ============================================
+
+// Reads an entry and marks it as recently used
+function getUserCacheEntry(cache, key) {
+  const entry = cache.get(key);
+  if (entry !== undefined) {
+    cache.delete(key);
+    cache.set(key, entry);
+  }
+  return entry;
+}
+
+// Stores an entry, dropping the least recently used ones past USER_CACHE_MAX_ENTRIES
+function setUserCacheEntry(cache, key, entry) {
+  cache.delete(key);
+  cache.set(key, entry);
+  while (cache.size > USER_CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+// Concurrent stream requests for one user wait for the same Trakt download
+function shareUserDownload(key, download) {
+  let pending = pendingUserDownloads.get(key);
+  if (!pending) {
+    pending = download().finally(() => {
+      if (pendingUserDownloads.get(key) === pending) {
+        pendingUserDownloads.delete(key);
+      }
+    });
+    pendingUserDownloads.set(key, pending);
+  }
+  return pending;
+}
+
+// ============================================
+// Trakt Last Activities (shared by per-user indexes)
+// ============================================
+
+async function getLastActivities(userConfig, forceRefresh = false) {
+  const cacheKey = getUserCacheKey(userConfig);
+  const now = Date.now();
+
+  // Check cache
+  const cached = getUserCacheEntry(lastActivitiesCache, cacheKey);
+  if (!forceRefresh && cached && (now - cached.timestamp) < LAST_ACTIVITIES_CACHE_TTL) {
+    return cached.activities;
+  }
+
+  // Forced refreshes follow our own writes, so they don't join a lookup started before them
+  if (forceRefresh) {
+    return fetchLastActivities(userConfig, cacheKey, cached);
+  }
+  return shareUserDownload(`${cacheKey}_last_activities`, () => fetchLastActivities(userConfig, cacheKey, cached));
+}
+
+async function fetchLastActivities(userConfig, cacheKey, cached) {
+  const now = Date.now();
+
+  try {
+    const response = await fetch(`${TRAKT_API_URL}/sync/last_activities`, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${userConfig.access_token}`,
+        'trakt-api-version': '2',
+        'trakt-api-key': userConfig.clientId
+      }
+    });
+
+    if (!response.ok) {
+      console.log(`[LAST ACTIVITIES] Failed: ${response.status}`);
+      return cached ? cached.activities : null;
+    }
+
+    const activities = await response.json();
+
+    setUserCacheEntry(lastActivitiesCache, cacheKey, {
+      activities: activities,
+      timestamp: now
+    });
+
+    return activities;
+
+  } catch (error) {
+    console.error(`[LAST ACTIVITIES] Error: ${error.message}`);
+    return cached ? cached.activities : null;
+  }
+}
 
-        const ratings = await response.json();
-
-        // Find the specific episode by IMDb ID, season, and episode
-        const episodeRating = ratings.find(item =>
-          item.episode &&
-          item.episode.season === parseInt(season) &&
-          item.episode.number === parseInt(episode) &&
-          item.show &&
-          item.show.ids &&
-          item.show.ids.imdb === imdbId
-        );
-
-        if (episodeRating) {
-          console.log(`[USER RATING] Found episode rating: ${episodeRating.rating}/10 for ${imdbId} S${season}E${episode}`);
-          userRatingCache.set(cacheKey, {
-            rating: episodeRating.rating,
-            timestamp: now
-          });
-          return episodeRating.rating;
-        } else {
-          console.log(`[USER RATING] No rating found for episode ${imdbId} S${season}E${episode}`);
-          userRatingCache.set(cacheKey, {
-            rating: 0,
-            timestamp: now
+// ============================================
+// Per-User Ratings Index
+// ============================================
+
+// Which /sync/ratings list holds the rating for this item
+function getRatingsKind(type, season = null, episode = null) {
+  if (type === 'movie') return 'movies';
+  if (season !== null && episode !== null) return 'episodes';
+  if (season !== null) return 'seasons';
+  return 'shows';
+}
+
+async function downloadRatingsList(userConfig, kind) {
+  const response = await fetch(`${TRAKT_API_URL}/sync/ratings/${kind}`, {
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${userConfig.access_token}`,
+      'trakt-api-version': '2',
+      'trakt-api-key': userConfig.clientId
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Trakt API error: ${response.status}`);
+  }
+
+  const items = await response.json();
+  const ratings = new Map();
+
+  for (const item of items) {
+    if (kind === 'movies' && item.movie?.ids?.imdb) {
+      ratings.set(getMediaIndexKey(item.movie.ids.imdb), item.rating);
+    } else if (kind === 'shows' && item.show?.ids?.imdb) {
+      ratings.set(getMediaIndexKey(item.show.ids.imdb), item.rating);
+    } else if (kind === 'seasons' && item.show?.ids?.imdb && item.season) {
+      ratings.set(getMediaIndexKey(item.show.ids.imdb, item.season.number), item.rating);
+    } else if (kind === 'episodes' && item.show?.ids?.imdb && item.episode) {
+      ratings.set(getMediaIndexKey(item.show.ids.imdb, item.episode.season, item.episode.number), item.rating);
+    }
+  }
+
+  return ratings;
+}
+
+async function getUserRating(imdbId, type, userConfig, season = null, episode = null) {
+  const userKey = getUserCacheKey(userConfig);
+  const kind = getRatingsKind(type, season, episode);
+  const indexKey = getMediaIndexKey(imdbId, season, episode);
+
+  let index = getUserCacheEntry(ratingsIndexes, userKey);
+  if (!index) {
+    index = {};
+    setUserCacheEntry(ratingsIndexes, userKey, index);
+  }
+
+  try {
+    const activities = await getLastActivities(userConfig);
+    const ratedAt = activities?.[kind]?.rated_at || null;
+    const entry = index[kind];
+
+    // Only re-download the list when Trakt reports a newer rating activity
+    if (!entry || (ratedAt && entry.ratedAt !== ratedAt)) {
+      console.log(`[USER RATING] ${entry ? 'Ratings changed, refreshing' : 'Building'} ${kind} index`);
+      const ratings = await shareUserDownload(`${userKey}_ratings_${kind}`, () => downloadRatingsList(userConfig, kind));
+      index[kind] = { ratedAt, ratings };
+      console.log(`[USER RATING] Indexed ${ratings.size} ${kind} rating(s)`);
+    }
+
+    return index[kind].ratings.get(indexKey) || 0;
+
+  } catch (error) {
+    console.error(`[USER RATING] Error: ${error.message}`);
+    // Fall back to a stale index rather than hiding an existing rating
+    return index[kind]?.ratings.get(indexKey) || 0;
+  }
+}
+
+// Apply our own rate/remove directly instead of re-downloading the whole list
+async function updateRatingsIndex(userConfig, type, imdbId, season, episode, rating) {
+  const index = ratingsIndexes.get(getUserCacheKey(userConfig));
+  const kind = getRatingsKind(type, season, episode);
+  const entry = index?.[kind];
+  if (!entry) return;
+
+  const indexKey = getMediaIndexKey(imdbId, season, episode);
+  if (rating > 0) {
+    entry.ratings.set(indexKey, rating);
+  } else {
+    entry.ratings.delete(indexKey);
+  }
+
+  // Our write bumped rated_at on Trakt; adopt the new timestamp so it doesn't trigger a re-download
+  const activities = await getLastActivities(userConfig, true);
+  if (activities?.[kind]?.rated_at) {
+    entry.ratedAt = activities[kind].rated_at;
+  }
+
+  console.log(`[USER RATING] Index updated: ${indexKey} = ${rating > 0 ? `${rating}/10` : 'removed'}`);
+}
+
+// ============================================
+// Per-User Watched Index
+// ============================================
+
+async function downloadWatchedList(userConfig, kind) {
+  const response = await fetch(`${TRAKT_API_URL}/sync/watched/${kind}`, {
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${userConfig.access_token}`,
+      'trakt-api-version': '2',
+      'trakt-api-key': userConfig.clientId
+    }
+  });
+
+  if (!response.ok) {
+    throw await createTraktApiError(response);
+  }
+
+  const items = await response.json();
+  const watched = new Map();
+
+  for (const item of items) {
+    if (kind === 'movies' && item.movie?.ids?.imdb) {
+      watched.set(getMediaIndexKey(item.movie.ids.imdb), {
+        plays: item.plays,
+        lastWatchedAt: item.last_watched_at
+      });
+    } else if (kind === 'shows' && item.show?.ids?.imdb) {
+      const showImdb = item.show.ids.imdb;
+      watched.set(getMediaIndexKey(showImdb), {
+        plays: item.plays,
+        lastWatchedAt: item.last_watched_at
+      });
+
+      for (const season of item.seasons || []) {
+        for (const episode of season.episodes || []) {
+          watched.set(getMediaIndexKey(showImdb, season.number, episode.number), {
+            plays: episode.plays,
+            lastWatchedAt: episode.last_watched_at
           });
-          return 0;
         }
-      } else {
-        // For series, get ALL show ratings and filter
-        url = 'https://api.trakt.tv/sync/ratings/shows';
-        const response = await fetch(url, {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${accessToken}`,
-            'trakt-api-version': '2',
-            'trakt-api-key': clientId
-          }
-        });
+      }
+    }
+  }
 
-        if (!response.ok) {
-          console.log(`[USER RATING] Failed: ${response.status}`);
-          return 0;
-        }
+  return watched;
+}
 
-        const ratings = await response.json();
+// The user's watched movies or shows, re-downloaded when Trakt's history changed.
+// Throws when the index can't be brought up to date.
+async function loadWatchedIndex(userConfig, kind) {
+  const userKey = getUserCacheKey(userConfig);
+  // Show plays are driven by episode activity
+  const activityKind = kind === 'movies' ? 'movies' : 'episodes';
+
+  let index = getUserCacheEntry(watchedIndexes, userKey);
+  if (!index) {
+    index = {};
+    setUserCacheEntry(watchedIndexes, userKey, index);
+  }
 
-        // Find the specific show by IMDb ID
-        const showRating = ratings.find(item =>
-          item.show && item.show.ids && item.show.ids.imdb === imdbId
-        );
+  const activities = await getLastActivities(userConfig);
+  const watchedAt = activities?.[activityKind]?.watched_at || null;
+  const entry = index[kind];
 
-        if (showRating) {
-          console.log(`[USER RATING] Found series rating: ${showRating.rating}/10 for ${imdbId}`);
-          userRatingCache.set(cacheKey, {
-            rating: showRating.rating,
-            timestamp: now
-          });
-          return showRating.rating;
+  if (!entry || (watchedAt && entry.watchedAt !== watchedAt)) {
+    console.log(`[WATCHED] ${entry ? 'History changed, refreshing' : 'Building'} ${kind} index`);
+    const watched = await shareUserDownload(`${userKey}_watched_${kind}`, () => downloadWatchedList(userConfig, kind));
+    index[kind] = { watchedAt, watched };
+    console.log(`[WATCHED] Indexed ${watched.size} watched ${kind} entr${watched.size === 1 ? 'y' : 'ies'}`);
+  }
+
+  return index[kind].watched;
+}
+
+async function getWatchedStatus(imdbId, type, userConfig, season = null, episode = null) {
+  const kind = type === 'movie' ? 'movies' : 'shows';
+  const indexKey = getMediaIndexKey(imdbId, season, episode);
+
+  try {
+    const watched = await loadWatchedIndex(userConfig, kind);
+    return watched.get(indexKey) || null;
+  } catch (error) {
+    console.error(`[WATCHED] Error: ${error.message}`);
+    // An older index still beats nothing for display
+    return watchedIndexes.get(getUserCacheKey(userConfig))?.[kind]?.watched.get(indexKey) || null;
+  }
+}
+
+// Drop the index after our own history writes so the next lookup re-downloads it
+function invalidateWatchedIndex(userConfig, type) {
+  const userKey = getUserCacheKey(userConfig);
+  const kind = type === 'movie' ? 'movies' : 'shows';
+  const index = watchedIndexes.get(userKey);
+  if (index) {
+    delete index[kind];
+  }
+  // A download started before the write may miss it, so later lookups don't join it
+  pendingUserDownloads.delete(`${userKey}_watched_${kind}`);
+}
+
+// ============================================
+// Per-User Watchlist Index
+// ============================================
+
+async function downloadWatchlist(userConfig, kind) {
+  const response = await fetch(`${TRAKT_API_URL}/sync/watchlist/${kind}`, {
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${userConfig.access_token}`,
+      'trakt-api-version': '2',
+      'trakt-api-key': userConfig.clientId
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Trakt API error: ${response.status}`);
+  }
+
+  const items = await response.json();
+  const itemKey = kind === 'movies' ? 'movie' : 'show';
+  const watchlist = new Map();
+
+  for (const item of items) {
+    if (item[itemKey]?.ids?.imdb) {
+      watchlist.set(item[itemKey].ids.imdb, { listedAt: item.listed_at });
+    }
+  }
+
+  return watchlist;
+}
+
+// Returns { onWatchlist: true|false, listedAt } or { onWatchlist: null } when membership is unknown
+async function getWatchlistStatus(imdbId, type, userConfig) {
+  const userKey = getUserCacheKey(userConfig);
+  const kind = type === 'movie' ? 'movies' : 'shows';
+
+  let index = getUserCacheEntry(watchlistIndexes, userKey);
+  if (!index) {
+    index = {};
+    setUserCacheEntry(watchlistIndexes, userKey, index);
+  }
+
+  try {
+    const activities = await getLastActivities(userConfig);
+    const updatedAt = activities?.watchlist?.updated_at || null;
+    const entry = index[kind];
+
+    if (!entry || (updatedAt && entry.updatedAt !== updatedAt)) {
+      console.log(`[WATCHLIST] ${entry ? 'Watchlist changed, refreshing' : 'Building'} ${kind} index`);
+      const watchlist = await shareUserDownload(`${userKey}_watchlist_${kind}`, () => downloadWatchlist(userConfig, kind));
+      index[kind] = { updatedAt, watchlist };
+      console.log(`[WATCHLIST] Indexed ${watchlist.size} ${kind} on watchlist`);
+    }
+  } catch (error) {
+    console.error(`[WATCHLIST] Error: ${error.message}`);
+    if (!index[kind]) {
+      return { onWatchlist: null };
+    }
+  }
+
+  const listed = index[kind].watchlist.get(imdbId);
+  return listed ? { onWatchlist: true, listedAt: listed.listedAt } : { onWatchlist: false };
+}
+
+// Apply our own add/remove directly instead of re-downloading the watchlist
+async function updateWatchlistIndex(userConfig, type, imdbId, onWatchlist) {
+  const index = watchlistIndexes.get(getUserCacheKey(userConfig));
+  const kind = type === 'movie' ? 'movies' : 'shows';
+  const entry = index?.[kind];
+  if (!entry) return;
+
+  if (onWatchlist) {
+    entry.watchlist.set(imdbId, { listedAt: new Date().toISOString() });
+  } else {
+    entry.watchlist.delete(imdbId);
+  }
+
+  // The watchlist timestamp is shared by movies and shows, so adopt it for both
+  const activities = await getLastActivities(userConfig, true);
+  if (activities?.watchlist?.updated_at) {
+    for (const watchlistKind of Object.keys(index)) {
+      index[watchlistKind].updatedAt = activities.watchlist.updated_at;
+    }
+  }
+}
+
+// ============================================
+// Per-User Personal List Index
+// ============================================
+
+// Lists are picked on the configure page and stored in the config as [{ id, name }]
+function getPersonalLists(userConfig) {
+  return Array.isArray(userConfig?.personalLists)
+    ? userConfig.personalLists.filter(list => list && list.id)
+    : [];
+}
+
+function getPersonalListName(userConfig, listId) {
+  const list = getPersonalLists(userConfig).find(candidate => String(candidate.id) === String(listId));
+  return list ? list.name : `list ${listId}`;
+}
+
+async function downloadListItems(userConfig, listId) {
+  const response = await fetch(`${TRAKT_API_URL}/users/me/lists/${encodeURIComponent(listId)}/items/movie,show`, {
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${userConfig.access_token}`,
+      'trakt-api-version': '2',
+      'trakt-api-key': userConfig.clientId
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Trakt API error: ${response.status}`);
+  }
+
+  const items = await response.json();
+  const members = new Set();
+
+  // Movie and show IMDb ids never collide, so one set covers both kinds
+  for (const item of items) {
+    const imdbId = item[item.type]?.ids?.imdb;
+    if (imdbId) {
+      members.add(imdbId);
+    }
+  }
+
+  return members;
+}
+
+// Returns true|false per list id, or null when membership of that list is unknown
+async function getListMemberships(imdbId, userConfig) {
+  const userKey = getUserCacheKey(userConfig);
+  const memberships = {};
+
+  let index = getUserCacheEntry(listIndexes, userKey);
+  if (!index) {
+    index = { updatedAt: null, timestamp: Date.now(), lists: {} };
+    setUserCacheEntry(listIndexes, userKey, index);
+  }
+
+  let updatedAt = null;
+  try {
+    const activities = await getLastActivities(userConfig);
+    updatedAt = activities?.lists?.updated_at || null;
+  } catch (error) {
+    console.error(`[LISTS] Error: ${error.message}`);
+  }
+
+  // One timestamp covers every list, so a change invalidates all of them
+  if (updatedAt && index.updatedAt !== updatedAt) {
+    if (index.updatedAt) {
+      console.log(`[LISTS] Lists changed, refreshing index`);
+    }
+    index.lists = {};
+    index.updatedAt = updatedAt;
+    index.timestamp = Date.now();
+  } else if (!updatedAt && (Date.now() - index.timestamp) >= LIST_INDEX_TTL) {
+    // Nothing to compare against, so age the lists out instead of keeping them forever
+    console.log(`[LISTS] No list activity timestamp, refreshing index`);
+    index.lists = {};
+    index.timestamp = Date.now();
+  }
+
+  for (const list of getPersonalLists(userConfig)) {
+    if (!index.lists[list.id]) {
+      try {
+        index.lists[list.id] = await shareUserDownload(`${userKey}_list_${list.id}`, () => downloadListItems(userConfig, list.id));
+        console.log(`[LISTS] Indexed ${index.lists[list.id].size} items on "${list.name}"`);
+      } catch (error) {
+        console.error(`[LISTS] Error loading "${list.name}": ${error.message}`);
+      }
+    }
+    memberships[list.id] = index.lists[list.id] ? index.lists[list.id].has(imdbId) : null;
+  }
+
+  return memberships;
+}
+
+// Apply our own add/remove directly instead of re-downloading the list
+async function updateListIndex(userConfig, listId, imdbId, onList) {
+  const index = listIndexes.get(getUserCacheKey(userConfig));
+  const members = index?.lists[listId];
+  if (!members) return;
+
+  if (onList) {
+    members.add(imdbId);
+  } else {
+    members.delete(imdbId);
+  }
+
+  const activities = await getLastActivities(userConfig, true);
+  if (activities?.lists?.updated_at) {
+    index.updatedAt = activities.lists.updated_at;
+  }
+}
+
+// ============================================
+// Per-User Show Progress
+// ============================================
+
+function getShowProgressKey(userConfig, imdbId) {
+  return `${getUserCacheKey(userConfig)}_${imdbId}`;
+}
+
+async function getShowProgress(imdbId, userConfig) {
+  const cacheKey = getShowProgressKey(userConfig, imdbId);
+  const cached = getUserCacheEntry(showProgressCache, cacheKey);
+  if (cached && (Date.now() - cached.timestamp) < SHOW_PROGRESS_CACHE_TTL) {
+    return cached.progress;
+  }
+
+  return shareUserDownload(`${cacheKey}_progress`, () => fetchShowProgress(imdbId, userConfig, cacheKey, cached));
+}
+
+async function fetchShowProgress(imdbId, userConfig, cacheKey, cached) {
+  try {
+    const response = await fetch(`${TRAKT_API_URL}/shows/${imdbId}/progress/watched?hidden=false&specials=false`, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${userConfig.access_token}`,
+        'trakt-api-version': '2',
+        'trakt-api-key': userConfig.clientId
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Trakt API error: ${response.status}`);
+    }
+
+    const progress = await response.json();
+    setUserCacheEntry(showProgressCache, cacheKey, { progress, timestamp: Date.now() });
+    console.log(`[PROGRESS] ${imdbId}: ${progress.completed}/${progress.aired} episodes`);
+    return progress;
+
+  } catch (error) {
+    console.error(`[PROGRESS] Error: ${error.message}`);
+    return cached ? cached.progress : null;
+  }
+}
+
+function invalidateShowProgress(userConfig, imdbId) {
+  const cacheKey = getShowProgressKey(userConfig, imdbId);
+  showProgressCache.delete(cacheKey);
+  pendingUserDownloads.delete(`${cacheKey}_progress`);
+}
+
+function formatEpisodeCode(season, episode) {
+  return `S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
+}
+
+function formatShowProgressTitle(progress, title, season = null, episode = null, language = DEFAULT_LANGUAGE) {
+  const aired = progress.aired || 0;
+  const completed = progress.completed || 0;
+  const percent = aired > 0 ? Math.round((completed / aired) * 100) : 0;
+  const next = progress.next_episode;
+
+  let progressLine = `📈 ${translate(language, 'progress.episodes', { completed, aired, percent })}`;
+  if (next) {
+    const nextEpisode = `${formatEpisodeCode(next.season, next.number)}${next.title ? ` '${next.title}'` : ''}`;
+    progressLine += ` — ${translate(language, 'progress.nextUp', { episode: nextEpisode })}`;
+  } else if (aired > 0 && completed >= aired) {
+    progressLine += ` — ${translate(language, 'progress.caughtUp')}`;
+  }
+
+  const lines = [progressLine, `📺 "${title}"`];
+
+  // Flag where the open episode sits relative to the next unwatched one
+  if (next && season !== null && episode !== null) {
+    const current = parseInt(season) * 10000 + parseInt(episode);
+    const nextUp = next.season * 10000 + next.number;
+    if (current === nextUp) {
+      lines.push(`▶️ ${translate(language, 'progress.isNext')}`);
+    } else if (current > nextUp) {
+      lines.push(`⏭️ ${translate(language, 'progress.ahead', { episode: formatEpisodeCode(season, episode) })}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// ============================================
+// Active Check-in Lookup
+// ============================================
+
+async function getActiveCheckin(userConfig) {
+  const cacheKey = getUserCacheKey(userConfig);
+  const now = Date.now();
+
+  // Check cache
+  const cached = getUserCacheEntry(checkinCache, cacheKey);
+  if (cached && (now - cached.timestamp) < CHECKIN_CACHE_TTL) {
+    return cached.checkin;
+  }
+
+  return shareUserDownload(`${cacheKey}_checkin`, () => fetchActiveCheckin(userConfig, cacheKey));
+}
+
+async function fetchActiveCheckin(userConfig, cacheKey) {
+  const now = Date.now();
+
+  try {
+    const response = await fetch(`${TRAKT_API_URL}/users/me/watching`, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${userConfig.access_token}`,
+        'trakt-api-version': '2',
+        'trakt-api-key': userConfig.clientId
+      }
+    });
+
+    // 204 = not watching anything right now
+    let checkin = null;
+    if (response.status === 200) {
+      const watching = await response.json();
+      // Scrobbles can't be cancelled through /checkin, only real check-ins
+      if (watching.action === 'checkin') {
+        let label;
+        if (watching.type === 'movie') {
+          label = watching.movie?.title || 'Movie';
         } else {
-          console.log(`[USER RATING] No rating found for series ${imdbId}`);
-          userRatingCache.set(cacheKey, {
-            rating: 0,
-            timestamp: now
-          });
-          return 0;
+          label = `${watching.show?.title || 'Show'} S${watching.episode?.season}E${watching.episode?.number}`;
         }
+        checkin = {
+          label,
+          expiresAt: watching.expires_at,
+          imdbId: watching.type === 'movie' ? watching.movie?.ids?.imdb : watching.show?.ids?.imdb,
+          season: watching.episode?.season ?? null,
+          episode: watching.episode?.number ?? null
+        };
       }
+    } else if (!response.ok) {
+      console.log(`[CHECKIN] Failed to get active check-in: ${response.status}`);
     }
 
-    return 0;
+    setUserCacheEntry(checkinCache, cacheKey, {
+      checkin,
+      timestamp: now
+    });
+
+    return checkin;
+
+  } catch (error) {
+    console.error(`[CHECKIN] Error: ${error.message}`);
+    return null;
+  }
+}
+
+function formatCheckinExpiry(expiresAt) {
+  if (!expiresAt) return '';
+  const date = new Date(expiresAt);
+  if (isNaN(date.getTime())) return '';
+  return date.toISOString().substring(11, 16) + ' UTC';
+}
+
+// ============================================
+// Action Log (per-config history of trakt-action clicks)
+// ============================================
+
+const ACTION_LOG_LIMIT = 50;
+const ACTION_LOG_TTL_SECONDS = 90 * 24 * 60 * 60; // 90 days, same as stored tokens
+const actionLogWrites = new Map();
+
+// What the "last action" stream shows, per log; dropped when this instance logs or queues an action
+const lastActionCache = new Map();
+const LAST_ACTION_CACHE_TTL = 30 * 1000; // 30 seconds
+
+const ACTION_LOG_LABELS = {
+  rate_only: (entry) => entry.season !== null && entry.episode === null ? `Rated season ${entry.season} ${entry.rating}/10` : `Rated ${entry.rating}/10`,
+  remove_rating: (entry) => entry.season !== null && entry.episode === null ? `Removed season ${entry.season} rating` : 'Removed rating',
+  mark_watched: () => 'Marked as watched',
+  mark_unwatched: () => 'Marked as unwatched',
+  mark_season_watched: (entry) => `Marked season ${entry.season} as watched`,
+  mark_series_watched: () => 'Marked series as watched',
+  mark_up_to_here: (entry) => `Marked everything up to S${entry.season}E${entry.episode} as watched`,
+  add_to_watchlist: () => 'Added to watchlist',
+  remove_from_watchlist: () => 'Removed from watchlist',
+  add_to_collection: () => 'Added to collection',
+  remove_from_collection: () => 'Removed from collection',
+  add_to_list: (entry) => `Added to list "${entry.listName}"`,
+  remove_from_list: (entry) => `Removed from list "${entry.listName}"`,
+  checkin: () => 'Checked in',
+  cancel_checkin: () => 'Cancelled check-in'
+};
+
+const ACTION_LOG_STATUS_EMOJI = {
+  success: '✅',
+  conflict: '⚠️',
+  failed: '❌',
+  pending: '⏳'
+};
+
+// URL-storage configs have no storage of their own, so their log lives on the server (or in memory)
+function getActionLogStorage(userConfig) {
+  return getStorageForConfig(userConfig) || getServerStorage() || memoryStorage;
+}
+
+function getActionLogKey(userConfig) {
+  return `action_log:${getUserCacheKey(userConfig)}`;
+}
+
+async function readActionLog(userConfig) {
+  try {
+    const stored = await getActionLogStorage(userConfig).get(getActionLogKey(userConfig));
+    const entries = typeof stored === 'string' ? JSON.parse(stored) : stored;
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    console.error(`[ACTION-LOG] Failed to read log: ${error.message}`);
+    return [];
+  }
+}
+
+// Newest first; writes for the same config are chained so quick double clicks don't drop entries
+async function recordAction(userConfig, entry) {
+  const key = getActionLogKey(userConfig);
+  const previous = actionLogWrites.get(key) || Promise.resolve();
+
+  const write = previous.then(async () => {
+    const entries = await readActionLog(userConfig);
+    entries.unshift(entry);
+    await getActionLogStorage(userConfig).set(key, JSON.stringify(entries.slice(0, ACTION_LOG_LIMIT)), ACTION_LOG_TTL_SECONDS);
+  }).catch(error => {
+    console.error(`[ACTION-LOG] Failed to record ${entry.action}: ${error.message}`);
+  });
+
+  actionLogWrites.set(key, write);
+  await write;
+  if (actionLogWrites.get(key) === write) {
+    actionLogWrites.delete(key);
+  }
+  invalidateLastActionSummary(userConfig);
+}
+
+// Newest log entry plus the queued clicks, so stream requests don't read storage every time
+async function getLastActionSummary(userConfig) {
+  const key = getActionLogKey(userConfig);
+  const cached = getUserCacheEntry(lastActionCache, key);
+  if (cached && (Date.now() - cached.timestamp) < LAST_ACTION_CACHE_TTL) {
+    return cached.summary;
+  }
+
+  return shareUserDownload(`${key}_summary`, async () => {
+    const [lastAction] = await readActionLog(userConfig);
+    const pending = await getPendingActions(userConfig);
+    const summary = { lastAction: lastAction || null, nextPending: pending[0] || null, pendingCount: pending.length };
+    setUserCacheEntry(lastActionCache, key, { summary, timestamp: Date.now() });
+    return summary;
+  });
+}
+
+// The account's latest click if it was a check-in Trakt refused because another one is running.
+// Linked accounts log into the primary's log, so that is where this looks.
+async function getCheckinConflict(logConfig, accountConfig) {
+  const { lastAction } = await getLastActionSummary(logConfig);
+  if (lastAction?.action !== 'checkin' || lastAction.status !== 'conflict') {
+    return null;
+  }
+  return (lastAction.accountId ?? 0) === getAccountId(accountConfig) ? lastAction : null;
+}
+
+function invalidateLastActionSummary(userConfig) {
+  const key = getActionLogKey(userConfig);
+  lastActionCache.delete(key);
+  pendingUserDownloads.delete(`${key}_summary`);
+}
+
+function formatActionSummary(entry) {
+  const label = ACTION_LOG_LABELS[entry.action] ? ACTION_LOG_LABELS[entry.action](entry) : entry.action;
+  return `${ACTION_LOG_STATUS_EMOJI[entry.status] || '❔'} ${label}${entry.account ? ` — ${entry.account}` : ''}`;
+}
+
+function formatActionItem(entry) {
+  if (entry.type === 'series' && entry.season !== null && entry.episode !== null) {
+    return `S${entry.season}E${entry.episode} "${entry.title}"`;
+  }
+  return `"${entry.title}"`;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
 
-  } catch (error) {
-    console.error(`[USER RATING] Error: ${error.message}`);
-    userRatingCache.set(cacheKey, {
-      rating: 0,
-      timestamp: now
-    });
-    return 0;
-  }
+function renderActionLogPage(entries, username) {
+  const rows = entries.map(entry => `
+      <tr class="${escapeHtml(entry.status)}">
+        <td>${escapeHtml(entry.timestamp.replace('T', ' ').substring(0, 19))}</td>
+        <td>${escapeHtml(formatActionSummary(entry))}</td>
+        <td>${escapeHtml(formatActionItem(entry))}<br><small>${escapeHtml(entry.imdbId)}</small></td>
+        <td>${escapeHtml(entry.status === 'success' ? entry.message : entry.error)}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Trakt Actions${username ? ` - ${escapeHtml(username)}` : ''}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #0f0f0f; color: #e0e0e0; margin: 0; padding: 20px; }
+    h1 { color: #ed1c24; font-size: 1.4em; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 8px; border-bottom: 1px solid #2a2a2a; vertical-align: top; }
+    th { color: #aaa; font-weight: 600; }
+    small { color: #888; }
+    tr.failed td { color: #ff8a80; }
+    tr.conflict td { color: #ffd180; }
+    tr.pending td { color: #90caf9; }
+  </style>
+</head>
+<body>
+  <h1>Trakt Actions${username ? ` for ${escapeHtml(username)}` : ''}</h1>
+  ${entries.length === 0 ? '<p>No actions recorded yet.</p>' : `
+  <table>
+    <thead><tr><th>Time (UTC)</th><th>Action</th><th>Item</th><th>Result</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>`}
+</body>
+</html>`;
+}
+
+// Shown instead of the wait video when a click can't be queued
+function renderActionErrorPage(message) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Trakt Action Failed</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #0f0f0f; color: #e0e0e0; margin: 0; padding: 20px; }
+    h1 { color: #ed1c24; font-size: 1.4em; }
+  </style>
+</head>
+<body>
+  <h1>Trakt Action Failed</h1>
+  <p>${escapeHtml(message)}</p>
+</body>
+</html>`;
 }
 
 // ============================================
@@ -485,33 +2588,165 @@ function shouldRefreshToken(userConfig) {
     return false;
   }
 
-  // Upstash storage: Refresh if less than 30 days remaining
+  // Upstash / server storage: Refresh if less than 30 days remaining
   return timeUntilExpiry < (30 * 24 * 60 * 60 * 1000);
 }
 
+// ============================================
+// Rating Scales (mapped onto Trakt's 1-10)
+// ============================================
+
+// Ratings are always stored and sent as Trakt integers; a scale only changes
+// which of them are offered and how they are shown
+const THUMB_LEVELS = [
+  { max: 4, emoji: '👎', label: 'thumbs.down' },
+  { max: 8, emoji: '👍', label: 'thumbs.up' },
+  { max: 10, emoji: '❤️', label: 'thumbs.love' }
+];
+
+function getThumbLevel(rating) {
+  return THUMB_LEVELS.find(level => rating <= level.max) || THUMB_LEVELS[THUMB_LEVELS.length - 1];
+}
+
+const RATING_SCALES = {
+  ten: {
+    name: '10-point (Trakt)',
+    values: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+    units: 10,
+    format: (rating) => `${rating}/10`,
+    summary: (rating, language = DEFAULT_LANGUAGE) => translate(language, 'scale.ten', { value: rating })
+  },
+  five_stars: {
+    name: '5 stars with half stars',
+    values: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+    units: 5,
+    format: (rating, language = DEFAULT_LANGUAGE) => `${formatNumber(rating / 2, language)}/5`,
+    summary: (rating, language = DEFAULT_LANGUAGE) => translate(language, 'scale.five_stars', { value: formatNumber(rating / 2, language) })
+  },
+  thumbs: {
+    name: 'Thumbs down / up / love',
+    values: [3, 7, 10],
+    format: (rating, language = DEFAULT_LANGUAGE) => translate(language, getThumbLevel(rating).label),
+    summary: (rating, language = DEFAULT_LANGUAGE) => translate(language, getThumbLevel(rating).label),
+    visual: (rating) => getThumbLevel(rating).emoji
+  },
+  hundred: {
+    name: '100-point',
+    values: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+    units: 10,
+    format: (rating) => `${rating * 10}/100`,
+    summary: (rating, language = DEFAULT_LANGUAGE) => translate(language, 'scale.hundred', { value: rating * 10 })
+  }
+};
+
+function getRatingScale(userConfig) {
+  return RATING_SCALES[userConfig?.ratingScale] || RATING_SCALES.ten;
+}
+
+// Drops ratings the scale doesn't offer (saved under another scale) and ones
+// that would look identical once shown in it
+function getScaleRatings(scale, ratings) {
+  const seen = new Set();
+  return ratings.filter(rating => {
+    const label = scale.format(rating);
+    if (!scale.values.includes(rating) || seen.has(label)) return false;
+    seen.add(label);
+    return true;
+  });
+}
+
 // ============================================
 // Rating Visual Generator
 // ============================================
 
-function generateRatingVisual(style, rating) {
-    let visual = '';
+// A bar style lists its glyphs from empty to full (`steps`); anything in between
+// draws a partly filled position. `glyphs` fixes the bar length, otherwise it
+// follows the scale (10 positions, 5 on the 5-star scale). Short bars matter:
+// Android TV cuts off long stream titles.
+const SQUARE_COLORS = [
+  { max: 3, glyph: '🟥' },
+  { max: 5, glyph: '🟧' },
+  { max: 7, glyph: '🟨' },
+  { max: 10, glyph: '🟩' }
+];
+
+const KEYCAP_TEN = '🔟';
+
+const RATING_VISUAL_STYLES = {
+  stars: { name: 'Stars', steps: ['☆', '½', '★'] },
+  hearts: { name: 'Hearts', steps: ['🤍', '½', '❤️'] },
+  progress: { name: 'Progress', steps: ['▱', '½', '▰'] },
+  stars_compact: { name: '5 stars with halves', glyphs: 5, steps: ['☆', '½', '★'] },
+  squares: {
+    name: 'Color squares',
+    glyphs: 5,
+    // The fill color follows the rating, red for low to green for high
+    steps: (rating) => ['⬜', (SQUARE_COLORS.find(color => rating <= color.max) || SQUARE_COLORS[SQUARE_COLORS.length - 1]).glyph]
+  },
+  moons: { name: 'Moon phases', glyphs: 5, steps: ['🌑', '🌘', '🌗', '🌖', '🌕'] },
+  gradient: { name: 'Gradient bar', glyphs: 5, steps: ['░', '▒', '▓', '█'] },
+  badge: { name: 'Numeric badge', render: (rating, scale) => formatRatingBadge(scale.format(rating)) }
+};
+
+const CUSTOM_VISUAL_MAX_GLYPHS = 10;
+const CUSTOM_GLYPH_MAX_LENGTH = 8;
+
+// "8/10" -> 8️⃣, "10/10" -> 🔟, "3.5/5" -> 3️⃣½
+function formatRatingBadge(formattedRating) {
+  const [value] = formattedRating.split('/');
+  if (value === '10') return KEYCAP_TEN;
+  const [whole, fraction] = value.split('.');
+  const keycaps = [...whole].map(digit => `${digit}\uFE0F\u20E3`).join('');
+  return fraction ? `${keycaps}½` : keycaps;
+}
+
+// A user's own glyph set ({ full, empty, half, glyphs }); null when unusable
+function getCustomVisualStyle(customVisual) {
+  const isGlyph = (glyph) => typeof glyph === 'string' && glyph.length > 0 && glyph.length <= CUSTOM_GLYPH_MAX_LENGTH;
+  if (!customVisual || !isGlyph(customVisual.full) || !isGlyph(customVisual.empty)) {
+    return null;
+  }
+
+  const glyphs = parseInt(customVisual.glyphs);
+  return {
+    name: 'Custom',
+    glyphs: glyphs >= 1 && glyphs <= CUSTOM_VISUAL_MAX_GLYPHS ? glyphs : undefined,
+    steps: isGlyph(customVisual.half)
+      ? [customVisual.empty, customVisual.half, customVisual.full]
+      : [customVisual.empty, customVisual.full]
+  };
+}
+
+function getRatingVisualStyle(style, customVisual = null) {
+  if (style === 'custom') {
+    return getCustomVisualStyle(customVisual) || RATING_VISUAL_STYLES.stars;
+  }
+  return RATING_VISUAL_STYLES[style] || RATING_VISUAL_STYLES.stars;
+}
+
+function generateRatingVisual(style, rating, scale = RATING_SCALES.ten, customVisual = null) {
     const numRating = parseInt(rating);
 
-    if (!style || style === 'stars') {
-        // Classic Stars (default)
-        for (let i = 1; i <= 10; i++) {
-            visual += i <= numRating ? '★' : '☆';
-        }
-    } else if (style === 'hearts') {
-        // Emoji Hearts
-        for (let i = 1; i <= 10; i++) {
-            visual += i <= numRating ? '❤️' : '🤍';
-        }
-    } else if (style === 'progress') {
-        // Progress Bar
-        for (let i = 1; i <= 10; i++) {
-            visual += i <= numRating ? '▰' : '▱';
-        }
+    // Scales without a bar (thumbs) have their own symbol
+    if (scale.visual) {
+        return scale.visual(numRating);
+    }
+
+    const visualStyle = getRatingVisualStyle(style, customVisual);
+    if (visualStyle.render) {
+        return visualStyle.render(numRating, scale);
+    }
+
+    const steps = typeof visualStyle.steps === 'function' ? visualStyle.steps(numRating) : visualStyle.steps;
+    const glyphs = visualStyle.glyphs || scale.units;
+    // On a 5-star scale an odd Trakt rating ends in a half step
+    const filled = numRating * glyphs / 10;
+
+    let visual = '';
+    for (let i = 0; i < glyphs; i++) {
+        const part = Math.min(Math.max(filled - i, 0), 1);
+        // Without a half symbol a partly filled glyph stays empty, so 9/10 never reads as 10/10
+        visual += steps[steps.length === 2 ? Math.floor(part) : Math.round(part * (steps.length - 1))];
     }
 
     return visual;
@@ -521,14 +2756,14 @@ function generateRatingVisual(style, rating) {
 // Rating Title Formatter
 // ============================================
 
-async function formatRatingTitle(pattern, ratingStyle, rating, title, type, season = null, episode = null, year = null, userConfig = null, imdbId = null, isCurrentRating = false) {
-    const ratingVisual = generateRatingVisual(ratingStyle, rating);
-
+// Stats line for rating titles: live Trakt stats when a client id is available,
+// otherwise example values so the layout still reads right. Format 4 stacks the
+// stats one per line when the title has room for it (vertical).
+async function buildStatsLine(userConfig, type, imdbId, vertical = false, language = DEFAULT_LANGUAGE) {
     // Default selected stats if not specified
     const selectedStats = userConfig?.selectedStats || ['watchers', 'plays', 'comments'];
     const statsFormat = userConfig?.statsFormat || 1;
 
-    // Get stats line based on user's selected stats and format
     let statsLine = '';
 
     if (userConfig && userConfig.clientId && imdbId) {
@@ -540,11 +2775,12 @@ async function formatRatingTitle(pattern, ratingStyle, rating, title, type, seas
             // Format numbers and prepare display
             const formattedStats = selectedStats.map((stat, index) => {
                 const value = statValues[index];
-                const formattedValue = formatNumber(value);
+                const formattedValue = formatNumber(value, language);
                 const emoji = getStatEmoji(stat);
-                const displayName = getStatDisplayName(stat, value);
+                const displayName = getStatDisplayName(stat, value, language);
 
                 return {
+                    stat,
                     emoji,
                     value: formattedValue,
                     name: displayName,
@@ -564,25 +2800,18 @@ async function formatRatingTitle(pattern, ratingStyle, rating, title, type, seas
                     statsLine = formattedStats.map(s => `${s.emoji} ${s.value}`).join(' | ');
                     break;
                 case 4: // Option 4: Vertical Stats (3 lines)
-                    if (pattern === 6) {
+                    if (vertical) {
                         statsLine = formattedStats.map(s => `${s.emoji} ${s.value} ${s.name}`).join('\n');
                     } else {
                         statsLine = formattedStats.map(s => `${s.emoji} ${s.value} ${s.name}`).join(' | ');
                     }
                     break;
                 case 5: // Option 5: Balanced Stats
-                    const customNames = {
-                        'watchers': 'watching',
-                        'plays': 'played',
-                        'comments': 'commented',
-                        'lists': 'listed',
-                        'collectors': 'collected',
-                        'votes': 'voted',
-                        'rating': 'rated'
-                    };
                     statsLine = formattedStats.map(s => {
-                        const customName = customNames[s.name] || s.name;
-                        return `${s.emoji} ${s.value} ${customName}`;
+                        const verb = MESSAGES[DEFAULT_LANGUAGE][`statVerb.${s.stat}`]
+                            ? translate(language, `statVerb.${s.stat}`)
+                            : s.name;
+                        return `${s.emoji} ${s.value} ${verb}`;
                     }).join(' | ');
                     break;
                 default: // Fallback to Option 1
@@ -594,19 +2823,20 @@ async function formatRatingTitle(pattern, ratingStyle, rating, title, type, seas
     // If no stats available, use fallback with selected stats
     if (!statsLine) {
         const exampleValues = {
-            'watchers': '3.1k',
-            'plays': '5.8k',
-            'comments': '6',
-            'lists': '25',
-            'collectors': '45',
-            'votes': '180',
-            'rating': '8.5'
+            'watchers': 3100,
+            'plays': 5800,
+            'comments': 6,
+            'lists': 25,
+            'collectors': 45,
+            'votes': 180,
+            'rating': 8.5
         };
 
         const fallbackStats = selectedStats.map(stat => {
             const emoji = getStatEmoji(stat);
-            const value = exampleValues[stat] || '0';
-            const name = getStatDisplayName(stat, 2); // Use plural for fallback
+            const rawValue = exampleValues[stat] || 0;
+            const value = formatNumber(rawValue, language);
+            const name = getStatDisplayName(stat, rawValue, language);
 
             return { emoji, value, name };
         });
@@ -632,15 +2862,33 @@ async function formatRatingTitle(pattern, ratingStyle, rating, title, type, seas
         }
     }
 
+    return statsLine;
+}
+
+async function formatRatingTitle(pattern, ratingStyle, rating, title, type, season = null, episode = null, year = null, userConfig = null, imdbId = null, isCurrentRating = false, episodeInfo = null) {
+    const scale = getRatingScale(userConfig);
+    const ratingVisual = generateRatingVisual(ratingStyle, rating, scale, userConfig?.customVisual);
+    const language = getLanguage(userConfig);
+    const ratingText = scale.format(rating, language);
+    const ratingSummary = scale.summary(rating, language);
+    const removeHint = `🗑️ ${translate(language, 'rating.removeHint')}`;
+    const seriesLabel = translate(language, 'rating.series');
+    const seasonLabel = translate(language, 'rating.season', { season });
+    const episodeText = formatEpisodeText(season, episode, episodeInfo, language);
+
+    const statsLine = await buildStatsLine(userConfig, type, imdbId, pattern === 6, language);
+
     // Special case for current rating (remove rating)
     if (isCurrentRating) {
         if (pattern === 0) {
             if (type === 'movie') {
-                return `${ratingVisual}\n"${title}" ${rating}/10\n🗑️ Click to remove rating`;
-            } else if (season && episode) {
-                return `${ratingVisual}\nS${season}E${episode} "${title}" ${rating}/10\n🗑️ Click to remove rating`;
+                return `${ratingVisual}\n"${title}" ${ratingText}\n${removeHint}`;
+            } else if (season !== null && episode !== null) {
+                return `${ratingVisual}\n${episodeText} "${title}" ${ratingText}\n${removeHint}`;
+            } else if (season !== null) {
+                return `${ratingVisual}\n"${title}" ${seasonLabel} ${ratingText}\n${removeHint}`;
             } else {
-                return `${ratingVisual}\n"${title}" Series ${rating}/10\n🗑️ Click to remove rating`;
+                return `${ratingVisual}\n"${title}" ${seriesLabel} ${ratingText}\n${removeHint}`;
             }
         }
 
@@ -648,42 +2896,47 @@ async function formatRatingTitle(pattern, ratingStyle, rating, title, type, seas
         if (pattern === 1) {
             let displayTitle1 = title;
             if (type === 'series') {
-                if (season && episode) {
-                    displayTitle1 = `${title} S${season}E${episode}`;
+                if (season !== null && episode !== null) {
+                    displayTitle1 = `${title} ${episodeText}`;
+                } else if (season !== null) {
+                    displayTitle1 = `${title} ${seasonLabel}`;
                 } else {
-                    displayTitle1 = `${title} Series`;
+                    displayTitle1 = `${title} ${seriesLabel}`;
                 }
             } else {
-                displayTitle1 = `${title}${year ? ` (${year})` : ' (Movie)'}`;
+                displayTitle1 = `${title}${year ? ` (${year})` : ` ${translate(language, 'year.movie')}`}`;
             }
 
-            return `⭐ Current Rating: ${rating}/10\n🎬 ${displayTitle1}\n${ratingVisual}\n${statsLine}\n🗑️ Click to remove rating`;
+            return `⭐ ${translate(language, 'rating.currentValue', { value: ratingText })}\n🎬 ${displayTitle1}\n${ratingVisual}\n${statsLine}\n${removeHint}`;
         }
 
         // Pattern 6: Cinematic Rating Card
         if (pattern === 6) {
             if (type === 'movie') {
-                const movieTitle = year ? `🎬 ${title} (${year})` : `🎬 ${title}`;
-                return `${movieTitle}\n⭐ ${ratingVisual}\n✅ Current Rating ${rating}/10\n${statsLine}\n🗑️ Click to remove rating`;
+                const movieEmoji = getMediaEmoji(type, imdbId, userConfig);
+                const movieTitle = year ? `${movieEmoji} ${title} (${year})` : `${movieEmoji} ${title}`;
+                return `${movieTitle}\n⭐ ${ratingVisual}\n✅ ${translate(language, 'rating.currentCard', { value: ratingText })}\n${statsLine}\n${removeHint}`;
             } else if (type === 'series') {
-                const mediaEmoji = getMediaEmoji(type, title);
-                if (season && episode) {
-                    return `${mediaEmoji} ${title} S${season}E${episode}\n⭐ ${ratingVisual}\n✅ Current Rating ${rating}/10\n${statsLine}\n🗑️ Click to remove rating`;
-                } else if (season) {
-                    return `${mediaEmoji} ${title} Season ${season}\n⭐ ${ratingVisual}\n✅ Current Rating ${rating}/10\n${statsLine}\n🗑️ Click to remove rating`;
+                const mediaEmoji = getMediaEmoji(type, imdbId, userConfig);
+                if (season !== null && episode !== null) {
+                    return `${mediaEmoji} ${title} ${episodeText}\n⭐ ${ratingVisual}\n✅ ${translate(language, 'rating.currentCard', { value: ratingText })}\n${statsLine}\n${removeHint}`;
+                } else if (season !== null) {
+                    return `${mediaEmoji} ${title} ${seasonLabel}\n⭐ ${ratingVisual}\n✅ ${translate(language, 'rating.currentCard', { value: ratingText })}\n${statsLine}\n${removeHint}`;
                 } else {
-                    return `${mediaEmoji} ${title} (Series)\n⭐ ${ratingVisual}\n✅ Current Rating ${rating}/10\n${statsLine}\n🗑️ Click to remove rating`;
+                    return `${mediaEmoji} ${title} ${translate(language, 'year.series')}\n⭐ ${ratingVisual}\n✅ ${translate(language, 'rating.currentCard', { value: ratingText })}\n${statsLine}\n${removeHint}`;
                 }
             }
         }
 
         // Fallback
         if (type === 'movie') {
-            return `${ratingVisual}\n"${title}" ${rating}/10\n🗑️ Click to remove rating`;
-        } else if (season && episode) {
-            return `${ratingVisual}\nS${season}E${episode} "${title}" ${rating}/10\n🗑️ Click to remove rating`;
+            return `${ratingVisual}\n"${title}" ${ratingText}\n${removeHint}`;
+        } else if (season !== null && episode !== null) {
+            return `${ratingVisual}\n${episodeText} "${title}" ${ratingText}\n${removeHint}`;
+        } else if (season !== null) {
+            return `${ratingVisual}\n"${title}" ${seasonLabel} ${ratingText}\n${removeHint}`;
         } else {
-            return `${ratingVisual}\n"${title}" Series ${rating}/10\n🗑️ Click to remove rating`;
+            return `${ratingVisual}\n"${title}" ${seriesLabel} ${ratingText}\n${removeHint}`;
         }
     }
 
@@ -691,11 +2944,13 @@ async function formatRatingTitle(pattern, ratingStyle, rating, title, type, seas
     // Special case for Pattern 0 - no stats line needed
     if (pattern === 0) {
         if (type === 'movie') {
-            return `${ratingVisual}\n"${title}" ${rating}/10`;
-        } else if (season && episode) {
-            return `${ratingVisual}\nS${season}E${episode} "${title}" ${rating}/10`;
+            return `${ratingVisual}\n"${title}" ${ratingText}`;
+        } else if (season !== null && episode !== null) {
+            return `${ratingVisual}\n${episodeText} "${title}" ${ratingText}`;
+        } else if (season !== null) {
+            return `${ratingVisual}\n"${title}" ${seasonLabel} ${ratingText}`;
         } else {
-            return `${ratingVisual}\n"${title}" Series ${rating}/10`;
+            return `${ratingVisual}\n"${title}" ${seriesLabel} ${ratingText}`;
         }
     }
 
@@ -703,50 +2958,338 @@ async function formatRatingTitle(pattern, ratingStyle, rating, title, type, seas
     if (pattern === 1) {
         let displayTitle1 = title;
         if (type === 'series') {
-            if (season && episode) {
-                displayTitle1 = `${title} S${season}E${episode}`;
+            if (season !== null && episode !== null) {
+                displayTitle1 = `${title} ${episodeText}`;
+            } else if (season !== null) {
+                displayTitle1 = `${title} ${seasonLabel}`;
             } else {
-                displayTitle1 = `${title} Series`;
+                displayTitle1 = `${title} ${seriesLabel}`;
             }
         } else {
-            displayTitle1 = `${title}${year ? ` (${year})` : ' (Movie)'}`;
+            displayTitle1 = `${title}${year ? ` (${year})` : ` ${translate(language, 'year.movie')}`}`;
         }
 
-        return `⭐ Rating: ${rating}/10\n🎬 ${displayTitle1}\n${ratingVisual}\n${statsLine}\n📊 ${rating} out of 10 stars`;
+        return `⭐ ${translate(language, 'rating.value', { value: ratingText })}\n🎬 ${displayTitle1}\n${ratingVisual}\n${statsLine}\n📊 ${ratingSummary}`;
     }
 
     // Pattern 6: Cinematic Rating Card
     if (pattern === 6) {
         if (type === 'movie') {
-            const movieTitle = year ? `🎬 ${title} (${year})` : `🎬 ${title}`;
-            return `${movieTitle}\n⭐ ${ratingVisual}\n🎯 Rating ${rating}/10\n${statsLine}\n📊 ${rating} out of 10 stars`;
+            const movieEmoji = getMediaEmoji(type, imdbId, userConfig);
+            const movieTitle = year ? `${movieEmoji} ${title} (${year})` : `${movieEmoji} ${title}`;
+            return `${movieTitle}\n⭐ ${ratingVisual}\n🎯 ${translate(language, 'rating.card', { value: ratingText })}\n${statsLine}\n📊 ${ratingSummary}`;
         } else if (type === 'series') {
-            const mediaEmoji = getMediaEmoji(type, title);
-            if (season && episode) {
-                // Get episode type indicator
-                let episodeIndicator = '';
-                if (episode === 1) episodeIndicator = ' 🚀';
-                if (episode >= 10) episodeIndicator = ' 🔚';
-
-                return `${mediaEmoji} ${title} S${season}E${episode}${episodeIndicator}\n⭐ ${ratingVisual}\n🎯 Rating ${rating}/10\n${statsLine}\n📊 ${rating} out of 10 stars`;
-            } else if (season) {
-                return `${mediaEmoji} ${title} Season ${season}\n⭐ ${ratingVisual}\n🎯 Rating ${rating}/10\n${statsLine}\n📊 ${rating} out of 10 stars`;
+            const mediaEmoji = getMediaEmoji(type, imdbId, userConfig);
+            if (season !== null && episode !== null) {
+                // The card flags premieres and finales with a badge instead of the spelled-out type
+                const episodeBadge = EPISODE_TYPE_BADGES[episodeInfo?.type];
+                const cardEpisodeText = formatEpisodeText(season, episode, episodeInfo?.name ? { name: episodeInfo.name } : null, language);
+                const episodeIndicator = episodeBadge ? ` ${episodeBadge}` : '';
+
+                return `${mediaEmoji} ${title} ${cardEpisodeText}${episodeIndicator}\n⭐ ${ratingVisual}\n🎯 ${translate(language, 'rating.card', { value: ratingText })}\n${statsLine}\n📊 ${ratingSummary}`;
+            } else if (season !== null) {
+                return `${mediaEmoji} ${title} ${seasonLabel}\n⭐ ${ratingVisual}\n🎯 ${translate(language, 'rating.card', { value: ratingText })}\n${statsLine}\n📊 ${ratingSummary}`;
             } else {
-                return `${mediaEmoji} ${title} (Series)\n⭐ ${ratingVisual}\n🎯 Rating ${rating}/10\n${statsLine}\n📊 ${rating} out of 10 stars`;
+                return `${mediaEmoji} ${title} ${translate(language, 'year.series')}\n⭐ ${ratingVisual}\n🎯 ${translate(language, 'rating.card', { value: ratingText })}\n${statsLine}\n📊 ${ratingSummary}`;
             }
         }
     }
 
     // Fallback to original pattern
     if (type === 'movie') {
-        return `${ratingVisual}\n"${title}" ${rating}/10`;
-    } else if (season && episode) {
-        return `${ratingVisual}\nS${season}E${episode} "${title}" ${rating}/10`;
+        return `${ratingVisual}\n"${title}" ${ratingText}`;
+    } else if (season !== null && episode !== null) {
+        return `${ratingVisual}\n${episodeText} "${title}" ${ratingText}`;
+    } else if (season !== null) {
+        return `${ratingVisual}\n"${title}" ${seasonLabel} ${ratingText}`;
     } else {
-        return `${ratingVisual}\n"${title}" Series ${rating}/10`;
+        return `${ratingVisual}\n"${title}" ${seriesLabel} ${ratingText}`;
+    }
+}
+
+// ============================================
+// Stream Title Templates
+// ============================================
+
+// Users can replace the built-in title of any action stream with their own
+// template (config.titleTemplates[action]). Syntax:
+//   {name}                 placeholder, see TITLE_TEMPLATE_PLACEHOLDERS
+//   {?name}...{/name}      kept only when the placeholder has a value
+//   {!name}...{/name}      kept only when it doesn't
+//   \n or a real newline   line break; lines left empty are dropped
+const TITLE_TEMPLATE_MAX_LENGTH = 500;
+
+const TITLE_TEMPLATE_ACTIONS = [
+  'mark_watched',
+  'mark_unwatched',
+  'mark_season_watched',
+  'mark_series_watched',
+  'mark_up_to_here',
+  'rate_only',
+  'remove_rating',
+  'add_to_watchlist',
+  'remove_from_watchlist',
+  'add_to_collection',
+  'remove_from_collection',
+  'add_to_list',
+  'remove_from_list',
+  'checkin'
+];
+
+const TITLE_TEMPLATE_PLACEHOLDERS = {
+  title: 'Movie or series title',
+  year: 'Release year',
+  yearText: '"(1999)", or "(Movie)" / "(Series)" without a year',
+  mediaEmoji: 'Emoji picked for the title',
+  mediaType: '"movie" or "series"',
+  season: 'Season number',
+  episode: 'Episode number',
+  SxxEyy: 'Episode code like S01E02 (episodes only)',
+  episodeName: 'Episode name, when known',
+  airDate: 'Episode air date (YYYY-MM-DD), when known',
+  episodeFlag: '"Season Finale", "Series Premiere", … when the episode is one',
+  episodeText: 'Code, name and flag: "S2E10 \'The Reckoning\' — Season Finale"',
+  episodeBadge: '🚀 on a premiere, 🔚 on a finale',
+  scope: '"Season 2" or "Series" when rating a season or a whole show',
+  isMovie: 'Set for movies',
+  isEpisode: 'Set for episodes',
+  isSeason: 'Set for season ratings',
+  isSeries: 'Set for whole-show ratings',
+  rating: 'The rating this stream sets, in your scale',
+  visual: 'The rating drawn in your rating style',
+  summary: 'The rating spelled out ("8 out of 10 stars")',
+  stats: 'Trakt community stats line',
+  currentRating: 'Your current Trakt rating, if any',
+  watchCount: 'How often you have watched it, if at all',
+  listName: 'Trakt list name (list actions)',
+  removeHint: '"Click to remove rating"'
+};
+
+// The built-in rating patterns, as templates users can start from. Names and
+// the words around the placeholders come from the message catalog, so each
+// preset reads like the pattern it copies in the user's language.
+function getTitleTemplatePresets(language = DEFAULT_LANGUAGE) {
+  const label = key => translate(language, key, { value: '{rating}' });
+
+  return {
+    compact: {
+      name: translate(language, 'preset.compact'),
+      templates: {
+        rate_only: '{visual}\n{?isEpisode}{episodeText} {/isEpisode}"{title}"{?scope} {scope}{/scope} {rating}',
+        remove_rating: '{visual}\n{?isEpisode}{episodeText} {/isEpisode}"{title}"{?scope} {scope}{/scope} {rating}\n🗑️ {removeHint}'
+      }
+    },
+    vertical: {
+      name: translate(language, 'preset.vertical'),
+      templates: {
+        rate_only: `⭐ ${label('rating.value')}\n🎬 {title}{?isMovie} {yearText}{/isMovie}{?isEpisode} {episodeText}{/isEpisode}{?scope} {scope}{/scope}\n{visual}\n{stats}\n📊 {summary}`,
+        remove_rating: `⭐ ${label('rating.currentValue')}\n🎬 {title}{?isMovie} {yearText}{/isMovie}{?isEpisode} {episodeText}{/isEpisode}{?scope} {scope}{/scope}\n{visual}\n{stats}\n🗑️ {removeHint}`
+      }
+    },
+    cinematic: {
+      name: translate(language, 'preset.cinematic'),
+      templates: {
+        rate_only: `{mediaEmoji} {title}{?isMovie}{?year} ({year}){/year}{/isMovie}{?isEpisode} S{season}E{episode}{?episodeName} '{episodeName}'{/episodeName}{?episodeBadge} {episodeBadge}{/episodeBadge}{/isEpisode}{?isSeason} {scope}{/isSeason}{?isSeries} {yearText}{/isSeries}\n⭐ {visual}\n🎯 ${label('rating.card')}\n{stats}\n📊 {summary}`,
+        remove_rating: `{mediaEmoji} {title}{?isMovie}{?year} ({year}){/year}{/isMovie}{?isEpisode} {episodeText}{/isEpisode}{?isSeason} {scope}{/isSeason}{?isSeries} {yearText}{/isSeries}\n⭐ {visual}\n✅ ${label('rating.currentCard')}\n{stats}\n🗑️ {removeHint}`
+      }
+    }
+  };
+}
+
+const TEMPLATE_TAG_PATTERN = /\{([?!/]?)(\w+)\}/g;
+
+// Innermost section first: its body holds no further opening tag
+const TEMPLATE_SECTION_PATTERN = /\{([?!])(\w+)\}((?:(?!\{[?!]\w+\})[\s\S])*?)\{\/\2\}/g;
+
+function templateUsesPlaceholder(template, name) {
+  return [...template.matchAll(TEMPLATE_TAG_PATTERN)].some(match => match[2] === name);
+}
+
+// Returns a list of problems; an empty list means the template can be rendered
+function validateTitleTemplate(template) {
+  if (typeof template !== 'string' || !template.trim()) {
+    return ['Template is empty'];
+  }
+  if (template.length > TITLE_TEMPLATE_MAX_LENGTH) {
+    return [`Template is longer than ${TITLE_TEMPLATE_MAX_LENGTH} characters`];
+  }
+
+  const errors = [];
+  const open = [];
+  for (const [tag, kind, name] of template.matchAll(TEMPLATE_TAG_PATTERN)) {
+    if (!TITLE_TEMPLATE_PLACEHOLDERS[name]) {
+      errors.push(`Unknown placeholder ${tag}`);
+    } else if (kind === '/') {
+      if (open[open.length - 1] !== name) {
+        errors.push(`${tag} does not close an open {?${name}} or {!${name}}`);
+      } else {
+        open.pop();
+      }
+    } else if (kind) {
+      open.push(name);
     }
+  }
+  open.forEach(name => errors.push(`{?${name}} is never closed with {/${name}}`));
+  return errors;
+}
+
+function renderTitleTemplate(template, values) {
+  let output = template.replace(/\\n/g, '\n');
+
+  let previous;
+  do {
+    previous = output;
+    output = output.replace(TEMPLATE_SECTION_PATTERN, (section, kind, name, body) =>
+      (Boolean(values[name]) === (kind === '?') ? body : ''));
+  } while (output !== previous);
+
+  output = output.replace(TEMPLATE_TAG_PATTERN, (tag, kind, name) => (kind ? '' : String(values[name] ?? '')));
+
+  return output
+    .split('\n')
+    .map(line => line.trimEnd())
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Placeholder values for one stream. Trakt lookups (stats, current rating,
+// watch count) only run when the template actually uses them.
+async function getTitleTemplateValues(template, title, type, imdbId, rating = null, season = null, episode = null, year = null, userConfig = null, isCurrentRating = false, streamInfo = {}) {
+  const language = getLanguage(userConfig);
+  const scale = getRatingScale(userConfig);
+  const isMovie = type === 'movie';
+  const isEpisode = !isMovie && season !== null && episode !== null;
+  const isSeason = !isMovie && season !== null && episode === null;
+  const isSeries = !isMovie && !season;
+
+  let scope = '';
+  if (isSeason) scope = translate(language, 'rating.season', { season });
+  if (isSeries) scope = translate(language, 'rating.series');
+
+  const episodeInfo = isEpisode ? streamInfo.episodeInfo : null;
+  const episodeType = EPISODE_TYPE_BADGES[episodeInfo?.type] ? episodeInfo.type : null;
+
+  const values = {
+    title,
+    year: year || '',
+    yearText: year ? `(${year})` : translate(language, isMovie ? 'year.movie' : 'year.series'),
+    mediaEmoji: getMediaEmoji(type, imdbId, userConfig),
+    mediaType: translate(language, isMovie ? 'media.movie' : 'media.series'),
+    season: season ?? '',
+    episode: episode ?? '',
+    SxxEyy: isEpisode ? formatEpisodeCode(season, episode) : '',
+    episodeName: episodeInfo?.name || '',
+    airDate: episodeInfo?.airDate || '',
+    episodeFlag: episodeType ? translate(language, `episodeType.${episodeType}`) : '',
+    episodeText: isEpisode ? formatEpisodeText(season, episode, episodeInfo, language) : '',
+    episodeBadge: episodeType ? EPISODE_TYPE_BADGES[episodeType] : '',
+    scope,
+    isMovie: isMovie ? 'yes' : '',
+    isEpisode: isEpisode ? 'yes' : '',
+    isSeason: isSeason ? 'yes' : '',
+    isSeries: isSeries ? 'yes' : '',
+    rating: rating ? scale.format(rating, language) : '',
+    visual: rating ? generateRatingVisual(userConfig?.ratingStyle || 'stars', rating, scale, userConfig?.customVisual) : '',
+    summary: rating ? scale.summary(rating, language) : '',
+    stats: '',
+    currentRating: isCurrentRating && rating ? scale.format(rating, language) : '',
+    watchCount: '',
+    listName: streamInfo.listName || '',
+    removeHint: translate(language, 'rating.removeHint')
+  };
+
+  if (templateUsesPlaceholder(template, 'stats')) {
+    values.stats = await buildStatsLine(userConfig, type, imdbId, true, language);
+  }
+
+  const canLookUp = Boolean(userConfig?.access_token);
+  if (canLookUp && !values.currentRating && templateUsesPlaceholder(template, 'currentRating')) {
+    const currentRating = await getUserRating(imdbId, type, userConfig, season, episode);
+    values.currentRating = currentRating ? scale.format(currentRating, language) : '';
+  }
+  if (canLookUp && templateUsesPlaceholder(template, 'watchCount')) {
+    const status = await getWatchedStatus(imdbId, type, userConfig, season, episode);
+    values.watchCount = status?.plays ? String(status.plays) : '';
+  }
+
+  return values;
+}
+
+// Sample items for the configure page preview
+const TITLE_TEMPLATE_SAMPLES = {
+  movie: { title: 'The Matrix', type: 'movie', imdbId: 'tt0133093', year: '1999' },
+  episode: {
+    title: 'Breaking Bad', type: 'series', imdbId: 'tt0903747', year: '2008', season: 1, episode: 2,
+    episodeInfo: { name: 'Cat\'s in the Bag...', airDate: '2008-01-27', type: null }
+  },
+  season: { title: 'Breaking Bad', type: 'series', imdbId: 'tt0903747', year: '2008', season: 2 },
+  series: { title: 'Breaking Bad', type: 'series', imdbId: 'tt0903747', year: '2008' }
+};
+
+// The stream title catalog for one language (English filling any gaps), so the
+// configure page preview uses the same wording and plural forms as the streams
+app.get('/messages/:language', (req, res) => {
+  const language = Object.hasOwn(MESSAGES, req.params.language) ? req.params.language : DEFAULT_LANGUAGE;
+  res.json({ language, messages: { ...MESSAGES[DEFAULT_LANGUAGE], ...MESSAGES[language] } });
+});
+
+app.get('/templates', (req, res) => {
+  const language = Object.hasOwn(MESSAGES, req.query.language) ? req.query.language : DEFAULT_LANGUAGE;
+  res.json({
+    actions: TITLE_TEMPLATE_ACTIONS,
+    placeholders: TITLE_TEMPLATE_PLACEHOLDERS,
+    presets: getTitleTemplatePresets(language),
+    maxLength: TITLE_TEMPLATE_MAX_LENGTH
+  });
+});
+
+// Renders a template against a sample item with example stats, no Trakt account needed
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
 }
 
+app.post('/templates/preview', async (req, res) => {
+  const body = isPlainObject(req.body) ? req.body : {};
+  const { template, action = 'rate_only', sample = 'movie' } = body;
+  const config = isPlainObject(body.config) ? body.config : {};
+
+  if (!TITLE_TEMPLATE_ACTIONS.includes(action)) {
+    return res.status(400).json({ success: false, errors: [`Unknown action ${action}`] });
+  }
+
+  const errors = validateTitleTemplate(template);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  try {
+    // Only display settings are taken from the page; nothing here reaches Trakt
+    const previewConfig = {
+      language: config.language,
+      ratingScale: config.ratingScale,
+      ratingStyle: config.ratingStyle,
+      customVisual: config.customVisual,
+      selectedStats: config.selectedStats,
+      statsFormat: config.statsFormat
+    };
+    const item = Object.hasOwn(TITLE_TEMPLATE_SAMPLES, sample) ? TITLE_TEMPLATE_SAMPLES[sample] : TITLE_TEMPLATE_SAMPLES.movie;
+    const isRating = action === 'rate_only' || action === 'remove_rating';
+
+    const values = await getTitleTemplateValues(
+      template, item.title, item.type, item.imdbId, isRating ? 8 : null, item.season ?? null, item.episode ?? null,
+      item.year, previewConfig, action === 'remove_rating', { listName: 'Favorites', episodeInfo: item.episodeInfo }
+    );
+    const scale = getRatingScale(previewConfig);
+    values.currentRating = values.currentRating || scale.format(8, getLanguage(previewConfig));
+    values.watchCount = '2';
+
+    res.json({ success: true, title: renderTitleTemplate(template, values) });
+  } catch (error) {
+    console.error(`[TEMPLATE] Preview failed: ${error.message}`);
+    res.status(400).json({ success: false, errors: ['Preview settings could not be used'] });
+  }
+});
+
 // ============================================
 // OAuth Routes with Upstash Support
 // ============================================
@@ -773,7 +3316,7 @@ app.post('/oauth/exchange', async (req, res) => {
   const { code, clientId, upstashUrl, upstashToken } = req.body;
 
   try {
-    const response = await fetch('https://api.trakt.tv/oauth/token', {
+    const response = await fetch(`${TRAKT_API_URL}/oauth/token`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -793,7 +3336,7 @@ app.post('/oauth/exchange', async (req, res) => {
     const tokens = await response.json();
 
     // Get user info
-    const userResponse = await fetch('https://api.trakt.tv/users/settings', {
+    const userResponse = await fetch(`${TRAKT_API_URL}/users/settings`, {
       headers: {
         'Authorization': `Bearer ${tokens.access_token}`,
         'trakt-api-version': '2',
@@ -811,38 +3354,42 @@ app.post('/oauth/exchange', async (req, res) => {
     tokens.expires_at = Date.now() + (tokens.expires_in * 1000);
 
     let configId = null;
-    let upstashSuccess = false;
+    let storedIn = null;
 
-    // If Upstash credentials are provided, store tokens in Upstash
-    if (upstashUrl && upstashToken) {
+    // User's own Upstash credentials win, otherwise the server's storage backend (if configured)
+    const storageMethod = upstashUrl && upstashToken ? 'upstash' : (getServerStorage() ? 'server' : null);
+    const storage = storageMethod ? getStorageForConfig({ storage: storageMethod, upstashUrl, upstashToken }) : null;
+
+    if (storage) {
       try {
         configId = generateConfigId();
         const tokensKey = `trakt_tokens:${configId}`;
 
-        // Store tokens in Upstash with 90-day expiration
-        await upstashSet(upstashUrl, upstashToken, tokensKey, JSON.stringify(tokens), 90 * 24 * 60 * 60);
-        upstashSuccess = true;
+        // Store tokens with 90-day expiration
+        await storage.set(tokensKey, JSON.stringify(tokens), TOKEN_TTL_SECONDS);
+        storedIn = storageMethod;
 
         // Also cache tokens locally as fallback
-        upstashTokenCache.set(configId, {
+        tokenCache.set(configId, {
           tokens: tokens,
           timestamp: Date.now()
         });
 
-      } catch (redisError) {
-        console.error('Upstash storage failed:', redisError.message);
+      } catch (storageError) {
+        console.error(`${storage.name} storage failed:`, storageError.message);
         // Continue with URL storage as fallback
       }
     }
 
-    if (upstashSuccess) {
-      // Return config ID for Upstash storage AND tokens for fallback
+    if (storedIn) {
+      // Return config ID for stored tokens AND tokens for fallback
       res.json({
         success: true,
         configId,
         tokens: tokens, // Include tokens for fallback in config
         username: username,
-        storage: 'upstash'
+        storage: storedIn,
+        backend: storage.name
       });
     } else {
       // Return tokens for URL storage (fallback)
@@ -866,14 +3413,35 @@ app.post('/oauth/exchange', async (req, res) => {
 // Token refresh endpoint
 app.post('/oauth/refresh', async (req, res) => {
   try {
-    const { refreshToken, clientId, upstashUrl, upstashToken, configId } = req.body;
+    const { refreshToken, clientId, config } = req.body;
 
     if (!refreshToken || !clientId) {
       return res.status(400).json({ error: 'Refresh token and Client ID are required' });
     }
 
+    // The storage record to update comes from the addon config only, never from
+    // body fields, and the caller has to hold the refresh token already stored there
+    let storage = null;
+    let configId = null;
+    if (config) {
+      const userConfig = decodeConfig(config);
+      if (!userConfig) {
+        return res.status(400).json({ error: 'Invalid config' });
+      }
+      storage = userConfig.configId ? getStorageForConfig(userConfig) : null;
+      configId = userConfig.configId;
+      if (storage) {
+        const storedJson = await storage.get(`trakt_tokens:${configId}`);
+        const stored = storedJson ? JSON.parse(storedJson) : null;
+        if (!stored || stored.refresh_token !== refreshToken) {
+          console.log(`[TOKEN REFRESH] Refresh token does not match the stored tokens for ${configId}`);
+          return res.status(403).json({ success: false, error: 'Refresh token does not belong to this config' });
+        }
+      }
+    }
+
     // Refresh tokens
-    const response = await fetch('https://api.trakt.tv/oauth/token', {
+    const response = await fetch(`${TRAKT_API_URL}/oauth/token`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -894,7 +3462,7 @@ app.post('/oauth/refresh', async (req, res) => {
     tokens.expires_at = Date.now() + (tokens.expires_in * 1000);
 
     // Get user info to verify
-    const userResponse = await fetch('https://api.trakt.tv/users/settings', {
+    const userResponse = await fetch(`${TRAKT_API_URL}/users/settings`, {
       headers: {
         'Authorization': `Bearer ${tokens.access_token}`,
         'trakt-api-version': '2',
@@ -907,19 +3475,19 @@ app.post('/oauth/refresh', async (req, res) => {
       tokens.username = userData.user?.username || 'Trakt User';
     }
 
-    // Update Upstash if using Upstash storage
-    if (storage === 'upstash' && upstashUrl && upstashToken && configId) {
+    // Update stored tokens if using Upstash / server storage
+    if (storage) {
       try {
         const tokensKey = `trakt_tokens:${configId}`;
-        await upstashSet(upstashUrl, upstashToken, tokensKey, JSON.stringify(tokens), 90 * 24 * 60 * 60);
+        await storage.set(tokensKey, JSON.stringify(tokens), TOKEN_TTL_SECONDS);
 
         // Update local cache
-        upstashTokenCache.set(configId, {
+        tokenCache.set(configId, {
           tokens: tokens,
           timestamp: Date.now()
         });
-      } catch (redisError) {
-        console.error('Redis update failed:', redisError.message);
+      } catch (storageError) {
+        console.error(`${storage.name} update failed:`, storageError.message);
       }
     }
 
@@ -951,10 +3519,10 @@ app.post('/oauth/tokens', async (req, res) => {
     }
 
     // First check local cache
-    const cached = upstashTokenCache.get(configId);
+    const cached = tokenCache.get(configId);
     const now = Date.now();
 
-    if (cached && (now - cached.timestamp) < UPSTASH_CACHE_TTL) {
+    if (cached && (now - cached.timestamp) < TOKEN_CACHE_TTL) {
       console.log(`[UPSTASH] Using cached tokens for ${configId}`);
       return res.json({
         success: true,
@@ -979,7 +3547,7 @@ app.post('/oauth/tokens', async (req, res) => {
       const tokens = JSON.parse(tokensJson);
 
       // Cache the tokens locally
-      upstashTokenCache.set(configId, {
+      tokenCache.set(configId, {
         tokens: tokens,
         timestamp: now
       });
@@ -1050,13 +3618,111 @@ app.post('/upstash/test', async (req, res) => {
   }
 });
 
+// List the user's personal Trakt lists so the configuration page can offer them
+app.post('/trakt/lists', async (req, res) => {
+  try {
+    const { accessToken, clientId } = req.body;
+
+    if (!accessToken || !clientId) {
+      return res.status(400).json({ error: 'Access token and Client ID are required' });
+    }
+
+    const response = await fetch(`${TRAKT_API_URL}/users/me/lists`, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${accessToken}`,
+        'trakt-api-version': '2',
+        'trakt-api-key': clientId
+      }
+    });
+
+    if (!response.ok) {
+      return res.status(response.status).json({ error: `Trakt API error: ${response.status}` });
+    }
+
+    const lists = await response.json();
+    res.json({
+      lists: lists.map(list => ({
+        id: list.ids.trakt,
+        slug: list.ids.slug,
+        name: list.name,
+        itemCount: list.item_count
+      }))
+    });
+
+  } catch (error) {
+    console.error('[LISTS] Error fetching lists:', error.message);
+    res.status(500).json({ error: 'Failed to fetch Trakt lists' });
+  }
+});
+
+// Tell the configuration page whether the server has its own storage backend
+app.get('/storage/info', (req, res) => {
+  const storage = getServerStorage();
+  res.json({
+    serverStorage: !!storage,
+    backend: storage ? storage.name : null
+  });
+});
+
+// ============================================
+// Config Encoding Endpoints
+// ============================================
+
+// The configure page builds the config, the server seals it (the browser never sees CONFIG_SECRET)
+app.post('/config/encode', (req, res) => {
+  const { config } = req.body;
+
+  if (!config || typeof config !== 'object') {
+    return res.status(400).json({ success: false, error: 'Missing config' });
+  }
+
+  const encoded = encodeConfig(config);
+  if (!encoded) {
+    return res.status(500).json({ success: false, error: 'Failed to encode config' });
+  }
+
+  res.json({
+    success: true,
+    config: encoded,
+    encrypted: isConfigEncryptionEnabled()
+  });
+});
+
+// Swap a plain or retired-key config for one sealed with the current key
+app.post('/config/reissue', (req, res) => {
+  const { config } = req.body;
+
+  if (!config || typeof config !== 'string') {
+    return res.status(400).json({ success: false, error: 'Missing config' });
+  }
+
+  if (!isConfigEncryptionEnabled()) {
+    return res.status(400).json({ success: false, error: 'Config encryption is not enabled on this server' });
+  }
+
+  const userConfig = decodeConfig(config);
+  if (!userConfig) {
+    return res.status(400).json({ success: false, error: 'Config could not be decoded' });
+  }
+
+  const reissued = encodeConfig(userConfig);
+  console.log(`[CONFIG] Re-issued ${isEncryptedConfig(config) ? 'rotated-key' : 'plain'} config for ${userConfig.username || 'unknown user'}`);
+
+  res.json({
+    success: true,
+    config: reissued,
+    manifestUrl: `${SERVER_URL}/configured/${reissued}/manifest.json`
+  });
+});
+
 // ============================================
 // Token Refresh Helper
 // ============================================
 
 async function refreshTraktTokens(userConfig) {
   try {
-    const { refresh_token, clientId, upstashUrl, upstashToken, configId, storage } = userConfig;
+    const { refresh_token, clientId, configId, storage } = userConfig;
 
     if (!refresh_token || !clientId) {
       console.log('[TOKEN REFRESH] Missing refresh token or clientId');
@@ -1071,7 +3737,7 @@ async function refreshTraktTokens(userConfig) {
       throw new Error('URL storage: Cannot refresh without valid refresh token');
     }
 
-    const response = await fetch('https://api.trakt.tv/oauth/token', {
+    const response = await fetch(`${TRAKT_API_URL}/oauth/token`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -1098,7 +3764,7 @@ async function refreshTraktTokens(userConfig) {
     newTokens.created_at = Math.floor(Date.now() / 1000);
 
     // Update user info
-    const userResponse = await fetch('https://api.trakt.tv/users/settings', {
+    const userResponse = await fetch(`${TRAKT_API_URL}/users/settings`, {
       headers: {
         'Authorization': `Bearer ${newTokens.access_token}`,
         'trakt-api-version': '2',
@@ -1111,21 +3777,22 @@ async function refreshTraktTokens(userConfig) {
       newTokens.username = userData.user?.username || 'Trakt User';
     }
 
-    // Update Upstash if using Upstash storage
-    if (storage === 'upstash' && upstashUrl && upstashToken && configId) {
+    // Update stored tokens if using Upstash / server storage
+    const tokenStorage = configId ? getStorageForConfig(userConfig) : null;
+    if (tokenStorage) {
       try {
         const tokensKey = `trakt_tokens:${configId}`;
-        await upstashSet(upstashUrl, upstashToken, tokensKey, JSON.stringify(newTokens), 90 * 24 * 60 * 60);
+        await tokenStorage.set(tokensKey, JSON.stringify(newTokens), TOKEN_TTL_SECONDS);
 
         // Update local cache
-        upstashTokenCache.set(configId, {
+        tokenCache.set(configId, {
           tokens: newTokens,
           timestamp: Date.now()
         });
 
-        console.log(`[TOKEN REFRESH] Updated tokens in Upstash for ${configId}`);
-      } catch (upstashError) {
-        console.error(`[TOKEN REFRESH] Failed to update Upstash: ${upstashError.message}`);
+        console.log(`[TOKEN REFRESH] Updated tokens in ${tokenStorage.name} storage for ${configId}`);
+      } catch (storageError) {
+        console.error(`[TOKEN REFRESH] Failed to update ${tokenStorage.name} storage: ${storageError.message}`);
       }
     }
 
@@ -1161,143 +3828,243 @@ async function getUserConfigWithTokens(config) {
       return null;
     }
 
-    console.log(`[CONFIG] Storage method: ${userConfig.storage || 'url'}`);
+    const primaryConfig = await loadAccountTokens(userConfig);
+    if (primaryConfig) {
+      primaryConfig.accountId = 0;
+      await verifyAccountIdentity(primaryConfig);
+    }
+    if (primaryConfig && Array.isArray(userConfig.accounts) && userConfig.accounts.length > 0) {
+      primaryConfig.linkedAccounts = await loadLinkedAccounts(primaryConfig);
+    }
+    return primaryConfig;
 
-    // If using URL storage or no storage specified
-    if (!userConfig.storage || userConfig.storage === 'url') {
-      if (userConfig.access_token) {
-        console.log(`[CONFIG] Using URL storage token`);
-        return userConfig;
-      } else {
-        console.log(`[CONFIG] URL storage: No access token`);
-        return null;
-      }
+  } catch (error) {
+    console.error(`[CONFIG] Error in getUserConfigWithTokens: ${error.message}`);
+    return null;
+  }
+}
+
+// Resolves one account's tokens (URL, Upstash or server storage), refreshing stored ones close to expiry
+async function loadAccountTokens(userConfig) {
+  console.log(`[CONFIG] Storage method: ${userConfig.storage || 'url'}`);
+
+  // If using URL storage or no storage specified
+  if (!userConfig.storage || userConfig.storage === 'url') {
+    if (userConfig.access_token) {
+      console.log(`[CONFIG] Using URL storage token`);
+      return userConfig;
+    } else {
+      console.log(`[CONFIG] URL storage: No access token`);
+      return null;
     }
+  }
 
-    // If using Upstash storage
-    if (userConfig.storage === 'upstash') {
-      if (!userConfig.upstashUrl || !userConfig.upstashToken || !userConfig.configId) {
-        console.log(`[CONFIG] Upstash storage: Missing Upstash credentials`);
-        return null;
-      }
+  // If using Upstash or server storage
+  if (usesStoredTokens(userConfig)) {
+    const storage = getStorageForConfig(userConfig);
+    if (!storage || !userConfig.configId) {
+      console.log(`[CONFIG] ${userConfig.storage} storage: Missing storage credentials or configId`);
+      // Fallback to tokens in config if available
+      return userConfig.access_token ? userConfig : null;
+    }
 
-      console.log(`[CONFIG] Fetching tokens from Upstash for configId: ${userConfig.configId}`);
+    console.log(`[CONFIG] Fetching tokens from ${storage.name} storage for configId: ${userConfig.configId}`);
 
-      try {
-        // Check local cache first
-        const cached = upstashTokenCache.get(userConfig.configId);
-        const now = Date.now();
+    try {
+      // Check local cache first
+      const cached = tokenCache.get(userConfig.configId);
+      const now = Date.now();
 
-        if (cached && (now - cached.timestamp) < UPSTASH_CACHE_TTL) {
-          console.log(`[CONFIG] Using cached tokens for ${userConfig.configId}`);
-          // Merge tokens into userConfig
-          Object.assign(userConfig, cached.tokens);
+      if (cached && (now - cached.timestamp) < TOKEN_CACHE_TTL) {
+        console.log(`[CONFIG] Using cached tokens for ${userConfig.configId}`);
+        // Merge tokens into userConfig
+        Object.assign(userConfig, cached.tokens);
 
-          // For Upstash storage, refresh if expiring in less than 30 days
-          const expiresAt = userConfig.expires_at || (userConfig.created_at ? userConfig.created_at * 1000 + userConfig.expires_in * 1000 : now + userConfig.expires_in * 1000);
-          const daysRemaining = Math.floor((expiresAt - now) / (24 * 60 * 60 * 1000));
+        // For stored tokens, refresh if expiring in less than 30 days
+        const expiresAt = userConfig.expires_at || (userConfig.created_at ? userConfig.created_at * 1000 + userConfig.expires_in * 1000 : now + userConfig.expires_in * 1000);
+        const daysRemaining = Math.floor((expiresAt - now) / (24 * 60 * 60 * 1000));
 
-          if (daysRemaining < 30 && daysRemaining > 0) {
-            console.log(`[CONFIG] Upstash token expiring in ${daysRemaining} days, refreshing...`);
-            try {
-              const refreshedTokens = await refreshTraktTokens(userConfig);
-              if (refreshedTokens && refreshedTokens.access_token) {
-                Object.assign(userConfig, refreshedTokens);
-                console.log(`[CONFIG] Upstash token refreshed successfully`);
-              }
-            } catch (refreshError) {
-              console.log(`[CONFIG] Upstash token refresh failed: ${refreshError.message}`);
-              // Continue with existing token
+        if (daysRemaining < 30 && daysRemaining > 0) {
+          console.log(`[CONFIG] Stored token expiring in ${daysRemaining} days, refreshing...`);
+          try {
+            const refreshedTokens = await refreshTraktTokens(userConfig);
+            if (refreshedTokens && refreshedTokens.access_token) {
+              Object.assign(userConfig, refreshedTokens);
+              console.log(`[CONFIG] Stored token refreshed successfully`);
             }
-          } else if (daysRemaining > 0) {
-            console.log(`[CONFIG] Upstash token still valid for ${daysRemaining} days`);
-          } else if (daysRemaining <= 0) {
-            console.log(`[CONFIG] Upstash token has expired`);
+          } catch (refreshError) {
+            console.log(`[CONFIG] Stored token refresh failed: ${refreshError.message}`);
+            // Continue with existing token
           }
+        } else if (daysRemaining > 0) {
+          console.log(`[CONFIG] Stored token still valid for ${daysRemaining} days`);
+        } else if (daysRemaining <= 0) {
+          console.log(`[CONFIG] Stored token has expired`);
+        }
+
+        return userConfig;
+      }
+
+      // DIRECT storage call (no HTTP to ourselves)
+      const tokensKey = `trakt_tokens:${userConfig.configId}`;
+      const tokensJson = await storage.get(tokensKey);
 
+      if (!tokensJson) {
+        console.log(`[CONFIG] Tokens not found in ${storage.name} storage`);
+        // Fallback to tokens in config if available
+        if (userConfig.access_token) {
+          console.log(`[CONFIG] Falling back to config tokens`);
           return userConfig;
         }
+        return null;
+      }
+
+      const tokens = JSON.parse(tokensJson);
+      console.log(`[CONFIG] Successfully retrieved tokens from ${storage.name} storage`);
+
+      // Cache the tokens locally
+      tokenCache.set(userConfig.configId, {
+        tokens: tokens,
+        timestamp: now
+      });
 
-        // DIRECT Upstash call (no HTTP to ourselves)
-        const tokensKey = `trakt_tokens:${userConfig.configId}`;
-        console.log(`[CONFIG] Direct Upstash call: ${userConfig.upstashUrl}/get/${tokensKey}`);
+      // Merge tokens into userConfig
+      Object.assign(userConfig, tokens);
 
-        const tokensJson = await upstashGet(userConfig.upstashUrl, userConfig.upstashToken, tokensKey);
+      // For stored tokens, refresh if expiring in less than 30 days
+      const expiresAt = userConfig.expires_at || (userConfig.created_at ? userConfig.created_at * 1000 + userConfig.expires_in * 1000 : now + userConfig.expires_in * 1000);
+      const daysRemaining = Math.floor((expiresAt - now) / (24 * 60 * 60 * 1000));
 
-        if (!tokensJson) {
-          console.log(`[CONFIG] Tokens not found in Upstash`);
-          // Fallback to tokens in config if available
-          if (userConfig.access_token) {
-            console.log(`[CONFIG] Falling back to config tokens`);
-            return userConfig;
+      if (daysRemaining < 30 && daysRemaining > 0) {
+        console.log(`[CONFIG] Stored token expiring in ${daysRemaining} days, refreshing...`);
+        try {
+          const refreshedTokens = await refreshTraktTokens(userConfig);
+          if (refreshedTokens && refreshedTokens.access_token) {
+            Object.assign(userConfig, refreshedTokens);
+            console.log(`[CONFIG] Stored token refreshed successfully`);
           }
-          return null;
+        } catch (refreshError) {
+          console.log(`[CONFIG] Stored token refresh failed: ${refreshError.message}`);
+          // Continue with existing token
         }
+      } else if (daysRemaining > 0) {
+        console.log(`[CONFIG] Stored token still valid for ${daysRemaining} days`);
+      } else if (daysRemaining <= 0) {
+        console.log(`[CONFIG] Stored token has expired`);
+      }
 
-        const tokens = JSON.parse(tokensJson);
-        console.log(`[CONFIG] Successfully retrieved tokens from Upstash`);
+      return userConfig;
 
-        // Cache the tokens locally
-        upstashTokenCache.set(userConfig.configId, {
-          tokens: tokens,
-          timestamp: now
-        });
+    } catch (storageError) {
+      console.error(`[CONFIG] Error fetching from ${storage.name} storage: ${storageError.message}`);
 
-        // Merge tokens into userConfig
-        Object.assign(userConfig, tokens);
+      // Try the local cache even if expired
+      const cached = tokenCache.get(userConfig.configId);
+      if (cached) {
+        console.log(`[CONFIG] Using expired cache for ${userConfig.configId} as fallback`);
+        Object.assign(userConfig, cached.tokens);
+        return userConfig;
+      }
 
-        // For Upstash storage, refresh if expiring in less than 30 days
-        const expiresAt = userConfig.expires_at || (userConfig.created_at ? userConfig.created_at * 1000 + userConfig.expires_in * 1000 : now + userConfig.expires_in * 1000);
-        const daysRemaining = Math.floor((expiresAt - now) / (24 * 60 * 60 * 1000));
+      // Fallback to tokens in config if available
+      if (userConfig.access_token) {
+        console.log(`[CONFIG] Falling back to config tokens after storage error`);
+        return userConfig;
+      }
+
+      console.log(`[CONFIG] No tokens available from any source`);
+      return null;
+    }
+  }
+
+  return null;
+}
+
+// ============================================
+// Linked Trakt Accounts (several people on one config)
+// ============================================
+
+// Each linked account went through its own OAuth exchange, so it carries its own
+// tokens (URL storage) or its own configId in the config's storage backend
+const ACCOUNT_TOKEN_FIELDS = ['username', 'configId', 'access_token', 'refresh_token', 'expires_in', 'expires_at', 'created_at', 'scope', 'token_type'];
+const ACCOUNT_STREAM_MODES = ['everyone', 'per_account'];
+
+// Linked accounts share the primary's settings and storage, but personal lists belong to the primary
+function buildLinkedAccountConfig(userConfig, account) {
+  const { accounts, linkedAccounts, personalLists, ...settings } = userConfig;
+  for (const field of ACCOUNT_TOKEN_FIELDS) {
+    delete settings[field];
+    if (account[field] !== undefined) {
+      settings[field] = account[field];
+    }
+  }
+  return settings;
+}
+
+// One broken account shouldn't take the others down with it
+async function loadLinkedAccounts(userConfig) {
+  const linked = [];
+  for (const [index, account] of userConfig.accounts.entries()) {
+    try {
+      const accountConfig = await loadAccountTokens({ ...buildLinkedAccountConfig(userConfig, account), accountId: index + 1 });
+      if (accountConfig && accountConfig.access_token && !(await verifyAccountIdentity(accountConfig))) {
+        // Its queue jobs and log entries are keyed by the Trakt user, so an unconfirmed token gets nothing
+        console.log(`[ACCOUNTS] Trakt rejected the token of linked account ${account.username || account.configId}`);
+      } else if (accountConfig && accountConfig.access_token) {
+        linked.push(accountConfig);
+      } else {
+        console.log(`[ACCOUNTS] No tokens for linked account ${account.username || account.configId}`);
+      }
+    } catch (error) {
+      console.error(`[ACCOUNTS] Failed to load linked account ${account.username || account.configId}: ${error.message}`);
+    }
+  }
+  return linked;
+}
 
-        if (daysRemaining < 30 && daysRemaining > 0) {
-          console.log(`[CONFIG] Upstash token expiring in ${daysRemaining} days, refreshing...`);
-          try {
-            const refreshedTokens = await refreshTraktTokens(userConfig);
-            if (refreshedTokens && refreshedTokens.access_token) {
-              Object.assign(userConfig, refreshedTokens);
-              console.log(`[CONFIG] Upstash token refreshed successfully`);
-            }
-          } catch (refreshError) {
-            console.log(`[CONFIG] Upstash token refresh failed: ${refreshError.message}`);
-            // Continue with existing token
-          }
-        } else if (daysRemaining > 0) {
-          console.log(`[CONFIG] Upstash token still valid for ${daysRemaining} days`);
-        } else if (daysRemaining <= 0) {
-          console.log(`[CONFIG] Upstash token has expired`);
-        }
+function getAllAccounts(userConfig) {
+  return [userConfig, ...(userConfig.linkedAccounts || [])];
+}
 
-        return userConfig;
+function getAccountName(accountConfig) {
+  return accountConfig.username || 'Trakt User';
+}
 
-      } catch (upstashError) {
-        console.error(`[CONFIG] Error fetching from Upstash: ${upstashError.message}`);
+// Position in the config: 0 is the primary, 1.. the linked accounts in config order.
+// Usernames can repeat ("Trakt User" when the settings lookup failed), positions can't.
+function getAccountId(accountConfig) {
+  return accountConfig.accountId || 0;
+}
 
-        // Try the local cache even if expired
-        const cached = upstashTokenCache.get(userConfig.configId);
-        if (cached) {
-          console.log(`[CONFIG] Using expired cache for ${userConfig.configId} as fallback`);
-          Object.assign(userConfig, cached.tokens);
-          return userConfig;
-        }
+// Account ids from a stream URL's accounts param; unknown ids are dropped
+function selectAccounts(userConfig, accountsParam) {
+  const ids = String(accountsParam).split(',').map(id => id.trim()).filter(id => /^\d+$/.test(id)).map(Number);
+  return getAllAccounts(userConfig).filter(account => ids.includes(getAccountId(account)));
+}
 
-        // Fallback to tokens in config if available
-        if (userConfig.access_token) {
-          console.log(`[CONFIG] Falling back to config tokens after Upstash error`);
-          return userConfig;
-        }
+function findAccount(userConfig, accountId) {
+  return selectAccounts(userConfig, accountId)[0] || null;
+}
 
-        console.log(`[CONFIG] No tokens available from any source`);
-        return null;
-      }
-    }
+// Jobs queued before account ids only name their account; an ambiguous name matches nobody
+function findAccountByName(userConfig, name) {
+  const matches = getAllAccounts(userConfig).filter(account => getAccountName(account).toLowerCase() === String(name).toLowerCase());
+  return matches.length === 1 ? matches[0] : null;
+}
 
-    return null;
+// Which accounts each pass over the stream order builds streams for: everyone at once
+// (state from the primary), or one pass per account with that account's own ratings and marks
+function getAccountStreamRuns(userConfig) {
+  const accounts = getAllAccounts(userConfig);
+  if (accounts.length === 1) {
+    return [{ accountConfig: userConfig, streamAccounts: null }];
+  }
 
-  } catch (error) {
-    console.error(`[CONFIG] Error in getUserConfigWithTokens: ${error.message}`);
-    return null;
+  const mode = ACCOUNT_STREAM_MODES.includes(userConfig.accountStreams) ? userConfig.accountStreams : 'everyone';
+  if (mode === 'per_account') {
+    return accounts.map(account => ({ accountConfig: account, streamAccounts: [account] }));
   }
+  return [{ accountConfig: userConfig, streamAccounts: accounts }];
 }
 
 // ============================================
@@ -1318,7 +4085,7 @@ async function deleteOlderWatchedStates(imdbId, type, accessToken, clientId, tit
       console.log(`[TRAKT CLEANUP] Removing all history for movie: ${title}`);
 
       // First, remove from history
-      const removeResponse = await fetch('https://api.trakt.tv/sync/history/remove', {
+      const removeResponse = await fetch(`${TRAKT_API_URL}/sync/history/remove`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -1336,11 +4103,11 @@ async function deleteOlderWatchedStates(imdbId, type, accessToken, clientId, tit
         deletedCount = 1; // We assume at least one was removed
       }
 
-    } else if (type === 'series' && season && episode) {
+    } else if (type === 'series' && season !== null && episode !== null) {
       // For episodes, use the same approach
       console.log(`[TRAKT CLEANUP] Removing all history for episode: ${title} S${season}E${episode}`);
 
-      const removeResponse = await fetch('https://api.trakt.tv/sync/history/remove', {
+      const removeResponse = await fetch(`${TRAKT_API_URL}/sync/history/remove`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -1375,11 +4142,262 @@ async function deleteOlderWatchedStates(imdbId, type, accessToken, clientId, tit
   }
 }
 
+// ============================================
+// Show Episode Structure
+// ============================================
+
+async function fetchShowSeasons(imdbId, clientId) {
+  const cached = showSeasonsCache.get(imdbId);
+  if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
+    return cached.seasons;
+  }
+
+  const response = await fetch(`${TRAKT_API_URL}/shows/${imdbId}/seasons?extended=episodes`, {
+    headers: {
+      'Content-Type': 'application/json',
+      'trakt-api-version': '2',
+      'trakt-api-key': clientId
+    }
+  });
+
+  if (!response.ok) {
+    throw await createTraktApiError(response);
+  }
+
+  const seasons = await response.json();
+  showSeasonsCache.set(imdbId, { seasons, timestamp: Date.now() });
+  return seasons;
+}
+
+// Every regular episode up to and including S{season}E{episode} that has no plays yet, grouped by season.
+// Throws when the watched index can't be loaded: guessing "unwatched" would add a play to every episode.
+async function getUnwatchedEpisodesUpTo(imdbId, season, episode, userConfig) {
+  const seasons = await fetchShowSeasons(imdbId, userConfig.clientId);
+  const watched = await loadWatchedIndex(userConfig, 'shows');
+  const targetSeason = parseInt(season);
+  const targetEpisode = parseInt(episode);
+  const catchUp = [];
+
+  for (const showSeason of seasons) {
+    // Season 0 holds specials, which aren't part of the running order
+    if (showSeason.number === 0 || showSeason.number > targetSeason) continue;
+
+    const episodes = [];
+    for (const showEpisode of showSeason.episodes || []) {
+      if (showSeason.number === targetSeason && showEpisode.number > targetEpisode) continue;
+
+      if (!watched.get(getMediaIndexKey(imdbId, showSeason.number, showEpisode.number))?.plays) {
+        episodes.push(showEpisode.number);
+      }
+    }
+
+    if (episodes.length > 0) {
+      catchUp.push({ number: showSeason.number, episodes });
+    }
+  }
+
+  return catchUp;
+}
+
+// ============================================
+// Watched-At Variants
+// ============================================
+
+// Mark actions can backdate the play instead of letting Trakt record "now"
+const WATCHED_AT_VARIANTS = {
+  now: { label: 'Now', emoji: '🕒' },
+  release: { label: 'At Release Date', emoji: '📆' },
+  unknown: { label: 'Date Unknown', emoji: '❔' },
+  yesterday_evening: { label: 'Yesterday Evening', emoji: '🌙' }
+};
+
+// null stands for the plain mark stream (no variant line, Trakt records "now")
+function getWatchedAtStreamVariants(userConfig) {
+  const variants = (userConfig?.watchedAtVariants || []).filter(variant => WATCHED_AT_VARIANTS[variant]);
+  if (variants.length === 0 || (variants.length === 1 && variants[0] === 'now')) {
+    return [null];
+  }
+  return variants;
+}
+
+async function fetchReleaseDate(imdbId, type, userConfig, season = null, episode = null) {
+  const cacheKey = `${getMediaIndexKey(imdbId, season, episode)}_${type}_release`;
+  const cached = releaseDateCache.get(cacheKey);
+  if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
+    return cached.releaseDate;
+  }
+
+  let releaseDate = null;
+
+  try {
+    const path = type === 'movie'
+      ? `movies/${imdbId}`
+      : `shows/${imdbId}/seasons/${season}/episodes/${episode}`;
+    const response = await fetch(`${TRAKT_API_URL}/${path}?extended=full`, {
+      headers: {
+        'Content-Type': 'application/json',
+        'trakt-api-version': '2',
+        'trakt-api-key': userConfig.clientId
+      }
+    });
+
+    if (response.ok) {
+      const data = await response.json();
+      // Movies only have a release day; noon keeps it on that day in most timezones
+      releaseDate = type === 'movie'
+        ? (data.released ? `${data.released}T12:00:00.000Z` : null)
+        : (data.first_aired || null);
+    }
+  } catch (error) {
+    console.log(`[WATCHED AT] Trakt release lookup failed: ${error.message}`);
+  }
+
+  if (!releaseDate) {
+    if (type === 'movie') {
+      const metadata = await getMediaMetadata(imdbId, type, userConfig.tmdbKey);
+      releaseDate = metadata?.releaseDate ? `${metadata.releaseDate}T12:00:00.000Z` : null;
+    } else {
+      const episodeMetadata = await getEpisodeMetadata(imdbId, season, episode, userConfig.tmdbKey);
+      releaseDate = episodeMetadata?.airDate ? `${episodeMetadata.airDate}T12:00:00.000Z` : null;
+    }
+  }
+
+  releaseDateCache.set(cacheKey, { releaseDate, timestamp: Date.now() });
+  return releaseDate;
+}
+
+// Yesterday 20:00 in the user's timezone (offset as reported by the configure page)
+function getYesterdayEvening(userConfig) {
+  const offsetMs = (parseInt(userConfig?.timezoneOffset) || 0) * 60 * 1000;
+  const local = new Date(Date.now() - offsetMs);
+  local.setUTCDate(local.getUTCDate() - 1);
+  local.setUTCHours(20, 0, 0, 0);
+  return new Date(local.getTime() + offsetMs).toISOString();
+}
+
+// Returns the watched_at value to send, or null to let Trakt use "now"
+async function resolveWatchedAt(variant, type, imdbId, userConfig, season = null, episode = null) {
+  switch (variant) {
+    case 'release':
+      // Whole seasons/series are left to Trakt so every episode gets its own air date
+      if (type === 'movie' || (season !== null && episode !== null)) {
+        const releaseDate = await fetchReleaseDate(imdbId, type, userConfig, season, episode);
+        if (releaseDate) return releaseDate;
+      }
+      return 'released';
+    case 'unknown':
+      // Always Trakt's own `released` keyword, never a looked-up date, so no lookup is needed
+      return 'released';
+    case 'yesterday_evening':
+      return getYesterdayEvening(userConfig);
+    default:
+      return null;
+  }
+}
+
+// ============================================
+// Collection Metadata Presets
+// ============================================
+
+// Values are Trakt's /sync/collection metadata enums; users pick one preset in the config
+const COLLECTION_PRESETS = {
+  none: { name: 'No metadata', metadata: {} },
+  uhd_bluray: {
+    name: '4K UHD Blu-ray · Dolby Vision · Atmos',
+    metadata: { media_type: 'bluray', resolution: 'uhd_4k', hdr: 'dolby_vision', audio: 'dolby_atmos', audio_channels: '7.1' }
+  },
+  uhd_digital: {
+    name: '4K Digital · HDR10 · DD+ Atmos',
+    metadata: { media_type: 'digital', resolution: 'uhd_4k', hdr: 'hdr10', audio: 'dolby_digital_plus_atmos', audio_channels: '5.1' }
+  },
+  bluray_1080p: {
+    name: '1080p Blu-ray · DTS-HD MA',
+    metadata: { media_type: 'bluray', resolution: 'hd_1080p', audio: 'dts_ma', audio_channels: '5.1' }
+  },
+  digital_1080p: {
+    name: '1080p Digital · DD+',
+    metadata: { media_type: 'digital', resolution: 'hd_1080p', audio: 'dolby_digital_plus', audio_channels: '5.1' }
+  },
+  dvd: {
+    name: 'DVD · Dolby Digital',
+    metadata: { media_type: 'dvd', resolution: 'sd_480p', audio: 'dolby_digital', audio_channels: '5.1' }
+  }
+};
+
+function getCollectionPreset(userConfig) {
+  return COLLECTION_PRESETS[userConfig?.collectionPreset] || COLLECTION_PRESETS.none;
+}
+
+// Episodes carry the metadata on the episode itself; movies and whole shows on the item
+function buildCollectionBody(type, imdbId, season = null, episode = null, metadata = {}) {
+  if (type === 'movie') {
+    return { movies: [{ ids: { imdb: imdbId }, ...metadata }] };
+  }
+
+  if (season !== null && episode !== null) {
+    return {
+      shows: [{
+        ids: { imdb: imdbId },
+        seasons: [{
+          number: parseInt(season),
+          episodes: [{ number: parseInt(episode), ...metadata }]
+        }]
+      }]
+    };
+  }
+
+  return { shows: [{ ids: { imdb: imdbId }, ...metadata }] };
+}
+
 // ============================================
 // Trakt API Function (UPDATED with Remove Rating)
 // ============================================
 
-async function makeTraktRequest(action, type, imdbId, title, userConfig, rating = null, season = null, episode = null) {
+// How long Trakt wants us to wait: Retry-After (seconds or date), or X-Ratelimit once "remaining" hits 0
+function getTraktRetryAfterMs(response) {
+  if (!response || !response.headers) return null;
+
+  const retryAfter = response.headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const retryDate = Date.parse(retryAfter);
+    if (!isNaN(retryDate)) return Math.max(0, retryDate - Date.now());
+  }
+
+  const rateLimit = response.headers.get('x-ratelimit');
+  if (rateLimit) {
+    try {
+      const { remaining, until } = JSON.parse(rateLimit);
+      if (remaining === 0 && until) {
+        return Math.max(0, Date.parse(until) - Date.now());
+      }
+    } catch (error) {
+      console.log(`[TRAKT] Unreadable X-Ratelimit header: ${rateLimit}`);
+    }
+  }
+
+  return null;
+}
+
+// Same message as before, plus the status and wait time the action queue needs to decide on a retry
+async function createTraktApiError(response) {
+  const errorText = await response.text();
+  const error = new Error(`Trakt API error: ${response.status} - ${errorText}`);
+  error.status = response.status;
+  error.retryAfterMs = getTraktRetryAfterMs(response);
+  return error;
+}
+
+// Rate limits, Trakt outages and network failures are worth retrying; 4xx answers are not
+function isRetryableTraktError(error) {
+  if (error.status) {
+    return error.status === 429 || error.status >= 500;
+  }
+  return error.message === 'fetch failed' || error.name === 'AbortError';
+}
+
+async function makeTraktRequest(action, type, imdbId, title, userConfig, rating = null, season = null, episode = null, options = {}) {
   try {
     console.log(`[TRAKT] Making ${action} request for ${type}: ${imdbId} - "${title}"`);
     console.log(`[TRAKT] Season: ${season}, Episode: ${episode}, Rating: ${rating}`);
@@ -1390,6 +4408,20 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
     let message = '';
     let response;
     let cleanupDone = false;
+    let playAdded = false;
+
+    // Marks fired from a watched-time variant stream; ratings use the configured variant
+    const watchedAtVariant = options.watchedAt || (action === 'rate_only' ? userConfig.rateWatchedAt : null);
+    // Rating a movie or an episode also adds a play when markAsPlayedOnRate is set; seasons and shows never do
+    const addsPlay = ['mark_watched', 'mark_season_watched', 'mark_series_watched', 'mark_up_to_here'].includes(action) ||
+      (action === 'rate_only' && userConfig.markAsPlayedOnRate && (type === 'movie' || (season !== null && episode !== null)));
+    // Catch-up marks span many episodes, so they resolve like a whole season would
+    const watchedAt = addsPlay
+      ? await resolveWatchedAt(watchedAtVariant, type, imdbId, userConfig, action === 'mark_up_to_here' ? null : season, action === 'mark_up_to_here' ? null : episode)
+      : null;
+    const watchedAtField = watchedAt ? { watched_at: watchedAt } : {};
+    const watchedAtDescription = watchedAt ? translate(DEFAULT_LANGUAGE, `watchedAt.${watchedAtVariant}`).toLowerCase() : null;
+    const watchedAtNote = watchedAtDescription ? ` (${watchedAtDescription})` : '';
 
     switch (action) {
       case 'mark_watched':
@@ -1416,7 +4448,7 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
         }
 
         if (type === 'movie') {
-          response = await fetch('https://api.trakt.tv/sync/history', {
+          response = await fetch(`${TRAKT_API_URL}/sync/history`, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
@@ -1425,21 +4457,20 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
               'trakt-api-key': clientId
             },
             body: JSON.stringify({
-              movies: [{ ids: { imdb: imdbId } }]
+              movies: [{ ids: { imdb: imdbId }, ...watchedAtField }]
             })
           });
 
           if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Trakt API error: ${response.status} - ${errorText}`);
+            throw await createTraktApiError(response);
           }
 
-          message = `Marked "${title}" as watched`;
+          message = `Marked "${title}" as watched${watchedAtNote}`;
           if (cleanupDone) {
             message += ` (cleaned duplicates)`;
           }
         } else if (type === 'series') {
-          response = await fetch('https://api.trakt.tv/sync/history', {
+          response = await fetch(`${TRAKT_API_URL}/sync/history`, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
@@ -1453,7 +4484,8 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
                 seasons: [{
                   number: parseInt(season),
                   episodes: [{
-                    number: parseInt(episode)
+                    number: parseInt(episode),
+                    ...watchedAtField
                   }]
                 }]
               }]
@@ -1461,11 +4493,10 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
           });
 
           if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Trakt API error: ${response.status} - ${errorText}`);
+            throw await createTraktApiError(response);
           }
 
-          message = `Marked S${season}E${episode} of "${title}" as watched`;
+          message = `Marked S${season}E${episode} of "${title}" as watched${watchedAtNote}`;
           if (cleanupDone) {
             message += ` (cleaned duplicates)`;
           }
@@ -1474,7 +4505,7 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
 
       case 'mark_unwatched':
         if (type === 'movie') {
-          response = await fetch('https://api.trakt.tv/sync/history/remove', {
+          response = await fetch(`${TRAKT_API_URL}/sync/history/remove`, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
@@ -1488,13 +4519,12 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
           });
 
           if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Trakt API error: ${response.status} - ${errorText}`);
+            throw await createTraktApiError(response);
           }
 
           message = `Marked "${title}" as unwatched`;
-        } else if (type === 'series' && season && episode) {
-          response = await fetch('https://api.trakt.tv/sync/history/remove', {
+        } else if (type === 'series' && season !== null && episode !== null) {
+          response = await fetch(`${TRAKT_API_URL}/sync/history/remove`, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
@@ -1516,8 +4546,7 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
           });
 
           if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Trakt API error: ${response.status} - ${errorText}`);
+            throw await createTraktApiError(response);
           }
 
           message = `Marked S${season}E${episode} of "${title}" as unwatched`;
@@ -1525,7 +4554,7 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
         break;
 
       case 'mark_season_watched':
-        response = await fetch('https://api.trakt.tv/sync/history', {
+        response = await fetch(`${TRAKT_API_URL}/sync/history`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -1537,22 +4566,57 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
             shows: [{
               ids: { imdb: imdbId },
               seasons: [{
-                number: parseInt(season)
+                number: parseInt(season),
+                ...watchedAtField
               }]
             }]
           })
         });
 
         if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`Trakt API error: ${response.status} - ${errorText}`);
+          throw await createTraktApiError(response);
+        }
+
+        message = `Marked Season ${season} of "${title}" as watched${watchedAtNote}`;
+        break;
+
+      case 'mark_up_to_here':
+        const catchUpSeasons = await getUnwatchedEpisodesUpTo(imdbId, season, episode, userConfig);
+        const catchUpCount = catchUpSeasons.reduce((count, catchUpSeason) => count + catchUpSeason.episodes.length, 0);
+
+        if (catchUpCount === 0) {
+          message = `Already caught up on "${title}" through S${season}E${episode}`;
+          break;
+        }
+
+        response = await fetch(`${TRAKT_API_URL}/sync/history`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${accessToken}`,
+            'trakt-api-version': '2',
+            'trakt-api-key': clientId
+          },
+          body: JSON.stringify({
+            shows: [{
+              ids: { imdb: imdbId },
+              seasons: catchUpSeasons.map(catchUpSeason => ({
+                number: catchUpSeason.number,
+                episodes: catchUpSeason.episodes.map(number => ({ number, ...watchedAtField }))
+              }))
+            }]
+          })
+        });
+
+        if (!response.ok) {
+          throw await createTraktApiError(response);
         }
 
-        message = `Marked Season ${season} of "${title}" as watched`;
+        message = `Marked ${catchUpCount} episode${catchUpCount === 1 ? '' : 's'} of "${title}" up to S${season}E${episode} as watched${watchedAtNote}`;
         break;
 
       case 'mark_series_watched':
-        response = await fetch('https://api.trakt.tv/sync/history', {
+        response = await fetch(`${TRAKT_API_URL}/sync/history`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -1561,16 +4625,15 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
             'trakt-api-key': clientId
           },
           body: JSON.stringify({
-            shows: [{ ids: { imdb: imdbId } }]
+            shows: [{ ids: { imdb: imdbId }, ...watchedAtField }]
           })
         });
 
         if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`Trakt API error: ${response.status} - ${errorText}`);
+          throw await createTraktApiError(response);
         }
 
-        message = `Marked entire "${title}" series as watched`;
+        message = `Marked entire "${title}" series as watched${watchedAtNote}`;
         break;
 
       case 'rate_only':
@@ -1579,23 +4642,23 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
         const markAsPlayedOnRate = userConfig.markAsPlayedOnRate || false;
 
         if (type === 'movie') {
-          // If markAsPlayedOnRate AND keepSingleState are both enabled, clean up first
-          if (markAsPlayedOnRate && keepSingleStateForRating) {
-            console.log(`[TRAKT] Rating with markAsPlayedOnRate and keep single state enabled`);
-
+          if (markAsPlayedOnRate) {
             try {
-              // Clean up any existing watched states before rating
-              const deletedCount = await deleteOlderWatchedStates(imdbId, type, accessToken, clientId, title, season, episode);
-              if (deletedCount > 0) {
-                console.log(`[TRAKT] Cleaned ${deletedCount} duplicate watched states before rating`);
-                cleanupDone = true;
-              }
+              // With keep single state, clear earlier plays before adding the fresh one
+              if (keepSingleStateForRating) {
+                console.log(`[TRAKT] Rating with markAsPlayedOnRate and keep single state enabled`);
+                const deletedCount = await deleteOlderWatchedStates(imdbId, type, accessToken, clientId, title, season, episode);
+                if (deletedCount > 0) {
+                  console.log(`[TRAKT] Cleaned ${deletedCount} duplicate watched states before rating`);
+                  cleanupDone = true;
+                }
 
-              // Small delay
-              await new Promise(resolve => setTimeout(resolve, 500));
+                // Small delay
+                await new Promise(resolve => setTimeout(resolve, 500));
+              }
 
               // Now mark as watched
-              const watchResponse = await fetch('https://api.trakt.tv/sync/history', {
+              const watchResponse = await fetch(`${TRAKT_API_URL}/sync/history`, {
                 method: 'POST',
                 headers: {
                   'Content-Type': 'application/json',
@@ -1604,7 +4667,7 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
                   'trakt-api-key': clientId
                 },
                 body: JSON.stringify({
-                  movies: [{ ids: { imdb: imdbId } }]
+                  movies: [{ ids: { imdb: imdbId }, ...watchedAtField }]
                 })
               });
 
@@ -1612,15 +4675,16 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
                 console.log(`[TRAKT] Failed to mark as watched before rating: ${watchResponse.status}`);
               } else {
                 console.log(`[TRAKT] Marked as watched before rating`);
+                playAdded = true;
               }
 
             } catch (cleanupError) {
-              console.log(`[TRAKT] Cleanup before rating failed: ${cleanupError.message}`);
+              console.log(`[TRAKT] Mark as watched before rating failed: ${cleanupError.message}`);
             }
           }
 
           // Now do the rating
-          response = await fetch('https://api.trakt.tv/sync/ratings', {
+          response = await fetch(`${TRAKT_API_URL}/sync/ratings`, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
@@ -1637,36 +4701,35 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
           });
 
           if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Trakt API error: ${response.status} - ${errorText}`);
+            throw await createTraktApiError(response);
           }
 
           message = `Rated "${title}" ${rating}/10`;
-          if (markAsPlayedOnRate) {
-            message += ` (marked as watched)`;
+          if (playAdded) {
+            message += ` (${watchedAtDescription || 'marked as watched'})`;
             if (cleanupDone) {
               message += ` and cleaned duplicates`;
             }
           }
         } else if (type === 'series') {
-          if (season && episode) {
-            // If markAsPlayedOnRate AND keepSingleState are both enabled, clean up first
-            if (markAsPlayedOnRate && keepSingleStateForRating) {
-              console.log(`[TRAKT] Rating episode with markAsPlayedOnRate and keep single state enabled`);
-
+          if (season !== null && episode !== null) {
+            if (markAsPlayedOnRate) {
               try {
-                // Clean up any existing watched states before rating
-                const deletedCount = await deleteOlderWatchedStates(imdbId, type, accessToken, clientId, title, season, episode);
-                if (deletedCount > 0) {
-                  console.log(`[TRAKT] Cleaned ${deletedCount} duplicate watched states before rating`);
-                  cleanupDone = true;
+                // With keep single state, clear earlier plays before adding the fresh one
+                if (keepSingleStateForRating) {
+                  console.log(`[TRAKT] Rating episode with markAsPlayedOnRate and keep single state enabled`);
+                  const deletedCount = await deleteOlderWatchedStates(imdbId, type, accessToken, clientId, title, season, episode);
+                  if (deletedCount > 0) {
+                    console.log(`[TRAKT] Cleaned ${deletedCount} duplicate watched states before rating`);
+                    cleanupDone = true;
+                  }
+
+                  // Small delay
+                  await new Promise(resolve => setTimeout(resolve, 500));
                 }
 
-                // Small delay
-                await new Promise(resolve => setTimeout(resolve, 500));
-
                 // Now mark as watched
-                const watchResponse = await fetch('https://api.trakt.tv/sync/history', {
+                const watchResponse = await fetch(`${TRAKT_API_URL}/sync/history`, {
                   method: 'POST',
                   headers: {
                     'Content-Type': 'application/json',
@@ -1680,7 +4743,8 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
                       seasons: [{
                         number: parseInt(season),
                         episodes: [{
-                          number: parseInt(episode)
+                          number: parseInt(episode),
+                          ...watchedAtField
                         }]
                       }]
                     }]
@@ -1691,14 +4755,15 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
                   console.log(`[TRAKT] Failed to mark as watched before rating: ${watchResponse.status}`);
                 } else {
                   console.log(`[TRAKT] Marked as watched before rating`);
+                  playAdded = true;
                 }
 
               } catch (cleanupError) {
-                console.log(`[TRAKT] Cleanup before rating failed: ${cleanupError.message}`);
+                console.log(`[TRAKT] Mark as watched before rating failed: ${cleanupError.message}`);
               }
             }
 
-            response = await fetch('https://api.trakt.tv/sync/ratings', {
+            response = await fetch(`${TRAKT_API_URL}/sync/ratings`, {
               method: 'POST',
               headers: {
                 'Content-Type': 'application/json',
@@ -1721,20 +4786,45 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
             });
 
             if (!response.ok) {
-              const errorText = await response.text();
-              throw new Error(`Trakt API error: ${response.status} - ${errorText}`);
+              throw await createTraktApiError(response);
             }
 
             message = `Rated S${season}E${episode} of "${title}" ${rating}/10`;
-            if (markAsPlayedOnRate) {
-              message += ` (marked as watched)`;
+            if (playAdded) {
+              message += ` (${watchedAtDescription || 'marked as watched'})`;
               if (cleanupDone) {
                 message += ` and cleaned duplicates`;
               }
             }
+          } else if (season !== null) {
+            // Season rating: the season itself is rated, episodes are left alone
+            response = await fetch(`${TRAKT_API_URL}/sync/ratings`, {
+              method: 'POST',
+              headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${accessToken}`,
+                'trakt-api-version': '2',
+                'trakt-api-key': clientId
+              },
+              body: JSON.stringify({
+                shows: [{
+                  ids: { imdb: imdbId },
+                  seasons: [{
+                    number: parseInt(season),
+                    rating: parseInt(rating)
+                  }]
+                }]
+              })
+            });
+
+            if (!response.ok) {
+              throw await createTraktApiError(response);
+            }
+
+            message = `Rated Season ${season} of "${title}" ${rating}/10`;
           } else {
             // For series rating (no specific episode)
-            response = await fetch('https://api.trakt.tv/sync/ratings', {
+            response = await fetch(`${TRAKT_API_URL}/sync/ratings`, {
               method: 'POST',
               headers: {
                 'Content-Type': 'application/json',
@@ -1751,14 +4841,10 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
             });
 
             if (!response.ok) {
-              const errorText = await response.text();
-              throw new Error(`Trakt API error: ${response.status} - ${errorText}`);
+              throw await createTraktApiError(response);
             }
 
             message = `Rated series "${title}" ${rating}/10`;
-            if (markAsPlayedOnRate) {
-              message += ` (marked as watched)`;
-            }
           }
         }
         break;
@@ -1766,7 +4852,7 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
       // NEW ACTION: Remove rating
       case 'remove_rating':
         if (type === 'movie') {
-          response = await fetch('https://api.trakt.tv/sync/ratings/remove', {
+          response = await fetch(`${TRAKT_API_URL}/sync/ratings/remove`, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
@@ -1780,14 +4866,13 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
           });
 
           if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Trakt API error: ${response.status} - ${errorText}`);
+            throw await createTraktApiError(response);
           }
 
           message = `Removed rating for "${title}"`;
         } else if (type === 'series') {
-          if (season && episode) {
-            response = await fetch('https://api.trakt.tv/sync/ratings/remove', {
+          if (season !== null && episode !== null) {
+            response = await fetch(`${TRAKT_API_URL}/sync/ratings/remove`, {
               method: 'POST',
               headers: {
                 'Content-Type': 'application/json',
@@ -1808,40 +4893,180 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
               })
             });
 
-            if (!response.ok) {
-              const errorText = await response.text();
-              throw new Error(`Trakt API error: ${response.status} - ${errorText}`);
-            }
+            if (!response.ok) {
+              throw await createTraktApiError(response);
+            }
+
+            message = `Removed rating for S${season}E${episode} of "${title}"`;
+          } else if (season !== null) {
+            response = await fetch(`${TRAKT_API_URL}/sync/ratings/remove`, {
+              method: 'POST',
+              headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${accessToken}`,
+                'trakt-api-version': '2',
+                'trakt-api-key': clientId
+              },
+              body: JSON.stringify({
+                shows: [{
+                  ids: { imdb: imdbId },
+                  seasons: [{ number: parseInt(season) }]
+                }]
+              })
+            });
+
+            if (!response.ok) {
+              throw await createTraktApiError(response);
+            }
+
+            message = `Removed rating for Season ${season} of "${title}"`;
+          } else {
+            response = await fetch(`${TRAKT_API_URL}/sync/ratings/remove`, {
+              method: 'POST',
+              headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${accessToken}`,
+                'trakt-api-version': '2',
+                'trakt-api-key': clientId
+              },
+              body: JSON.stringify({
+                shows: [{ ids: { imdb: imdbId } }]
+              })
+            });
+
+            if (!response.ok) {
+              throw await createTraktApiError(response);
+            }
+
+            message = `Removed rating for series "${title}"`;
+          }
+        }
+        break;
+
+      // Check-in actions
+      case 'checkin':
+        let checkinBody;
+        if (type === 'movie') {
+          checkinBody = {
+            movie: { ids: { imdb: imdbId } }
+          };
+        } else if (type === 'series' && season !== null && episode !== null) {
+          checkinBody = {
+            show: { ids: { imdb: imdbId } },
+            episode: {
+              season: parseInt(season),
+              number: parseInt(episode)
+            }
+          };
+        } else {
+          throw new Error('Check-in requires a movie or a specific episode');
+        }
+
+        response = await fetch(`${TRAKT_API_URL}/checkin`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${accessToken}`,
+            'trakt-api-version': '2',
+            'trakt-api-key': clientId
+          },
+          body: JSON.stringify(checkinBody)
+        });
+
+        // 409 = another check-in is still active; caller offers to cancel it
+        if (response.status === 409) {
+          let conflict = {};
+          try {
+            conflict = await response.json();
+          } catch (e) {
+            // No body
+          }
+          console.log(`[TRAKT] ⚠️ Already checked in (expires ${conflict.expires_at || 'unknown'})`);
+          return {
+            success: false,
+            conflict: true,
+            expiresAt: conflict.expires_at || null,
+            error: `Already checked in to something else${conflict.expires_at ? ` until ${formatCheckinExpiry(conflict.expires_at)}` : ''}`
+          };
+        }
+
+        if (!response.ok) {
+          throw await createTraktApiError(response);
+        }
+
+        if (type === 'movie') {
+          message = `Checked in to "${title}"`;
+        } else {
+          message = `Checked in to S${season}E${episode} of "${title}"`;
+        }
+        break;
+
+      case 'cancel_checkin':
+        response = await fetch(`${TRAKT_API_URL}/checkin`, {
+          method: 'DELETE',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${accessToken}`,
+            'trakt-api-version': '2',
+            'trakt-api-key': clientId
+          }
+        });
 
-            message = `Removed rating for S${season}E${episode} of "${title}"`;
-          } else {
-            response = await fetch('https://api.trakt.tv/sync/ratings/remove', {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${accessToken}`,
-                'trakt-api-version': '2',
-                'trakt-api-key': clientId
-              },
-              body: JSON.stringify({
-                shows: [{ ids: { imdb: imdbId } }]
-              })
-            });
+        if (!response.ok) {
+          throw await createTraktApiError(response);
+        }
 
-            if (!response.ok) {
-              const errorText = await response.text();
-              throw new Error(`Trakt API error: ${response.status} - ${errorText}`);
-            }
+        message = `Cancelled active check-in for ${title}`;
+        break;
 
-            message = `Removed rating for series "${title}"`;
-          }
+      // Collection actions
+      case 'add_to_collection':
+        const collectionPreset = getCollectionPreset(userConfig);
+
+        response = await fetch(`${TRAKT_API_URL}/sync/collection`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${accessToken}`,
+            'trakt-api-version': '2',
+            'trakt-api-key': clientId
+          },
+          body: JSON.stringify(buildCollectionBody(type, imdbId, season, episode, collectionPreset.metadata))
+        });
+
+        if (!response.ok) {
+          throw await createTraktApiError(response);
+        }
+
+        message = `Added ${season !== null && episode !== null ? `S${season}E${episode} of ` : ''}"${title}" to collection`;
+        if (collectionPreset !== COLLECTION_PRESETS.none) {
+          message += ` (${collectionPreset.name})`;
+        }
+        break;
+
+      case 'remove_from_collection':
+        response = await fetch(`${TRAKT_API_URL}/sync/collection/remove`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${accessToken}`,
+            'trakt-api-version': '2',
+            'trakt-api-key': clientId
+          },
+          body: JSON.stringify(buildCollectionBody(type, imdbId, season, episode))
+        });
+
+        if (!response.ok) {
+          throw await createTraktApiError(response);
         }
+
+        message = `Removed ${season !== null && episode !== null ? `S${season}E${episode} of ` : ''}"${title}" from collection`;
         break;
 
       // Watchlist actions
       case 'add_to_watchlist':
         if (type === 'movie') {
-          response = await fetch('https://api.trakt.tv/sync/watchlist', {
+          response = await fetch(`${TRAKT_API_URL}/sync/watchlist`, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
@@ -1855,13 +5080,12 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
           });
 
           if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Trakt API error: ${response.status} - ${errorText}`);
+            throw await createTraktApiError(response);
           }
 
           message = `Added "${title}" to watchlist`;
         } else if (type === 'series') {
-          response = await fetch('https://api.trakt.tv/sync/watchlist', {
+          response = await fetch(`${TRAKT_API_URL}/sync/watchlist`, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
@@ -1875,8 +5099,7 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
           });
 
           if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Trakt API error: ${response.status} - ${errorText}`);
+            throw await createTraktApiError(response);
           }
 
           message = `Added "${title}" series to watchlist`;
@@ -1885,7 +5108,7 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
 
       case 'remove_from_watchlist':
         if (type === 'movie') {
-          response = await fetch('https://api.trakt.tv/sync/watchlist/remove', {
+          response = await fetch(`${TRAKT_API_URL}/sync/watchlist/remove`, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
@@ -1899,13 +5122,12 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
           });
 
           if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Trakt API error: ${response.status} - ${errorText}`);
+            throw await createTraktApiError(response);
           }
 
           message = `Removed "${title}" from watchlist`;
         } else if (type === 'series') {
-          response = await fetch('https://api.trakt.tv/sync/watchlist/remove', {
+          response = await fetch(`${TRAKT_API_URL}/sync/watchlist/remove`, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
@@ -1919,13 +5141,45 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
           });
 
           if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Trakt API error: ${response.status} - ${errorText}`);
+            throw await createTraktApiError(response);
           }
 
           message = `Removed "${title}" series from watchlist`;
         }
         break;
+
+      // Personal list actions (episodes add or remove the whole show)
+      case 'add_to_list':
+      case 'remove_from_list':
+        if (!options.listId) {
+          throw new Error('No list selected');
+        }
+
+        const listName = getPersonalListName(userConfig, options.listId);
+        const listItems = type === 'movie'
+          ? { movies: [{ ids: { imdb: imdbId } }] }
+          : { shows: [{ ids: { imdb: imdbId } }] };
+        const listPath = action === 'add_to_list' ? 'items' : 'items/remove';
+
+        response = await fetch(`${TRAKT_API_URL}/users/me/lists/${encodeURIComponent(options.listId)}/${listPath}`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${accessToken}`,
+            'trakt-api-version': '2',
+            'trakt-api-key': clientId
+          },
+          body: JSON.stringify(listItems)
+        });
+
+        if (!response.ok) {
+          throw await createTraktApiError(response);
+        }
+
+        message = action === 'add_to_list'
+          ? `Added "${title}" to list "${listName}"`
+          : `Removed "${title}" from list "${listName}"`;
+        break;
     }
 
     console.log(`[TRAKT] ✅ SUCCESS: ${message}`);
@@ -1941,7 +5195,8 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
     return {
       success: true,
       message,
-      response: responseData
+      response: responseData,
+      retryAfterMs: getTraktRetryAfterMs(response)
     };
 
   } catch (error) {
@@ -1949,7 +5204,10 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
     return {
       success: false,
       error: error.message,
-      details: error.stack
+      details: error.stack,
+      status: error.status || null,
+      retryable: isRetryableTraktError(error),
+      retryAfterMs: error.retryAfterMs || null
     };
   }
 }
@@ -1958,9 +5216,8 @@ async function makeTraktRequest(action, type, imdbId, title, userConfig, rating
 // Stream Object Creator 
 // ============================================
 
-async function createStreamObject(title, action, type, imdbId, rating = null, season = null, episode = null, config = '', year = null, userConfig = null, isCurrentRating = false) {
+async function createStreamObject(title, action, type, imdbId, rating = null, season = null, episode = null, config = '', year = null, userConfig = null, isCurrentRating = false, streamInfo = {}) {
   let streamTitle;
-  let streamName = "Trakt";
 
   // Decode config to get user preferences
   let decodedConfig = userConfig;
@@ -1988,91 +5245,128 @@ async function createStreamObject(title, action, type, imdbId, rating = null, se
     keepSingleStateEmoji = decodedConfig.keepSingleStateEmoji || '🔄';
   }
 
-  const mediaEmoji = getMediaEmoji(type, title);
-  const yearText = year ? `(${year})` : type === 'movie' ? '(Movie)' : '(Series)';
-  const mediaType = type === 'movie' ? 'movie' : 'series';
+  const language = getLanguage(decodedConfig);
+  let streamName = translate(language, 'name.default');
+  const mediaEmoji = getMediaEmoji(type, imdbId, decodedConfig);
+  const yearText = year ? `(${year})` : translate(language, type === 'movie' ? 'year.movie' : 'year.series');
+  const mediaType = translate(language, type === 'movie' ? 'media.movie' : 'media.series');
+  const episodeCode = `S${season}E${episode}`;
   const keepSingleState = decodedConfig?.keepSingleWatchedState || false;
 
+  // Episode name, air date and premiere/finale flag (shared metadata cache)
+  const episodeInfo = season !== null && episode !== null
+    ? (streamInfo.episodeInfo !== undefined ? streamInfo.episodeInfo : await getEpisodeInfo(imdbId, season, episode, decodedConfig))
+    : null;
+  const episodeName = episodeInfo?.name ? `${episodeCode} '${episodeInfo.name}'` : episodeCode;
+
+  // Appends the "keeps only latest watched state" note where the user wants it
+  const withKeepSingleState = (line) => {
+    if (!keepSingleState || keepSingleStateDisplay === 'none') return line;
+    const note = `${keepSingleStateEmoji} ${translate(language, 'mark.keepSingleState')}`;
+    return keepSingleStateDisplay === 'newline' ? `${line}\n${note}` : `${line} ${note}`;
+  };
+
   if (action === 'mark_watched') {
     if (type === 'movie') {
-      if (keepSingleState) {
-        if (keepSingleStateDisplay === 'none') {
-          streamTitle = `✅ Mark "${title}" as Watched`;
-        } else if (keepSingleStateDisplay === 'newline') {
-          streamTitle = `✅ Mark "${title}" as Watched\n${keepSingleStateEmoji} Keeps only latest watched state`;
-        } else {
-          streamTitle = `✅ Mark "${title}" as Watched ${keepSingleStateEmoji} Keeps only latest watched state`;
-        }
-      } else {
-        streamTitle = `✅ Mark "${title}" as Watched`;
-      }
-    } else if (season && episode) {
-      if (keepSingleState) {
-        if (keepSingleStateDisplay === 'none') {
-          streamTitle = `✅ Mark S${season}E${episode} as Watched`;
-        } else if (keepSingleStateDisplay === 'newline') {
-          streamTitle = `✅ Mark S${season}E${episode} as Watched\n${keepSingleStateEmoji} Keeps only latest watched state`;
-        } else {
-          streamTitle = `✅ Mark S${season}E${episode} as Watched ${keepSingleStateEmoji} Keeps only latest watched state`;
-        }
-      } else {
-        streamTitle = `✅ Mark S${season}E${episode} as Watched`;
-      }
+      streamTitle = withKeepSingleState(`✅ ${translate(language, 'mark.watched', { title })}`);
+    } else if (season !== null && episode !== null) {
+      streamTitle = withKeepSingleState(`✅ ${translate(language, 'mark.episodeWatched', { episode: episodeName })}`);
     }
-    streamName = "Trakt Marks";
+    streamName = translate(language, 'name.marks');
   } else if (action === 'mark_unwatched') {
     if (type === 'movie') {
-      streamTitle = `❌ Mark "${title}" as Unwatched`;
-    } else if (season && episode) {
-      streamTitle = `❌ Mark S${season}E${episode} as Unwatched`;
+      streamTitle = `❌ ${translate(language, 'mark.unwatched', { title })}`;
+    } else if (season !== null && episode !== null) {
+      streamTitle = `❌ ${translate(language, 'mark.episodeUnwatched', { episode: episodeName })}`;
     }
-    streamName = "Trakt Marks";
+    streamName = translate(language, 'name.marks');
   } else if (action === 'mark_season_watched') {
-    if (keepSingleState) {
-      if (keepSingleStateDisplay === 'none') {
-        streamTitle = `📅 Mark Season ${season} of "${title}" as Watched`;
-      } else if (keepSingleStateDisplay === 'newline') {
-        streamTitle = `📅 Mark Season ${season} of "${title}" as Watched\n${keepSingleStateEmoji} Keeps only latest watched state`;
-      } else {
-        streamTitle = `📅 Mark Season ${season} of "${title}" as Watched ${keepSingleStateEmoji} Keeps only latest watched state`;
-      }
-    } else {
-      streamTitle = `📅 Mark Season ${season} of "${title}" as Watched`;
-    }
-    streamName = "Trakt Marks";
+    streamTitle = withKeepSingleState(`📅 ${translate(language, 'mark.seasonWatched', { season, title })}`);
+    streamName = translate(language, 'name.marks');
   } else if (action === 'mark_series_watched') {
-    if (keepSingleState) {
-      if (keepSingleStateDisplay === 'none') {
-        streamTitle = `📺 Mark Entire "${title}" Series as Watched`;
-      } else if (keepSingleStateDisplay === 'newline') {
-        streamTitle = `📺 Mark Entire "${title}" Series as Watched\n${keepSingleStateEmoji} Keeps only latest watched state`;
-      } else {
-        streamTitle = `📺 Mark Entire "${title}" Series as Watched ${keepSingleStateEmoji} Keeps only latest watched state`;
-      }
-    } else {
-      streamTitle = `📺 Mark Entire "${title}" Series as Watched`;
-    }
-    streamName = "Trakt Marks";
+    streamTitle = withKeepSingleState(`📺 ${translate(language, 'mark.seriesWatched', { title })}`);
+    streamName = translate(language, 'name.marks');
+  } else if (action === 'mark_up_to_here') {
+    streamTitle = `⏪ ${translate(language, 'mark.upToHere', { episode: episodeCode, title })}\n📚 ${translate(language, 'mark.upToHereHint')}`;
+    streamName = translate(language, 'name.marks');
   } else if (action === 'rate_only') {
     if (isCurrentRating) {
       // Current rating - show as "remove rating"
-      streamTitle = await formatRatingTitle(ratingPattern, ratingStyle, rating, title, type, season, episode, year, decodedConfig, imdbId, true);
-      streamName = "Your Trakt Rating";  // Changed
+      streamTitle = await formatRatingTitle(ratingPattern, ratingStyle, rating, title, type, season, episode, year, decodedConfig, imdbId, true, episodeInfo);
+      streamName = translate(language, 'name.yourRating');
     } else {
       // Regular rating option
-      streamTitle = await formatRatingTitle(ratingPattern, ratingStyle, rating, title, type, season, episode, year, decodedConfig, imdbId, false);
-      streamName = "Rate on Trakt";  // Changed
+      streamTitle = await formatRatingTitle(ratingPattern, ratingStyle, rating, title, type, season, episode, year, decodedConfig, imdbId, false, episodeInfo);
+      streamName = translate(language, 'name.rate');
     }
   } else if (action === 'remove_rating') {
     // For remove_rating action, show the current rating with remove option
-    streamTitle = await formatRatingTitle(ratingPattern, ratingStyle, rating, title, type, season, episode, year, decodedConfig, imdbId, true);
-    streamName = "Your Trakt Rating";  // Changed
+    streamTitle = await formatRatingTitle(ratingPattern, ratingStyle, rating, title, type, season, episode, year, decodedConfig, imdbId, true, episodeInfo);
+    streamName = translate(language, 'name.yourRating');
   } else if (action === 'add_to_watchlist') {
-    streamTitle = `📥 Add to Watchlist\n${mediaEmoji} "${title}" ${yearText}\n✅ Add ${mediaType} to your Trakt watchlist`;
-    streamName = "Trakt Watchlist";
+    streamTitle = `📥 ${translate(language, 'watchlist.add')}\n${mediaEmoji} "${title}" ${yearText}\n✅ ${translate(language, 'watchlist.addHint', { mediaType })}`;
+    streamName = translate(language, 'name.watchlist');
   } else if (action === 'remove_from_watchlist') {
-    streamTitle = `📤 Remove from Watchlist\n${mediaEmoji} "${title}" ${yearText}\n🗑️ Remove ${mediaType} from your Trakt watchlist`;
-    streamName = "Trakt Watchlist";
+    const listedBadge = streamInfo.listedAt ? `\n📌 ${translate(language, 'watchlist.since', { date: streamInfo.listedAt.substring(0, 10) })}` : '';
+    streamTitle = `📤 ${translate(language, 'watchlist.remove')}\n${mediaEmoji} "${title}" ${yearText}${listedBadge}\n🗑️ ${translate(language, 'watchlist.removeHint', { mediaType })}`;
+    streamName = translate(language, 'name.watchlist');
+  } else if (action === 'add_to_collection') {
+    const itemText = season !== null && episode !== null ? `${episodeName} "${title}"` : `"${title}" ${yearText}`;
+    const collectionPreset = getCollectionPreset(decodedConfig);
+    const presetLine = collectionPreset !== COLLECTION_PRESETS.none ? `\n💿 ${collectionPreset.name}` : '';
+    streamTitle = `📀 ${translate(language, 'collection.add')}\n${mediaEmoji} ${itemText}${presetLine}`;
+    streamName = translate(language, 'name.collection');
+  } else if (action === 'remove_from_collection') {
+    const itemText = season !== null && episode !== null ? `${episodeName} "${title}"` : `"${title}" ${yearText}`;
+    streamTitle = `🗑️ ${translate(language, 'collection.remove')}\n${mediaEmoji} ${itemText}`;
+    streamName = translate(language, 'name.collection');
+  } else if (action === 'add_to_list') {
+    streamTitle = `📋 ${translate(language, 'list.add', { list: streamInfo.listName })}\n${mediaEmoji} "${title}" ${yearText}\n✅ ${translate(language, 'list.addHint', { mediaType })}`;
+    streamName = translate(language, 'name.lists');
+  } else if (action === 'remove_from_list') {
+    streamTitle = `📋 ${translate(language, 'list.remove', { list: streamInfo.listName })}\n${mediaEmoji} "${title}" ${yearText}\n🗑️ ${translate(language, 'list.removeHint', { mediaType })}`;
+    streamName = translate(language, 'name.lists');
+  } else if (action === 'checkin') {
+    if (type === 'movie') {
+      streamTitle = `📍 ${translate(language, 'checkin.movie', { title })}\n👥 ${translate(language, 'checkin.hint')}`;
+    } else {
+      streamTitle = `📍 ${translate(language, 'checkin.episode', { episode: episodeName, title })}\n👥 ${translate(language, 'checkin.hint')}`;
+    }
+    streamName = translate(language, 'name.checkin');
+  } else if (action === 'cancel_checkin') {
+    // title holds the label of whatever is currently checked in
+    const conflictLine = streamInfo.checkinConflict
+      ? `\n⚠️ ${translate(language, 'checkin.conflict', { item: formatActionItem(streamInfo.checkinConflict) })}`
+      : '';
+    streamTitle = `🛑 ${translate(language, 'checkin.cancel')}\n📍 ${title}${conflictLine}\n↩️ ${translate(language, 'checkin.cancelHint')}`;
+    streamName = translate(language, 'name.checkin');
+  }
+
+  // A user template for this action replaces the built-in title; a broken one is ignored
+  const templateAction = action === 'rate_only' && isCurrentRating ? 'remove_rating' : action;
+  const titleTemplate = decodedConfig?.titleTemplates?.[templateAction];
+  if (titleTemplate) {
+    const templateErrors = validateTitleTemplate(titleTemplate);
+    if (templateErrors.length === 0) {
+      const values = await getTitleTemplateValues(titleTemplate, title, type, imdbId, rating, season, episode, year, decodedConfig, isCurrentRating || action === 'remove_rating', { ...streamInfo, episodeInfo });
+      streamTitle = renderTitleTemplate(titleTemplate, values) || streamTitle;
+    } else {
+      console.log(`[TEMPLATE] Ignoring ${templateAction} template: ${templateErrors.join('; ')}`);
+    }
+  }
+
+  // Watched-time variant of a mark stream
+  if (streamInfo.watchedAt) {
+    const variant = WATCHED_AT_VARIANTS[streamInfo.watchedAt];
+    streamTitle += `\n${variant.emoji} ${translate(language, `watchedAt.${streamInfo.watchedAt}`)}`;
+  }
+
+  // Linked accounts: name who the click is for on the first line ("✅ Mark ... — Alice + Bob")
+  const streamAccounts = decodedConfig?.streamAccounts || null;
+  const streamAccountIds = streamAccounts ? streamAccounts.map(getAccountId) : null;
+  if (streamAccounts) {
+    const [firstLine, ...otherLines] = streamTitle.split('\n');
+    streamTitle = [`${firstLine} — ${streamAccounts.map(getAccountName).join(' + ')}`, ...otherLines].join('\n');
   }
 
   const params = new URLSearchParams({
@@ -2082,10 +5376,23 @@ async function createStreamObject(title, action, type, imdbId, rating = null, se
     imdbId: imdbId,
     title: encodeURIComponent(title),
     rating: rating || '',
-    season: season || '',
-    episode: episode || ''
+    season: season ?? '',
+    episode: episode ?? ''
   });
 
+  if (streamInfo.listId) {
+    params.set('listId', streamInfo.listId);
+  }
+  if (streamInfo.watchedAt) {
+    params.set('watchedAt', streamInfo.watchedAt);
+  }
+  if (streamAccountIds) {
+    params.set('accounts', streamAccountIds.join(','));
+  }
+
+  // Streams sharing an action (one per list, watched time or account) each need their own binge group
+  const variantKey = [streamInfo.listId || streamInfo.watchedAt, streamAccountIds?.join('+')].filter(Boolean).join('-');
+
   const finalVideoUrl = `${SERVER_URL}/configured/${config}/trakt-action?${params.toString()}`;
 
   return {
@@ -2094,15 +5401,80 @@ async function createStreamObject(title, action, type, imdbId, rating = null, se
     url: finalVideoUrl,
     behaviorHints: {
       notWebReady: false,
-      bingeGroup: `trakt-${type}-${imdbId}-${action}`
+      bingeGroup: `trakt-${type}-${imdbId}-${action}${variantKey ? `-${variantKey}` : ''}`
+    }
+  };
+}
+
+// ============================================
+// Info Stream Creator (non-action streams)
+// ============================================
+
+// Status-only streams open the item on trakt.tv (or another page) instead of firing an action
+function createInfoStreamObject(name, title, type, imdbId, infoType, externalUrl = null) {
+  return {
+    name: name,
+    title: title,
+    externalUrl: externalUrl || `https://trakt.tv/search/imdb/${imdbId}`,
+    behaviorHints: {
+      notWebReady: true,
+      bingeGroup: `trakt-${type}-${imdbId}-${infoType}`
     }
   };
 }
 
+function formatWatchedStatusTitle(status, title, type, season = null, episode = null, language = DEFAULT_LANGUAGE) {
+  let itemLine;
+  if (type === 'movie') {
+    itemLine = `🎬 "${title}"`;
+  } else if (season !== null && episode !== null) {
+    itemLine = `📺 S${season}E${episode} "${title}"`;
+  } else {
+    itemLine = `📺 "${title}" ${translate(language, 'year.series')}`;
+  }
+
+  if (!status || !status.plays) {
+    return `👁️ ${translate(language, 'status.notWatched')}\n${itemLine}`;
+  }
+
+  const lastWatched = status.lastWatchedAt ? ` — ${translate(language, 'status.lastOn', { date: status.lastWatchedAt.substring(0, 10) })}` : '';
+  return `👁️ ${translate(language, 'status.watched', { count: status.plays })}${lastWatched}\n${itemLine}`;
+}
+
 // ============================================
 // Stream Creation Helper Functions for Custom Ordering
 // ============================================
 
+const DEFAULT_STREAM_ORDER = [
+  'watched_status',
+  'series_progress',
+  'last_action',
+  'comments',
+  'current_rating',
+  'rating',
+  'season_rating',
+  'watched',
+  'checkin',
+  'up_to_here',
+  'season_watched',
+  'series_watched',
+  'add_to_watchlist',
+  'remove_from_watchlist',
+  'personal_lists',
+  'add_to_collection',
+  'remove_from_collection',
+  'unwatched'
+];
+
+// Append stream types added after the user saved their order, so new features still show up
+function normalizeStreamOrder(streamOrder) {
+  if (!Array.isArray(streamOrder) || streamOrder.length === 0) {
+    return [...DEFAULT_STREAM_ORDER];
+  }
+  const missing = DEFAULT_STREAM_ORDER.filter(streamType => !streamOrder.includes(streamType));
+  return [...streamOrder, ...missing];
+}
+
 async function createCurrentRatingStream(title, type, imdbId, currentRating, season = null, episode = null, config = '', year = null, userConfig = null) {
   if (currentRating > 0) {
     return [await createStreamObject(title, 'remove_rating', type, imdbId, currentRating, season, episode, config, year, userConfig)];
@@ -2113,44 +5485,371 @@ async function createCurrentRatingStream(title, type, imdbId, currentRating, sea
 async function createRatingStreams(title, type, imdbId, ratings, currentRating, season = null, episode = null, config = '', year = null, userConfig = null) {
   const streams = [];
   if (ratings && ratings.length > 0) {
-    for (const rating of ratings) {
-      // Only show rating if different from current rating or if currentRating is 0
-      if (currentRating === 0 || currentRating !== rating) {
+    const scale = getRatingScale(userConfig);
+    for (const rating of getScaleRatings(scale, ratings)) {
+      // Only show rating if it reads differently from the current rating or if currentRating is 0
+      if (currentRating === 0 || scale.format(currentRating) !== scale.format(rating)) {
         streams.push(await createStreamObject(title, 'rate_only', type, imdbId, rating, season, episode, config, year, userConfig, false));
       }
     }
-  }
-  return streams;
-}
+  }
+  return streams;
+}
+
+// Season ratings sit on episode pages: the current season rating (to remove) then the other values
+async function createSeasonRatingStreams(title, type, imdbId, ratings, currentSeasonRating, season = null, config = '', year = null, userConfig = null, showRemove = true) {
+  if (type !== 'series' || !season) return [];
+
+  const streams = [];
+  if (showRemove) {
+    streams.push(...await createCurrentRatingStream(title, type, imdbId, currentSeasonRating, season, null, config, year, userConfig));
+  }
+  streams.push(...await createRatingStreams(title, type, imdbId, ratings, currentSeasonRating, season, null, config, year, userConfig));
+  return streams;
+}
+
+// One mark stream per enabled watched-time variant
+async function createWatchedStream(title, type, imdbId, season = null, episode = null, config = '', year = null, userConfig = null) {
+  const streams = [];
+  for (const watchedAt of getWatchedAtStreamVariants(userConfig)) {
+    streams.push(await createStreamObject(title, 'mark_watched', type, imdbId, null, season, episode, config, year, userConfig, false, { watchedAt }));
+  }
+  return streams;
+}
+
+async function createSeasonWatchedStream(title, type, imdbId, season = null, config = '', year = null, userConfig = null) {
+  const streams = [];
+  if (type === 'series' && season !== null) {
+    for (const watchedAt of getWatchedAtStreamVariants(userConfig)) {
+      streams.push(await createStreamObject(title, 'mark_season_watched', type, imdbId, null, season, null, config, year, userConfig, false, { watchedAt }));
+    }
+  }
+  return streams;
+}
+
+// Nothing comes before S1E1, so the catch-up stream starts from the second episode
+async function createUpToHereStream(title, type, imdbId, season = null, episode = null, config = '', year = null, userConfig = null) {
+  const streams = [];
+  if (type === 'series' && season !== null && episode !== null && !(parseInt(season) === 1 && parseInt(episode) === 1)) {
+    for (const watchedAt of getWatchedAtStreamVariants(userConfig)) {
+      streams.push(await createStreamObject(title, 'mark_up_to_here', type, imdbId, null, season, episode, config, year, userConfig, false, { watchedAt }));
+    }
+  }
+  return streams;
+}
+
+async function createSeriesWatchedStream(title, type, imdbId, config = '', year = null, userConfig = null) {
+  const streams = [];
+  if (type === 'series') {
+    for (const watchedAt of getWatchedAtStreamVariants(userConfig)) {
+      streams.push(await createStreamObject(title, 'mark_series_watched', type, imdbId, null, null, null, config, year, userConfig, false, { watchedAt }));
+    }
+  }
+  return streams;
+}
+
+async function createAddToWatchlistStream(title, type, imdbId, season = null, episode = null, config = '', year = null, userConfig = null) {
+  return [await createStreamObject(title, 'add_to_watchlist', type, imdbId, null, season, episode, config, year, userConfig)];
+}
+
+async function createRemoveFromWatchlistStream(title, type, imdbId, season = null, episode = null, config = '', year = null, userConfig = null, listedAt = null) {
+  return [await createStreamObject(title, 'remove_from_watchlist', type, imdbId, null, season, episode, config, year, userConfig, false, { listedAt })];
+}
+
+// One add or remove stream per chosen list; unknown membership shows both
+async function createPersonalListStreams(title, type, imdbId, memberships, config = '', year = null, userConfig = null) {
+  const streams = [];
+  for (const list of getPersonalLists(userConfig)) {
+    const onList = memberships[list.id];
+    const streamInfo = { listId: list.id, listName: list.name };
+    if (onList !== true) {
+      streams.push(await createStreamObject(title, 'add_to_list', type, imdbId, null, null, null, config, year, userConfig, false, streamInfo));
+    }
+    if (onList !== false) {
+      streams.push(await createStreamObject(title, 'remove_from_list', type, imdbId, null, null, null, config, year, userConfig, false, streamInfo));
+    }
+  }
+  return streams;
+}
+
+async function createAddToCollectionStream(title, type, imdbId, season = null, episode = null, config = '', year = null, userConfig = null) {
+  return [await createStreamObject(title, 'add_to_collection', type, imdbId, null, season, episode, config, year, userConfig)];
+}
+
+async function createRemoveFromCollectionStream(title, type, imdbId, season = null, episode = null, config = '', year = null, userConfig = null) {
+  return [await createStreamObject(title, 'remove_from_collection', type, imdbId, null, season, episode, config, year, userConfig)];
+}
+
+async function createWatchedStatusStream(title, type, imdbId, userConfig, season = null, episode = null) {
+  const status = await getWatchedStatus(imdbId, type, userConfig, season, episode);
+  const statusTitle = formatWatchedStatusTitle(status, title, type, season, episode, getLanguage(userConfig));
+  return [createInfoStreamObject(translate(getLanguage(userConfig), 'name.status'), statusTitle, type, imdbId, 'watched_status')];
+}
+
+// Top comments by likes; each opens the full comment on trakt.tv
+async function createCommentStreams(type, imdbId, userConfig, season = null, episode = null) {
+  const { commentsCount = 3, showSpoilerComments = false } = userConfig;
+
+  const comments = await fetchTraktComments(imdbId, type, userConfig.clientId, season, episode);
+  if (!comments) return [];
+
+  return comments
+    .filter(comment => showSpoilerComments || !comment.spoiler)
+    .slice(0, commentsCount)
+    .map(comment => createInfoStreamObject(
+      translate(getLanguage(userConfig), 'name.comments'),
+      formatCommentTitle(comment, userConfig),
+      type,
+      imdbId,
+      'comments',
+      `https://trakt.tv/comments/${comment.id}`
+    ));
+}
+
+async function createShowProgressStream(title, type, imdbId, userConfig, season = null, episode = null) {
+  if (type !== 'series') return [];
+
+  const progress = await getShowProgress(imdbId, userConfig);
+  if (!progress) return [];
+
+  const language = getLanguage(userConfig);
+  return [createInfoStreamObject(translate(language, 'name.progress'), formatShowProgressTitle(progress, title, season, episode, language), type, imdbId, 'progress')];
+}
+
+// Opens the action log page so a failed click can be inspected
+async function createLastActionStream(type, imdbId, config, userConfig) {
+  const { lastAction, nextPending, pendingCount } = await getLastActionSummary(userConfig);
+  if (!lastAction && pendingCount === 0) {
+    return [];
+  }
+
+  const language = getLanguage(userConfig);
+  let actionTitle;
+  if (lastAction) {
+    const when = lastAction.timestamp.replace('T', ' ').substring(0, 16);
+    actionTitle = `${translate(language, 'lastAction.title', { summary: formatActionSummary(lastAction) })}\n${formatActionItem(lastAction)} · ${when} UTC`;
+    if (lastAction.status !== 'success' && lastAction.error) {
+      actionTitle += `\n${lastAction.error.substring(0, 80)}`;
+    }
+  } else {
+    actionTitle = `${translate(language, 'lastAction.title', { summary: formatActionSummary(nextPending) })}\n${formatActionItem(nextPending)}`;
+  }
+
+  // Clicks waiting out a Trakt outage or rate limit
+  if (pendingCount > 0) {
+    actionTitle += `\n⏳ ${translate(language, 'lastAction.pending', { count: pendingCount })}`;
+  }
+
+  return [createInfoStreamObject(translate(language, 'name.log'), actionTitle, type, imdbId, 'last_action', `${SERVER_URL}/configured/${config}/actions`)];
+}
+
+async function createCheckinStreams(title, type, imdbId, activeCheckin, season = null, episode = null, config = '', year = null, userConfig = null, checkinConflict = null) {
+  const streams = [];
+  const isEpisode = type === 'series' && season !== null && episode !== null;
+
+  // Check-ins only make sense for a movie or a specific episode
+  if (type === 'movie' || isEpisode) {
+    const alreadyCheckedIn = activeCheckin &&
+      activeCheckin.imdbId === imdbId &&
+      (type === 'movie' || (activeCheckin.season === season && activeCheckin.episode === episode));
+
+    if (!alreadyCheckedIn) {
+      streams.push(await createStreamObject(title, 'checkin', type, imdbId, null, season, episode, config, year, userConfig));
+    }
+  }
+
+  // Offer to cancel whatever is currently checked in, saying so when it just blocked a check-in
+  if (activeCheckin) {
+    const expiry = formatCheckinExpiry(activeCheckin.expiresAt);
+    const checkinLabel = `"${activeCheckin.label}"${expiry ? ` (${translate(getLanguage(userConfig), 'checkin.until', { time: expiry })})` : ''}`;
+    streams.push(await createStreamObject(checkinLabel, 'cancel_checkin', type, imdbId, null, null, null, config, year, userConfig, false, { checkinConflict }));
+  }
+
+  return streams;
+}
+
+async function createUnwatchedStream(title, type, imdbId, season = null, episode = null, config = '', year = null, userConfig = null) {
+  return [await createStreamObject(title, 'mark_unwatched', type, imdbId, null, season, episode, config, year, userConfig)];
+}
+
+// ============================================
+// Watchlist Catalog Helpers
+// ============================================
+
+const WATCHLIST_CATALOG_PAGE_SIZE = 100;
+
+// Display name (shown in Stremio's genre dropdown) -> Trakt sort parameters
+const WATCHLIST_SORT_OPTIONS = {
+  added: { name: 'Date Added', sortBy: 'added', sortHow: 'desc' },
+  rank: { name: 'Rank', sortBy: 'rank', sortHow: 'asc' },
+  released: { name: 'Release Date', sortBy: 'released', sortHow: 'desc' },
+  title: { name: 'Title', sortBy: 'title', sortHow: 'asc' }
+};
+
+function buildWatchlistCatalogs(userConfig) {
+  if (!userConfig || userConfig.enableWatchlistCatalog === false) {
+    return [];
+  }
+
+  // Put the user's default sort first so Stremio shows it as the initial option
+  const defaultSort = WATCHLIST_SORT_OPTIONS[userConfig.watchlistCatalogSort] ? userConfig.watchlistCatalogSort : 'added';
+  const sortNames = [
+    WATCHLIST_SORT_OPTIONS[defaultSort].name,
+    ...Object.keys(WATCHLIST_SORT_OPTIONS)
+      .filter(key => key !== defaultSort)
+      .map(key => WATCHLIST_SORT_OPTIONS[key].name)
+  ];
+
+  const extra = [
+    { name: 'genre', options: sortNames, isRequired: false },
+    { name: 'skip', isRequired: false }
+  ];
+
+  return [
+    {
+      type: 'movie',
+      id: 'trakt-watchlist-movies',
+      name: 'Trakt Watchlist',
+      extra,
+      extraSupported: ['genre', 'skip']
+    },
+    {
+      type: 'series',
+      id: 'trakt-watchlist-shows',
+      name: 'Trakt Watchlist',
+      extra,
+      extraSupported: ['genre', 'skip']
+    }
+  ];
+}
+
+// Parse Stremio catalog extra path segment (e.g. "genre=Rank&skip=100")
+function parseCatalogExtra(extra) {
+  const parsed = {};
+  if (!extra) return parsed;
+
+  const params = new URLSearchParams(extra);
+  for (const [key, value] of params.entries()) {
+    parsed[key] = value;
+  }
+  return parsed;
+}
+
+function getWatchlistSortKey(sortName, userConfig) {
+  if (sortName) {
+    const match = Object.keys(WATCHLIST_SORT_OPTIONS).find(key => WATCHLIST_SORT_OPTIONS[key].name === sortName);
+    if (match) return match;
+  }
+  return WATCHLIST_SORT_OPTIONS[userConfig.watchlistCatalogSort] ? userConfig.watchlistCatalogSort : 'added';
+}
+
+function clearWatchlistCatalogCache(userConfig) {
+  const prefix = `${getUserCacheKey(userConfig)}_watchlist_`;
+  for (const key of watchlistCatalogCache.keys()) {
+    if (key.startsWith(prefix)) {
+      watchlistCatalogCache.delete(key);
+    }
+  }
+}
+
+function toWatchlistMeta(item, type) {
+  const media = item[type === 'movie' ? 'movie' : 'show'];
+  const imdbId = media.ids.imdb;
+  return {
+    id: imdbId,
+    type: type,
+    name: media.title,
+    poster: `https://images.metahub.space/poster/medium/${imdbId}/img`,
+    background: `https://images.metahub.space/background/medium/${imdbId}/img`,
+    releaseInfo: media.year ? String(media.year) : undefined,
+    description: media.overview || undefined,
+    genres: media.genres || undefined,
+    imdbRating: media.rating ? media.rating.toFixed(1) : undefined
+  };
+}
+
+// Pages Trakt until `wanted` usable items are buffered, without touching the cached buffer
+async function fetchWatchlistCatalogPages(type, sortKey, buffer, wanted, userConfig) {
+  const mediaType = type === 'movie' ? 'movies' : 'shows';
+  const itemKey = type === 'movie' ? 'movie' : 'show';
+  const { sortBy, sortHow } = WATCHLIST_SORT_OPTIONS[sortKey];
+
+  const metas = [];
+  let nextPage = buffer.nextPage;
+  let done = buffer.done;
+
+  while (!done && buffer.metas.length + metas.length < wanted) {
+    const page = nextPage;
+    const url = `${TRAKT_API_URL}/sync/watchlist/${mediaType}/${sortBy}/${sortHow}?extended=full&page=${page}&limit=${WATCHLIST_CATALOG_PAGE_SIZE}`;
+
+    console.log(`[CATALOG] Fetching watchlist ${mediaType} page ${page} (${sortKey})`);
+
+    const response = await fetch(url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${userConfig.access_token}`,
+        'trakt-api-version': '2',
+        'trakt-api-key': userConfig.clientId
+      }
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Trakt API error: ${response.status} - ${errorText}`);
+    }
 
-async function createWatchedStream(title, type, imdbId, season = null, episode = null, config = '', year = null, userConfig = null) {
-  return [await createStreamObject(title, 'mark_watched', type, imdbId, null, season, episode, config, year, userConfig)];
-}
+    const items = await response.json();
+    const pageCount = parseInt(response.headers.get('x-pagination-page-count'));
 
-async function createSeasonWatchedStream(title, type, imdbId, season = null, config = '', year = null, userConfig = null) {
-  if (type === 'series' && season !== null) {
-    return [await createStreamObject(title, 'mark_season_watched', type, imdbId, null, season, null, config, year, userConfig)];
+    // Stremio ids are IMDb ids, so items Trakt can't map to IMDb are skipped
+    metas.push(...items
+      .filter(item => item[itemKey] && item[itemKey].ids && item[itemKey].ids.imdb)
+      .map(item => toWatchlistMeta(item, type)));
+    nextPage = page + 1;
+    done = items.length < WATCHLIST_CATALOG_PAGE_SIZE || (pageCount > 0 && page >= pageCount);
   }
-  return [];
-}
 
-async function createSeriesWatchedStream(title, type, imdbId, config = '', year = null, userConfig = null) {
-  if (type === 'series') {
-    return [await createStreamObject(title, 'mark_series_watched', type, imdbId, null, null, null, config, year, userConfig)];
-  }
-  return [];
+  return { metas, nextPage, done };
 }
 
-async function createAddToWatchlistStream(title, type, imdbId, season = null, episode = null, config = '', year = null, userConfig = null) {
-  return [await createStreamObject(title, 'add_to_watchlist', type, imdbId, null, season, episode, config, year, userConfig)];
-}
+// Stremio pages by how many metas it has received, while items Trakt can't map to IMDb
+// are dropped. So the filtered list is buffered per sort and sliced by skip, fetching
+// further Trakt pages only until skip + one page of usable items is there.
+async function fetchWatchlistCatalog(type, sortKey, skip, userConfig) {
+  const mediaType = type === 'movie' ? 'movies' : 'shows';
+  const cacheKey = `${getUserCacheKey(userConfig)}_watchlist_${mediaType}_${sortKey}`;
+  const now = Date.now();
 
-async function createRemoveFromWatchlistStream(title, type, imdbId, season = null, episode = null, config = '', year = null, userConfig = null) {
-  return [await createStreamObject(title, 'remove_from_watchlist', type, imdbId, null, season, episode, config, year, userConfig)];
-}
+  let buffer = getUserCacheEntry(watchlistCatalogCache, cacheKey);
+  if (!buffer || (now - buffer.timestamp) >= WATCHLIST_CATALOG_CACHE_TTL) {
+    buffer = { metas: [], nextPage: 1, done: false, timestamp: now };
+    setUserCacheEntry(watchlistCatalogCache, cacheKey, buffer);
+  } else {
+    console.log(`[CATALOG] Using cached watchlist ${mediaType} (${sortKey}, ${buffer.metas.length} items buffered)`);
+  }
 
-async function createUnwatchedStream(title, type, imdbId, season = null, episode = null, config = '', year = null, userConfig = null) {
-  return [await createStreamObject(title, 'mark_unwatched', type, imdbId, null, season, episode, config, year, userConfig)];
+  const wanted = skip + WATCHLIST_CATALOG_PAGE_SIZE;
+  while (!buffer.done && buffer.metas.length < wanted) {
+    // Concurrent requests wait for the fetch already paging this list, then check again
+    let pending = watchlistCatalogFetches.get(cacheKey);
+    if (!pending) {
+      const target = buffer;
+      pending = fetchWatchlistCatalogPages(type, sortKey, target, wanted, userConfig)
+        .then(({ metas, nextPage, done }) => {
+          // Only whole fetches land in the buffer, so a failed page leaves it as it was
+          target.metas.push(...metas);
+          target.nextPage = nextPage;
+          target.done = done;
+        })
+        .finally(() => watchlistCatalogFetches.delete(cacheKey));
+      watchlistCatalogFetches.set(cacheKey, pending);
+    }
+    await pending;
+  }
+
+  const metas = buffer.metas.slice(skip, skip + WATCHLIST_CATALOG_PAGE_SIZE);
+  console.log(`[CATALOG] Found ${metas.length} watchlist item(s) from ${skip}`);
+  return metas;
 }
 
 // ============================================
@@ -2191,7 +5890,7 @@ app.get("/configured/:config/manifest.json", (req, res) => {
   const { config } = req.params;
 
   res.setHeader('Content-Type', 'application/json');
-  console.log(`[MANIFEST] Configured manifest requested for config: ${config}`);
+  console.log(`[MANIFEST] Configured manifest requested for config: ${config.substring(0, 16)}...`);
 
   try {
     const userConfig = decodeConfig(config);
@@ -2212,14 +5911,24 @@ app.get("/configured/:config/manifest.json", (req, res) => {
       addonName = `Trakt Sync & Rate (${username})`;
     }
 
+    const catalogs = buildWatchlistCatalogs(userConfig);
+
+    // Shown in Stremio's addon details so owners of readable links know to re-issue them
+    let reissueNotice = '';
+    if (configNeedsReissue(config)) {
+      reissueNotice = isEncryptedConfig(config)
+        ? ' ⚠️ This install link uses a retired encryption key - open Configure to get a new link.'
+        : ' ⚠️ This install link is not encrypted and exposes your Trakt tokens - open Configure to get a secure link.';
+    }
+
     const manifest = {
       id: `org.stremio.trakt.${config}`,
       version: "2.4.0",
       name: addonName,
-      description: `Sync watched states, rate content, and manage watchlist on Trakt.tv${username ? ` - ${username}'s instance` : ''} with Upstash Redis persistent storage`,
-      resources: ["stream"],
+      description: `Sync watched states, rate content, and manage watchlist on Trakt.tv${username ? ` - ${username}'s instance` : ''} with Upstash Redis persistent storage${reissueNotice}`,
+      resources: catalogs.length > 0 ? ["catalog", "stream"] : ["stream"],
       types: ["movie", "series"],
-      catalogs: [],
+      catalogs: catalogs,
       idPrefixes: ["tt"],
       behaviorHints: {
         configurable: true,
@@ -2268,6 +5977,54 @@ app.get("/:config/manifest.json", (req, res) => {
   res.redirect(`/configured/${config}/manifest.json`);
 });
 
+// ============================================
+// Watchlist Catalog Endpoint
+// ============================================
+
+app.get([
+  "/configured/:config/catalog/:type/:id.json",
+  "/configured/:config/catalog/:type/:id/:extra.json"
+], async (req, res) => {
+  const { config, type, id, extra } = req.params;
+
+  res.setHeader('Content-Type', 'application/json');
+
+  console.log(`[CATALOG] Catalog requested: ${type}/${id}${extra ? ` (${extra})` : ''}`);
+
+  try {
+    const expectedId = type === 'movie' ? 'trakt-watchlist-movies' : 'trakt-watchlist-shows';
+    if (id !== expectedId) {
+      console.log(`[CATALOG] Unknown catalog: ${id}`);
+      return res.json({ metas: [] });
+    }
+
+    const userConfig = await getUserConfigWithTokens(config);
+
+    if (!userConfig || !userConfig.access_token) {
+      console.log(`[CATALOG] Invalid config or missing access token`);
+      return res.json({ metas: [] });
+    }
+
+    if (userConfig.enableWatchlistCatalog === false) {
+      console.log(`[CATALOG] Watchlist catalog disabled for this config`);
+      return res.json({ metas: [] });
+    }
+
+    const extraParams = parseCatalogExtra(extra);
+    const skip = parseInt(extraParams.skip) || 0;
+    const sortKey = getWatchlistSortKey(extraParams.genre, userConfig);
+
+    const metas = await fetchWatchlistCatalog(type, sortKey, skip, userConfig);
+
+    console.log(`[CATALOG] Returning ${metas.length} meta(s) for ${id}`);
+    res.json({ metas });
+
+  } catch (error) {
+    console.error('[CATALOG] Error:', error.message);
+    res.json({ metas: [] });
+  }
+});
+
 // ============================================
 // Stream Endpoint (UPDATED with Custom Stream Ordering)
 // ============================================
@@ -2297,51 +6054,26 @@ app.get("/configured/:config/stream/:type/:id.json", async (req, res) => {
     let title = `IMDb: ${parsedId.imdbId}`;
     let year = null;
 
-    // Fetch title and year from TMDB if API key is available
-    if (userConfig.tmdbKey) {
-      try {
-        const mediaType = type === 'movie' ? 'movie' : 'tv';
-        const tmdbResponse = await fetch(
-          `https://api.themoviedb.org/3/find/${parsedId.imdbId}?api_key=${userConfig.tmdbKey}&external_source=imdb_id`
-        );
-
-        if (tmdbResponse.ok) {
-          const tmdbData = await tmdbResponse.json();
-          const results = type === 'movie' ? tmdbData.movie_results : tmdbData.tv_results;
-          if (results && results.length > 0) {
-            title = results[0].title || results[0].name || title;
-
-            // Extract year from release_date or first_air_date
-            if (results[0].release_date) {
-              year = results[0].release_date.split('-')[0];
-            } else if (results[0].first_air_date) {
-              year = results[0].first_air_date.split('-')[0];
-            }
-
-            console.log(`[STREAM] Found title: "${title}" year: ${year || 'N/A'} via TMDB`);
-          }
-        }
-      } catch (error) {
-        console.log(`[STREAM] TMDB error: ${error.message}`);
-      }
+    // Title and year from the shared TMDB metadata cache
+    const metadata = await getMediaMetadata(parsedId.imdbId, type, userConfig.tmdbKey);
+    if (metadata) {
+      title = metadata.title || title;
+      year = metadata.year;
     }
 
-    // Get current user rating
-    const currentRating = await getUserRating(
-      parsedId.imdbId,
-      type,
-      userConfig.access_token,
-      userConfig.clientId,
-      parsedId.season,
-      parsedId.episode
-    );
-    console.log(`[STREAM] Current rating for ${parsedId.imdbId}: ${currentRating}/10`);
+    // Genres pick the media emoji used in titles. Without TMDB genres the Trakt
+    // lookup runs in the background; until it lands the plain 🎬 / 📺 is shown.
+    if (!metadata?.genres?.length) {
+      loadMediaGenres(parsedId.imdbId, type, userConfig)
+        .catch(error => console.error(`[GENRES] Error: ${error.message}`));
+    }
 
     const {
       ratings = [],
       markAsWatched = true,
       markAsUnwatched = true,
       enableSeasonWatched = true,
+      enableMarkUpToHere = false,
       enableWatchlist = true,
       enableRemoveFromWatchlist = true,
       keepSingleWatchedState = false,
@@ -2349,101 +6081,230 @@ app.get("/configured/:config/stream/:type/:id.json", async (req, res) => {
       keepSingleStateEmoji = '🔄',
       showCurrentRating = true,
       enableRemoveRating = true,
-      streamOrder = [
-        'current_rating',
-        'rating',
-        'watched',
-        'season_watched',
-        'series_watched',
-        'add_to_watchlist',
-        'remove_from_watchlist',
-        'unwatched'
-      ]
+      enableSeasonRatings = false,
+      enableCheckin = false,
+      enableCollection = false,
+      enableRemoveFromCollection = false,
+      enableLists = true,
+      showWatchedStatus = false,
+      showSeriesProgress = false,
+      showLastAction = true,
+      showComments = false
     } = userConfig;
 
+    const streamOrder = normalizeStreamOrder(userConfig.streamOrder);
+
     console.log(`[STREAM] Config - Watched: ${markAsWatched}, Unwatched: ${markAsUnwatched}, Ratings: ${ratings.length}, Season: ${enableSeasonWatched}, Watchlist: ${enableWatchlist}, KeepSingleState: ${keepSingleWatchedState}, ShowCurrentRating: ${showCurrentRating}, EnableRemoveRating: ${enableRemoveRating}`);
     console.log(`[STREAM] Stream Order: ${streamOrder.join(', ')}`);
 
     const streams = [];
 
-    // Create streams in user's preferred order
-    for (const streamType of streamOrder) {
-      switch (streamType) {
-        case 'current_rating':
-          if (showCurrentRating && currentRating > 0 && enableRemoveRating) {
-            const currentRatingStreams = await createCurrentRatingStream(
-              title, type, parsedId.imdbId, currentRating,
-              parsedId.season, parsedId.episode, config, year, userConfig
-            );
-            streams.push(...currentRatingStreams);
-          }
-          break;
-
-        case 'rating':
-          const ratingStreams = await createRatingStreams(
-            title, type, parsedId.imdbId, ratings, currentRating,
-            parsedId.season, parsedId.episode, config, year, userConfig
-          );
-          streams.push(...ratingStreams);
-          break;
-
-        case 'watched':
-          if (markAsWatched) {
-            const watchedStreams = await createWatchedStream(
-              title, type, parsedId.imdbId,
-              parsedId.season, parsedId.episode, config, year, userConfig
-            );
-            streams.push(...watchedStreams);
-          }
-          break;
-
-        case 'season_watched':
-          if (type === 'series' && enableSeasonWatched && parsedId.season !== null && parsedId.episode !== null) {
-            const seasonStreams = await createSeasonWatchedStream(
-              title, type, parsedId.imdbId, parsedId.season, config, year, userConfig
-            );
-            streams.push(...seasonStreams);
-          }
-          break;
-
-        case 'series_watched':
-          if (type === 'series' && markAsWatched) {
-            const seriesStreams = await createSeriesWatchedStream(
-              title, type, parsedId.imdbId, config, year, userConfig
-            );
-            streams.push(...seriesStreams);
-          }
-          break;
-
-        case 'add_to_watchlist':
-          if (enableWatchlist) {
-            const addWatchlistStreams = await createAddToWatchlistStream(
-              title, type, parsedId.imdbId,
-              parsedId.season, parsedId.episode, config, year, userConfig
-            );
-            streams.push(...addWatchlistStreams);
-          }
-          break;
+    // Linked accounts: one pass for everyone, or one per account with that account's own state
+    const streamRuns = getAccountStreamRuns(userConfig);
+    for (const [runIndex, run] of streamRuns.entries()) {
+      const streamConfig = run.streamAccounts ? { ...run.accountConfig, streamAccounts: run.streamAccounts } : run.accountConfig;
+      // Info streams are shown once; personal lists only exist on the primary account
+      const isFirstRun = runIndex === 0;
+      const isPrimaryRun = run.accountConfig === userConfig;
+
+      // Get current user rating
+      const currentRating = await getUserRating(
+        parsedId.imdbId,
+        type,
+        streamConfig,
+        parsedId.season,
+        parsedId.episode
+      );
+      console.log(`[STREAM] Current rating for ${parsedId.imdbId}: ${currentRating}/10`);
+
+      // Only offer the watchlist action that applies to this item
+      const watchlistStatus = (enableWatchlist || enableRemoveFromWatchlist)
+        ? await getWatchlistStatus(parsedId.imdbId, type, streamConfig)
+        : { onWatchlist: null };
+
+      // Create streams in user's preferred order
+      for (const streamType of streamOrder) {
+        switch (streamType) {
+          case 'watched_status':
+            if (showWatchedStatus && isFirstRun) {
+              const statusStreams = await createWatchedStatusStream(
+                title, type, parsedId.imdbId, streamConfig,
+                parsedId.season, parsedId.episode
+              );
+              streams.push(...statusStreams);
+            }
+            break;
+
+          case 'series_progress':
+            if (showSeriesProgress && isFirstRun) {
+              const progressStreams = await createShowProgressStream(
+                title, type, parsedId.imdbId, streamConfig,
+                parsedId.season, parsedId.episode
+              );
+              streams.push(...progressStreams);
+            }
+            break;
 
-        case 'remove_from_watchlist':
-          if (enableRemoveFromWatchlist) {
-            const removeWatchlistStreams = await createRemoveFromWatchlistStream(
-              title, type, parsedId.imdbId,
-              parsedId.season, parsedId.episode, config, year, userConfig
-            );
-            streams.push(...removeWatchlistStreams);
-          }
-          break;
+          case 'last_action':
+            if (showLastAction && isFirstRun) {
+              const lastActionStreams = await createLastActionStream(type, parsedId.imdbId, config, streamConfig);
+              streams.push(...lastActionStreams);
+            }
+            break;
+
+          case 'comments':
+            if (showComments && isFirstRun) {
+              const commentStreams = await createCommentStreams(
+                type, parsedId.imdbId, streamConfig,
+                parsedId.season, parsedId.episode
+              );
+              streams.push(...commentStreams);
+            }
+            break;
+
+          case 'current_rating':
+            if (showCurrentRating && currentRating > 0 && enableRemoveRating) {
+              const currentRatingStreams = await createCurrentRatingStream(
+                title, type, parsedId.imdbId, currentRating,
+                parsedId.season, parsedId.episode, config, year, streamConfig
+              );
+              streams.push(...currentRatingStreams);
+            }
+            break;
 
-        case 'unwatched':
-          if (markAsUnwatched) {
-            const unwatchedStreams = await createUnwatchedStream(
-              title, type, parsedId.imdbId,
-              parsedId.season, parsedId.episode, config, year, userConfig
+          case 'rating':
+            const ratingStreams = await createRatingStreams(
+              title, type, parsedId.imdbId, ratings, currentRating,
+              parsedId.season, parsedId.episode, config, year, streamConfig
             );
-            streams.push(...unwatchedStreams);
-          }
-          break;
+            streams.push(...ratingStreams);
+            break;
+
+          case 'season_rating':
+            if (enableSeasonRatings && parsedId.season !== null && parsedId.episode !== null) {
+              const currentSeasonRating = await getUserRating(parsedId.imdbId, type, streamConfig, parsedId.season);
+              const seasonRatingStreams = await createSeasonRatingStreams(
+                title, type, parsedId.imdbId, ratings, currentSeasonRating,
+                parsedId.season, config, year, streamConfig,
+                showCurrentRating && enableRemoveRating
+              );
+              streams.push(...seasonRatingStreams);
+            }
+            break;
+
+          case 'watched':
+            if (markAsWatched) {
+              const watchedStreams = await createWatchedStream(
+                title, type, parsedId.imdbId,
+                parsedId.season, parsedId.episode, config, year, streamConfig
+              );
+              streams.push(...watchedStreams);
+            }
+            break;
+
+          case 'checkin':
+            if (enableCheckin) {
+              const activeCheckin = await getActiveCheckin(streamConfig);
+              const checkinConflict = activeCheckin ? await getCheckinConflict(userConfig, streamConfig) : null;
+              const checkinStreams = await createCheckinStreams(
+                title, type, parsedId.imdbId, activeCheckin,
+                parsedId.season, parsedId.episode, config, year, streamConfig, checkinConflict
+              );
+              streams.push(...checkinStreams);
+            }
+            break;
+
+          case 'up_to_here':
+            if (enableMarkUpToHere) {
+              const upToHereStreams = await createUpToHereStream(
+                title, type, parsedId.imdbId,
+                parsedId.season, parsedId.episode, config, year, streamConfig
+              );
+              streams.push(...upToHereStreams);
+            }
+            break;
+
+          case 'season_watched':
+            if (type === 'series' && enableSeasonWatched && parsedId.season !== null && parsedId.episode !== null) {
+              const seasonStreams = await createSeasonWatchedStream(
+                title, type, parsedId.imdbId, parsedId.season, config, year, streamConfig
+              );
+              streams.push(...seasonStreams);
+            }
+            break;
+
+          case 'series_watched':
+            if (type === 'series' && markAsWatched) {
+              const seriesStreams = await createSeriesWatchedStream(
+                title, type, parsedId.imdbId, config, year, streamConfig
+              );
+              streams.push(...seriesStreams);
+            }
+            break;
+
+          case 'add_to_watchlist':
+            // Unknown membership (lookup failed) falls back to showing both actions
+            if (enableWatchlist && watchlistStatus.onWatchlist !== true) {
+              const addWatchlistStreams = await createAddToWatchlistStream(
+                title, type, parsedId.imdbId,
+                parsedId.season, parsedId.episode, config, year, streamConfig
+              );
+              streams.push(...addWatchlistStreams);
+            }
+            break;
+
+          case 'remove_from_watchlist':
+            if (enableRemoveFromWatchlist && watchlistStatus.onWatchlist !== false) {
+              const removeWatchlistStreams = await createRemoveFromWatchlistStream(
+                title, type, parsedId.imdbId,
+                parsedId.season, parsedId.episode, config, year, streamConfig,
+                watchlistStatus.listedAt
+              );
+              streams.push(...removeWatchlistStreams);
+            }
+            break;
+
+          case 'personal_lists':
+            if (enableLists && isPrimaryRun && getPersonalLists(streamConfig).length > 0) {
+              const memberships = await getListMemberships(parsedId.imdbId, streamConfig);
+              const listConfig = run.streamAccounts ? { ...streamConfig, streamAccounts: [userConfig] } : streamConfig;
+              const listStreams = await createPersonalListStreams(
+                title, type, parsedId.imdbId, memberships, config, year, listConfig
+              );
+              streams.push(...listStreams);
+            }
+            break;
+
+          case 'add_to_collection':
+            if (enableCollection) {
+              const addCollectionStreams = await createAddToCollectionStream(
+                title, type, parsedId.imdbId,
+                parsedId.season, parsedId.episode, config, year, streamConfig
+              );
+              streams.push(...addCollectionStreams);
+            }
+            break;
+
+          case 'remove_from_collection':
+            if (enableRemoveFromCollection) {
+              const removeCollectionStreams = await createRemoveFromCollectionStream(
+                title, type, parsedId.imdbId,
+                parsedId.season, parsedId.episode, config, year, streamConfig
+              );
+              streams.push(...removeCollectionStreams);
+            }
+            break;
+
+          case 'unwatched':
+            if (markAsUnwatched) {
+              const unwatchedStreams = await createUnwatchedStream(
+                title, type, parsedId.imdbId,
+                parsedId.season, parsedId.episode, config, year, streamConfig
+              );
+              streams.push(...unwatchedStreams);
+            }
+            break;
+        }
       }
     }
 
@@ -2466,7 +6327,14 @@ app.get("/configured/:config/stream/:type/:id.json", async (req, res) => {
 
 app.get("/configured/:config/configure", (req, res) => {
   const { config } = req.params;
-  console.log(`[CONFIG REDIRECT] Redirecting to configuration page with config: ${config}`);
+
+  // Hand old plain / retired-key configs to the page so it can offer a secure URL
+  if (configNeedsReissue(config)) {
+    console.log(`[CONFIG REDIRECT] Redirecting to configuration page with a config that needs re-issuing`);
+    return res.redirect(`/configure?reissue=${encodeURIComponent(config)}`);
+  }
+
+  console.log(`[CONFIG REDIRECT] Redirecting to configuration page`);
   res.redirect(`/configure`);
 });
 
@@ -2474,13 +6342,366 @@ app.get("/configure", (req, res) => {
   res.sendFile(join(__dirname, 'public', 'index.html'));
 });
 
+// ============================================
+// Action Queue (durable retries for Trakt writes)
+// ============================================
+
+// Each job is its own key; the ids sit in one list so instances sharing a backend
+// append and remove atomically instead of overwriting each other's queue.
+const ACTION_QUEUE_IDS_KEY = 'action_queue:ids';
+const ACTION_QUEUE_JOB_PREFIX = 'action_queue:job:';
+const ACTION_QUEUE_LOCK_PREFIX = 'action_queue:lock:';
+const LEGACY_ACTION_QUEUE_KEY = 'action_queue';
+const ACTION_QUEUE_MAX_ATTEMPTS = 8;
+const ACTION_QUEUE_BASE_DELAY = 5 * 1000; // 5 seconds, doubled on every failed attempt
+const ACTION_QUEUE_MAX_DELAY = 30 * 60 * 1000; // 30 minutes
+const ACTION_QUEUE_POLL_INTERVAL = 5 * 1000;
+const ACTION_QUEUE_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+const ACTION_QUEUE_LOCK_SECONDS = 2 * 60; // a crashed instance's claim runs out after this
+
+// Last known queue, for /health and the action log page; storage is the source of truth
+let actionQueue = null;
+let actionQueueMigrated = false;
+let actionQueuePoller = null;
+let lastQueuePoke = 0;
+const activeQueueJobs = new Set();
+
+// Jobs carry the user's config, so they are only persisted when it can be sealed
+// (CONFIG_SECRET) and a server backend exists. Otherwise they stay in this process.
+function getActionQueueStorage() {
+  const storage = getServerStorage();
+  return storage && isConfigEncryptionEnabled() ? storage : memoryStorage;
+}
+
+// Encrypted with CONFIG_SECRET before it is written anywhere; plain only in process memory
+function sealJobConfig(config) {
+  if (!isConfigEncryptionEnabled() || isEncryptedConfig(config)) {
+    return config;
+  }
+  const decoded = decodeConfig(config);
+  return decoded ? encodeConfig(decoded) : config;
+}
+
+async function saveQueuedJob(job) {
+  await getActionQueueStorage().set(`${ACTION_QUEUE_JOB_PREFIX}${job.id}`, JSON.stringify(job), ACTION_QUEUE_TTL_SECONDS);
+}
+
+async function deleteQueuedJob(job) {
+  const storage = getActionQueueStorage();
+  await storage.remove(ACTION_QUEUE_IDS_KEY, job.id);
+  await storage.del(`${ACTION_QUEUE_JOB_PREFIX}${job.id}`);
+}
+
+// Queues written by older versions were one server-storage key holding every job with its plain config
+async function migrateLegacyActionQueue(storage) {
+  const legacyStorage = getServerStorage();
+  const stored = legacyStorage ? await legacyStorage.get(LEGACY_ACTION_QUEUE_KEY) : null;
+  if (!stored) return;
+
+  const jobs = typeof stored === 'string' ? JSON.parse(stored) : stored;
+  for (const job of Array.isArray(jobs) ? jobs : []) {
+    job.config = sealJobConfig(job.config);
+    await saveQueuedJob(job);
+    await storage.push(ACTION_QUEUE_IDS_KEY, job.id, ACTION_QUEUE_TTL_SECONDS);
+  }
+  await legacyStorage.del(LEGACY_ACTION_QUEUE_KEY);
+  console.log(`[QUEUE] Moved ${Array.isArray(jobs) ? jobs.length : 0} pending action(s) to per-job keys`);
+}
+
+// Reads the queue in order; ids whose job expired are dropped from the list
+async function loadActionQueue() {
+  const storage = getActionQueueStorage();
+
+  try {
+    if (!actionQueueMigrated) {
+      actionQueueMigrated = true;
+      await migrateLegacyActionQueue(storage);
+    }
+
+    const jobs = [];
+    for (const id of await storage.range(ACTION_QUEUE_IDS_KEY)) {
+      const stored = await storage.get(`${ACTION_QUEUE_JOB_PREFIX}${id}`);
+      if (stored) {
+        jobs.push(typeof stored === 'string' ? JSON.parse(stored) : stored);
+      } else {
+        await storage.remove(ACTION_QUEUE_IDS_KEY, id);
+      }
+    }
+    actionQueue = jobs;
+  } catch (error) {
+    console.error(`[QUEUE] Failed to load pending actions: ${error.message}`);
+    actionQueue = actionQueue || [];
+  }
+  return actionQueue;
+}
+
+function getActionRetryDelay(attempts, retryAfterMs) {
+  const backoff = Math.min(ACTION_QUEUE_BASE_DELAY * 2 ** (attempts - 1), ACTION_QUEUE_MAX_DELAY);
+  return Math.max(backoff, retryAfterMs || 0);
+}
+
+// Keeps one account's jobs in order. Taken from the config alone (its storage configId, else the
+// token it carries), so it's the same whether or not Trakt could confirm the identity at the time
+function getActionQueueKey(userConfig) {
+  if (userConfig.configId) {
+    return `config_${userConfig.configId}`;
+  }
+  return `token_${hashToken(userConfig.access_token).substring(0, 32)}`;
+}
+
+async function enqueueAction(config, userConfig, params) {
+  const storage = getActionQueueStorage();
+  const job = {
+    id: generateConfigId(),
+    userKey: getUserCacheKey(userConfig),
+    queueKey: getActionQueueKey(userConfig),
+    config: sealJobConfig(config),
+    ...params,
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    lastError: null,
+    queuedAt: new Date().toISOString()
+  };
+
+  await saveQueuedJob(job);
+  await storage.push(ACTION_QUEUE_IDS_KEY, job.id, ACTION_QUEUE_TTL_SECONDS);
+  console.log(`[QUEUE] Queued ${job.action} for ${job.imdbId} in ${storage.name} storage`);
+
+  processActionQueue();
+  return job;
+}
+
+// Public view of a user's queued jobs, linked accounts included (the stored config holds tokens, so it's left out).
+// Keys come from Trakt-verified identities, so listing someone's username in accounts reveals nothing.
+async function getPendingActions(userConfig) {
+  const jobs = await loadActionQueue();
+  const userKeys = getAllAccounts(userConfig).map(getUserCacheKey);
+  return jobs
+    .filter(job => userKeys.includes(job.userKey))
+    .map(job => ({
+      action: job.action,
+      type: job.type,
+      imdbId: job.imdbId,
+      title: job.title,
+      season: job.season,
+      episode: job.episode,
+      rating: job.rating ? parseInt(job.rating) : null,
+      listName: job.listName,
+      account: job.account || null,
+      status: 'pending',
+      attempts: job.attempts,
+      nextAttemptAt: new Date(job.nextAttemptAt).toISOString(),
+      lastError: job.lastError,
+      queuedAt: job.queuedAt
+    }));
+}
+
+// Runs the oldest job of every user; a user's later jobs wait behind it so their order never changes.
+// A job is claimed first, so only one instance sharing the backend runs it.
+async function processActionQueue() {
+  const jobs = await loadActionQueue();
+  const storage = getActionQueueStorage();
+  const now = Date.now();
+  const nextJobs = new Map();
+
+  // Jobs queued before queueKey existed fall back to their userKey
+  for (const job of jobs) {
+    const queueKey = job.queueKey || job.userKey;
+    if (!nextJobs.has(queueKey)) {
+      nextJobs.set(queueKey, job);
+    }
+  }
+
+  for (const job of nextJobs.values()) {
+    if (activeQueueJobs.has(job.id) || job.nextAttemptAt > now) continue;
+
+    activeQueueJobs.add(job.id);
+    const lockKey = `${ACTION_QUEUE_LOCK_PREFIX}${job.id}`;
+
+    storage.claim(lockKey, ACTION_QUEUE_LOCK_SECONDS)
+      .then(async claimed => {
+        if (!claimed) return false;
+        try {
+          // Another instance may have finished or rescheduled it since the queue was read
+          const stored = await storage.get(`${ACTION_QUEUE_JOB_PREFIX}${job.id}`);
+          const current = typeof stored === 'string' ? JSON.parse(stored) : stored;
+          if (!current || current.nextAttemptAt > Date.now()) return false;
+          await runQueuedAction(current);
+        } finally {
+          await storage.del(lockKey);
+        }
+        return true;
+      })
+      .catch(error => {
+        console.error(`[QUEUE] ${job.action} for ${job.imdbId} could not run: ${error.message}`);
+        return false;
+      })
+      .then(ran => {
+        activeQueueJobs.delete(job.id);
+        if (ran) processActionQueue();
+      });
+  }
+}
+
+// Without a long-lived process (serverless entry) nothing polls, so requests nudge the queue
+function pokeActionQueue() {
+  if (actionQueuePoller || Date.now() - lastQueuePoke < ACTION_QUEUE_POLL_INTERVAL) return;
+  lastQueuePoke = Date.now();
+  processActionQueue().catch(error => console.error(`[QUEUE] Poll failed: ${error.message}`));
+}
+
+async function runQueuedAction(job) {
+  let primaryConfig = null;
+  let userConfig = null;
+  let result;
+
+  job.attempts += 1;
+
+  try {
+    primaryConfig = await getUserConfigWithTokens(job.config);
+    if (primaryConfig && job.accountId !== undefined && job.accountId !== null) {
+      userConfig = findAccount(primaryConfig, job.accountId);
+    } else {
+      userConfig = primaryConfig && job.account ? findAccountByName(primaryConfig, job.account) : primaryConfig;
+    }
+
+    if (primaryConfig && !userConfig) {
+      result = { success: false, error: `Account ${job.account} is no longer linked to this config`, retryable: false };
+    } else if (!userConfig || !userConfig.access_token) {
+      result = { success: false, error: 'Invalid config or missing access token', retryable: false };
+    } else {
+      result = await makeTraktRequest(
+        job.action,
+        job.type,
+        job.imdbId,
+        job.title,
+        userConfig,
+        job.rating,
+        job.season,
+        job.episode,
+        { listId: job.listId, watchedAt: job.watchedAt }
+      );
+    }
+  } catch (error) {
+    result = { success: false, error: error.message, retryable: true };
+  }
+
+  if (!result.success && result.retryable && job.attempts < ACTION_QUEUE_MAX_ATTEMPTS) {
+    const delay = getActionRetryDelay(job.attempts, result.retryAfterMs);
+    job.nextAttemptAt = Date.now() + delay;
+    job.lastError = result.error;
+    await saveQueuedJob(job);
+    console.log(`[QUEUE] ⏳ ${job.action} for ${job.imdbId} failed (attempt ${job.attempts}/${ACTION_QUEUE_MAX_ATTEMPTS}), retrying in ${Math.round(delay / 1000)}s: ${result.error}`);
+    return;
+  }
+
+  await deleteQueuedJob(job);
+
+  // Trakt says the quota is used up: hold this user's remaining jobs until it resets
+  if (result.success && result.retryAfterMs) {
+    const resumeAt = Date.now() + result.retryAfterMs;
+    for (const queued of await loadActionQueue()) {
+      if ((queued.queueKey || queued.userKey) === (job.queueKey || job.userKey) && queued.nextAttemptAt < resumeAt) {
+        queued.nextAttemptAt = resumeAt;
+        await saveQueuedJob(queued);
+      }
+    }
+  }
+
+  if (userConfig) {
+    await handleActionResult(userConfig, job, result, primaryConfig);
+  } else {
+    console.error(`[QUEUE] Dropped ${job.action} for ${job.imdbId}: ${result.error}`);
+  }
+}
+
+// Logs the outcome and keeps the local indexes in step with what changed on Trakt.
+// Linked accounts log into the primary's action log so one page shows the whole household.
+async function handleActionResult(userConfig, job, result, logConfig = userConfig) {
+  const { action, type, imdbId, season, episode, rating } = job;
+
+  await recordAction(logConfig, {
+    timestamp: new Date().toISOString(),
+    action,
+    type,
+    imdbId,
+    title: job.title,
+    season,
+    episode,
+    rating: rating ? parseInt(rating) : null,
+    listName: job.listName || null,
+    account: job.account || null,
+    accountId: job.accountId ?? null,
+    status: result.success ? 'success' : (result.conflict ? 'conflict' : 'failed'),
+    message: result.message || null,
+    error: result.error || null,
+    attempts: job.attempts
+  });
+
+  if (result.success) {
+    console.log(`[TRAKT] ✅ ${result.message}`);
+
+    // Keep the ratings index in sync with our own rating changes
+    if (action === 'rate_only') {
+      await updateRatingsIndex(userConfig, type, imdbId, season, episode, parseInt(rating));
+    } else if (action === 'remove_rating') {
+      await updateRatingsIndex(userConfig, type, imdbId, season, episode, 0);
+    }
+
+    // History changed, so plays / last watched need a fresh download
+    if (['mark_watched', 'mark_unwatched', 'mark_season_watched', 'mark_series_watched', 'mark_up_to_here'].includes(action) ||
+        (action === 'rate_only' && userConfig.markAsPlayedOnRate && (type === 'movie' || (season !== null && episode !== null)))) {
+      invalidateWatchedIndex(userConfig, type);
+      if (type === 'series') {
+        invalidateShowProgress(userConfig, imdbId);
+      }
+    }
+
+    // Refresh watchlist catalogs and membership after watchlist changes
+    if (action === 'add_to_watchlist' || action === 'remove_from_watchlist') {
+      clearWatchlistCatalogCache(userConfig);
+      await updateWatchlistIndex(userConfig, type, imdbId, action === 'add_to_watchlist');
+    }
+
+    if (action === 'add_to_list' || action === 'remove_from_list') {
+      await updateListIndex(userConfig, job.listId, imdbId, action === 'add_to_list');
+    }
+  } else if (result.conflict) {
+    // Another check-in is active: the next stream list will offer a "Cancel Current Check-in" stream
+    console.log(`[TRAKT-ACTION] ⚠️ Check-in conflict: ${result.error} - offering cancel in stream list`);
+  } else {
+    console.error(`[TRAKT] ❌ ${result.error}${job.attempts > 1 ? ` (gave up after ${job.attempts} attempts)` : ''}`);
+  }
+
+  // Check-in state changed (or conflicted), drop the cached /users/me/watching result
+  if (action === 'checkin' || action === 'cancel_checkin') {
+    const userKey = getUserCacheKey(userConfig);
+    checkinCache.delete(userKey);
+    pendingUserDownloads.delete(`${userKey}_checkin`);
+  }
+}
+
+// Picks up jobs left over from before a restart and re-checks for due retries
+async function startActionQueue() {
+  const jobs = await loadActionQueue();
+  if (jobs.length > 0) {
+    console.log(`[QUEUE] Resuming ${jobs.length} pending action(s)`);
+  }
+  if (getActionQueueStorage() === memoryStorage) {
+    console.log('[QUEUE] Pending actions are kept in memory only (needs STORAGE_BACKEND and CONFIG_SECRET to survive a restart)');
+  }
+  processActionQueue();
+  actionQueuePoller = setInterval(processActionQueue, ACTION_QUEUE_POLL_INTERVAL);
+  actionQueuePoller.unref();
+}
+
 // ============================================
 // Trakt Action Endpoint (UPDATED with Remove Rating)
 // ============================================
 
 app.get("/configured/:config/trakt-action", async (req, res) => {
   const { config } = req.params;
-  const { action, type, imdbId, title, season, episode, rating } = req.query;
+  const { action, type, imdbId, title, season, episode, rating, listId, watchedAt, accounts } = req.query;
 
   console.log(`[TRAKT-ACTION] Click detected! Executing immediately...`);
   console.log(`  Action: ${action}, Type: ${type}, IMDb: ${imdbId}`);
@@ -2488,45 +6709,90 @@ app.get("/configured/:config/trakt-action", async (req, res) => {
 
   // Using the proven working video URL from Overseerr
   const waitUrl = "https://cdn.jsdelivr.net/gh/ericvlog/material@main/stream1.mp4";
+  const queuedFor = [];
 
-  setTimeout(async () => {
-    try {
-      // Use the helper function to get config with tokens
-      const userConfig = await getUserConfigWithTokens(config);
-
-      if (userConfig && userConfig.access_token) {
-        const result = await makeTraktRequest(
-          action,
-          type,
-          imdbId,
-          decodeURIComponent(title),
-          userConfig,
-          rating,
-          season,
-          episode
-        );
-
-        if (result.success) {
-          console.log(`[TRAKT] ✅ ${result.message}`);
-
-          // Clear user rating cache after rating action
-          const cacheKey = `${imdbId}_${type}_${season || ''}_${episode || ''}_${userConfig.access_token.substring(0, 10)}`;
-          userRatingCache.delete(cacheKey);
-        } else {
-          console.error(`[TRAKT] ❌ ${result.error}`);
-        }
-      } else {
-        console.error(`[TRAKT-ACTION] Invalid config or missing access token`);
-      }
-    } catch (error) {
-      console.error(`[TRAKT] Error: ${error.message}`);
+  try {
+    // Use the helper function to get config with tokens
+    const userConfig = await getUserConfigWithTokens(config);
+
+    if (!userConfig || !userConfig.access_token) {
+      console.error(`[TRAKT-ACTION] Invalid config or missing access token`);
+      return res.status(400).send(renderActionErrorPage('This addon link has no working Trakt login. Open the configure page, reconnect Trakt and reinstall the addon.'));
+    }
+
+    // Streams for linked accounts name who the click is for; each account gets its own job
+    const targets = accounts ? selectAccounts(userConfig, accounts) : [userConfig];
+    if (targets.length === 0) {
+      console.error(`[TRAKT-ACTION] None of the accounts "${accounts}" are linked to this config`);
+      return res.status(400).send(renderActionErrorPage(`None of the accounts "${accounts}" are linked to this addon link any more.`));
+    }
+
+    // Stored before answering, so a click the player already accepted can't be lost afterwards.
+    // Running the job is still left to the queue.
+    for (const target of targets) {
+      await enqueueAction(config, target, {
+        action,
+        type,
+        imdbId,
+        title: decodeURIComponent(title),
+        season: season ? parseInt(season) : null,
+        episode: episode ? parseInt(episode) : null,
+        rating: rating || null,
+        listId: listId || null,
+        listName: listId ? getPersonalListName(userConfig, listId) : null,
+        watchedAt: watchedAt || null,
+        account: accounts ? getAccountName(target) : null,
+        accountId: accounts ? getAccountId(target) : null
+      });
+      queuedFor.push(getAccountName(target));
+      invalidateLastActionSummary(userConfig);
     }
-  }, 100);
+  } catch (error) {
+    console.error(`[TRAKT-ACTION] Could not queue ${action}: ${error.message}`);
+    const saved = queuedFor.length > 0 ? ` It was saved for ${queuedFor.join(', ')} only.` : ' Nothing was sent to Trakt.';
+    return res.status(503).send(renderActionErrorPage(`The click could not be saved (${error.message}).${saved} Please try again.`));
+  }
 
   // Redirect to the working video
   res.redirect(waitUrl);
 });
 
+// ============================================
+// Action Log Endpoint
+// ============================================
+
+app.get("/configured/:config/actions", async (req, res) => {
+  const { config } = req.params;
+
+  try {
+    const userConfig = await getUserConfigWithTokens(config);
+
+    if (!userConfig) {
+      return res.status(400).json({ error: 'Invalid config' });
+    }
+
+    const entries = await readActionLog(userConfig);
+    const pending = await getPendingActions(userConfig);
+    const wantsJson = req.query.format === 'json' || req.accepts(['html', 'json']) === 'json';
+
+    if (wantsJson) {
+      return res.json({ username: userConfig.username || null, pending, actions: entries });
+    }
+
+    // Pending jobs sit on top of the table, newest first like the log
+    const rows = [...pending.reverse().map(job => ({
+      ...job,
+      timestamp: job.queuedAt,
+      error: `Attempt ${job.attempts}, next try ${job.nextAttemptAt.replace('T', ' ').substring(0, 19)} UTC${job.lastError ? ` - ${job.lastError}` : ''}`
+    })), ...entries];
+
+    res.send(renderActionLogPage(rows, userConfig.username));
+  } catch (error) {
+    console.error(`[ACTION-LOG] Error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================
 // Default Routes
 // ============================================
@@ -2547,9 +6813,11 @@ app.get("/health", (req, res) => {
     server: SERVER_URL,
     pending_requests: pendingRequests.size,
     oauth_states: oauthStates.size,
+    metadata_cache: tmdbCache.size,
+    pending_actions: actionQueue ? actionQueue.length : 0,
     environment: process.env.NODE_ENV || 'development',
     version: '2.4.0',
-    features: 'Upstash Redis, Trakt Sync, Ratings, Watchlist, Keep Single Watched State, Current Rating Display, Remove Rating, Custom Stream Ordering'
+    features: 'Upstash Redis, Trakt Sync, Ratings, Watchlist, Keep Single Watched State, Current Rating Display, Remove Rating, Custom Stream Ordering, Watchlist Catalog, Check-in, Storage Backends, Action Log, Action Queue, Config Encryption, Collection, Personal Lists, Community Comments, Watched-At Variants, Catch-up Marks, Series Progress, Linked Accounts, Title Templates, Shared Metadata Cache, Episode Names & Finales'
   });
 });
 
@@ -2579,7 +6847,8 @@ app.get("/cleanup", (req, res) => {
 // Server Startup
 // ============================================
 
-if (process.env.NODE_ENV !== 'production' || process.env.RUN_SERVER) {
+// Tests import the app and listen on their own port
+if ((process.env.NODE_ENV !== 'production' && process.env.NODE_ENV !== 'test') || process.env.RUN_SERVER) {
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 Trakt Addon Server Started v2.4.0`);
     console.log(`📋 Configuration: ${SERVER_URL}/configure`);
@@ -2597,14 +6866,33 @@ if (process.env.NODE_ENV !== 'production' || process.env.RUN_SERVER) {
     console.log(`🎨 Rating Patterns: Original, Pattern 1, Pattern 6`);
     console.log(`📊 Stats Display: Customizable Trakt stats (choose any 3)`);
     console.log(`🔐 Persistent Storage: Upstash Redis for 90-day token storage`);
+    console.log(`🔒 Config Encryption: ${isConfigEncryptionEnabled() ? `AES-256-GCM (key ${currentConfigKey.keyId}, ${previousConfigKeys.length} previous)` : 'off (set CONFIG_SECRET to encrypt addon URLs)'}`);
+    console.log(`💾 Server Storage: ${getServerStorage() ? getServerStorage().name : 'not configured (set STORAGE_BACKEND=file|redis|upstash)'}`);
     console.log(`⚠️  Fallback System: Local cache when Upstash is unreachable`);
     console.log(`🎬 Video: Using Overseerr wait.mp4 video (proven to work with Stremio)`);
     console.log(`🔄 Keep Single State: Removes duplicates when marking as watched`);
     console.log(`⭐ Current Rating Display - Shows your existing ratings in Stremio`);
     console.log(`🗑️  Remove Rating Option - Single stream for removing existing ratings (no duplicates)`);
     console.log(`📋 NEW: Custom Stream Ordering - Drag and drop to reorder streams in Stremio`);
+    console.log(`📚 Watchlist Catalog - Browse your Trakt watchlist in Stremio`);
+    console.log(`🔁 Action Queue - Retries Trakt writes on rate limits and outages`);
     console.log(`\n✅ IMPORTANT: Fixed user rating error and implemented custom stream ordering!`);
+
+    startActionQueue();
   });
 }
 
+// Internals exercised directly by the test suite
+export {
+  parseStremioId,
+  formatRatingTitle,
+  makeTraktRequest,
+  getUserConfigWithTokens,
+  encodeConfig,
+  decodeConfig,
+  getMediaMetadata,
+  getEpisodeMetadata,
+  processActionQueue
+};
+
 export default app;
@@ -0,0 +1,155 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, encodeTestConfig, waitFor } from './helpers/test-app.js';
+
+let env;
+
+before(async () => {
+  env = await startTestApp({ CONFIG_SECRET: 'queue-test-secret' });
+  // Server storage is picked on first use, after the fake Upstash is listening
+  Object.assign(process.env, {
+    STORAGE_BACKEND: 'upstash',
+    UPSTASH_REDIS_REST_URL: env.upstash.url,
+    UPSTASH_REDIS_REST_TOKEN: 'upstash-token'
+  });
+});
+
+after(async () => {
+  await env.close();
+});
+
+beforeEach(() => {
+  env.trakt.reset();
+});
+
+function storedJobs() {
+  return (env.upstash.store.get('action_queue:ids') || []).map(id => JSON.parse(env.upstash.store.get(`action_queue:job:${id}`)));
+}
+
+test('jobs from the old single-key queue move to sealed per-job keys', async () => {
+  const config = encodeTestConfig({ clientId: 'test-client', access_token: 'legacy-token' });
+  env.upstash.store.set('action_queue', JSON.stringify([{
+    id: 'legacy-job',
+    userKey: 'token_legacy',
+    config,
+    action: 'add_to_watchlist',
+    type: 'movie',
+    imdbId: 'tt0133093',
+    title: 'Matrix',
+    attempts: 1,
+    nextAttemptAt: Date.now() + 60 * 1000,
+    queuedAt: new Date().toISOString()
+  }]));
+
+  await env.server.processActionQueue();
+
+  assert.equal(env.upstash.store.has('action_queue'), false);
+  const [job] = storedJobs();
+  assert.equal(job.id, 'legacy-job');
+  assert.match(job.config, /^enc1\./);
+
+  env.upstash.store.delete('action_queue:ids');
+});
+
+test('a rate-limited click is kept as its own sealed job and retried later', async () => {
+  env.trakt.on('POST', '/sync/history', { status: 429, body: {}, headers: { 'Retry-After': '1' } });
+  const config = encodeTestConfig({ clientId: 'test-client', access_token: 'queue-token', refresh_token: 'queue-refresh' });
+
+  await fetch(`${env.baseUrl}/configured/${config}/trakt-action?action=mark_watched&type=movie&imdbId=tt0133093&title=Matrix`, { redirect: 'manual' });
+  await waitFor(() => storedJobs()[0]?.attempts === 1);
+
+  // The stored job holds no readable tokens
+  const [job] = storedJobs();
+  assert.match(job.config, /^enc1\./);
+  assert.doesNotMatch(JSON.stringify([...env.upstash.store.values()]), /queue-token|queue-refresh/);
+
+  // Make it due and let Trakt recover
+  env.upstash.store.set(`action_queue:job:${job.id}`, JSON.stringify({ ...job, nextAttemptAt: 0 }));
+  env.trakt.on('POST', '/sync/history', { status: 201, body: {} });
+  // The first run may still hold its claim for a moment, and the job key goes after its id
+  const jobKey = `action_queue:job:${job.id}`;
+  for (let attempt = 0; attempt < 40 && (storedJobs().length > 0 || env.upstash.store.has(jobKey)); attempt++) {
+    await env.server.processActionQueue();
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+
+  assert.equal(storedJobs().length, 0);
+  assert.equal(env.trakt.find('POST', '/sync/history').length, 2);
+  assert.equal(env.upstash.store.has(jobKey), false);
+});
+
+test('a user\'s jobs stay in order while Trakt can\'t confirm who they are', async () => {
+  let settingsCalls = 0;
+  env.trakt.on('GET', '/users/settings', () => (++settingsCalls === 1
+    ? { status: 503, body: {} }
+    : { body: { user: { username: 'flaky' } } }));
+  env.trakt.on('POST', '/sync/ratings', { status: 503, body: {} });
+  const config = encodeTestConfig({ clientId: 'test-client', access_token: 'flaky-token' });
+  const click = query => fetch(`${env.baseUrl}/configured/${config}/trakt-action?type=movie&imdbId=tt0133093&title=Matrix&${query}`, { redirect: 'manual' });
+
+  await click('action=rate_only&rating=8');
+  await waitFor(() => storedJobs()[0]?.attempts === 1);
+  await click('action=remove_rating');
+  await waitFor(() => storedJobs().length === 2);
+  await env.server.processActionQueue();
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  // The first lookup failed and the second worked, yet both jobs share one place in line
+  const [rate, remove] = storedJobs();
+  assert.notEqual(rate.userKey, remove.userKey);
+  assert.equal(rate.queueKey, remove.queueKey);
+  assert.equal(remove.attempts, 0);
+  assert.equal(env.trakt.find('POST', '/sync/ratings/remove').length, 0);
+
+  for (const job of storedJobs()) {
+    env.upstash.store.delete(`action_queue:job:${job.id}`);
+  }
+  env.upstash.store.delete('action_queue:ids');
+});
+
+test('a click that can\'t be stored gets an error page instead of the wait video', async () => {
+  env.upstash.on('GET', /^\/set\/action_queue/, { status: 500, body: { error: 'down' } });
+  const config = encodeTestConfig({ clientId: 'test-client', access_token: 'unsaved-token' });
+
+  try {
+    const response = await fetch(`${env.baseUrl}/configured/${config}/trakt-action?action=mark_watched&type=movie&imdbId=tt0133093&title=Matrix`, { redirect: 'manual' });
+    assert.equal(response.status, 503);
+    assert.match(await response.text(), /The click could not be saved .* Nothing was sent to Trakt/);
+  } finally {
+    env.upstash.reset();
+  }
+  assert.equal(env.trakt.find('POST', '/sync/history').length, 0);
+
+  const invalid = await fetch(`${env.baseUrl}/configured/${encodeTestConfig({ clientId: 'test-client' })}/trakt-action?action=mark_watched&type=movie&imdbId=tt0133093&title=Matrix`, { redirect: 'manual' });
+  assert.equal(invalid.status, 400);
+});
+
+test('the last action line is read from storage once and refreshed when a click is logged', async () => {
+  const config = encodeTestConfig({
+    clientId: 'test-client',
+    access_token: 'log-token',
+    ratings: [],
+    markAsWatched: false,
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    showWatchedStatus: false
+  });
+  const lastActionTitle = async () => {
+    const { streams } = await (await fetch(`${env.baseUrl}/configured/${config}/stream/movie/tt0133093.json`)).json();
+    return streams.find(stream => stream.externalUrl?.endsWith('/actions'))?.title;
+  };
+  const logReads = () => env.upstash.requests.filter(request => request.path.startsWith('/get/action_log')).length;
+
+  env.upstash.reset();
+  assert.equal(await lastActionTitle(), undefined);
+  assert.equal(await lastActionTitle(), undefined);
+  assert.equal(logReads(), 1);
+  assert.equal(env.upstash.requests.filter(request => request.path.startsWith('/lrange/action_queue')).length, 1);
+
+  await fetch(`${env.baseUrl}/configured/${config}/trakt-action?action=mark_watched&type=movie&imdbId=tt0133093&title=Matrix`, { redirect: 'manual' });
+  await waitFor(() => env.trakt.find('POST', '/sync/history').length === 1 && storedJobs().length === 0);
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.match(await lastActionTitle(), /^Last action: ✅ Marked as watched\n"Matrix"/);
+});
@@ -0,0 +1,158 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './helpers/test-app.js';
+
+let env;
+
+before(async () => {
+  env = await startTestApp();
+});
+
+after(async () => {
+  await env.close();
+});
+
+const EIGHT_STARS = '★★★★★★★★☆☆';
+
+test('pattern 0 is the compact two-line title', async () => {
+  const { formatRatingTitle } = env.server;
+
+  assert.equal(
+    await formatRatingTitle(0, 'stars', 8, 'The Matrix', 'movie', null, null, '1999'),
+    `${EIGHT_STARS}\n"The Matrix" 8/10`
+  );
+  assert.equal(
+    await formatRatingTitle(0, 'stars', 8, 'Breaking Bad', 'series', 1, 2),
+    `${EIGHT_STARS}\nS1E2 "Breaking Bad" 8/10`
+  );
+  assert.equal(
+    await formatRatingTitle(0, 'stars', 8, 'Breaking Bad', 'series'),
+    `${EIGHT_STARS}\n"Breaking Bad" Series 8/10`
+  );
+  assert.equal(
+    await formatRatingTitle(0, 'stars', 8, 'Breaking Bad', 'series', 2),
+    `${EIGHT_STARS}\n"Breaking Bad" Season 2 8/10`
+  );
+});
+
+test('pattern 0 current rating offers removal', async () => {
+  const title = await env.server.formatRatingTitle(0, 'stars', 8, 'The Matrix', 'movie', null, null, '1999', null, null, true);
+  assert.equal(title, `${EIGHT_STARS}\n"The Matrix" 8/10\n🗑️ Click to remove rating`);
+});
+
+test('pattern 1 is emoji-first with the example stats when none are fetched', async () => {
+  const title = await env.server.formatRatingTitle(1, 'stars', 8, 'The Matrix', 'movie', null, null, '1999');
+  assert.deepEqual(title.split('\n'), [
+    '⭐ Rating: 8/10',
+    '🎬 The Matrix (1999)',
+    EIGHT_STARS,
+    '👁️ 3.1k watchers - ▶️ 5.8k plays - 💬 6 comments',
+    '📊 8 out of 10 stars'
+  ]);
+});
+
+test('pattern 1 uses live Trakt stats when a client id is available', async () => {
+  env.trakt.on('GET', '/movies/tt0133093/stats', { body: { watchers: 1500, plays: 2500000, comments: 1 } });
+  const userConfig = { clientId: 'test-client', selectedStats: ['watchers', 'plays', 'comments'], statsFormat: 1 };
+
+  const title = await env.server.formatRatingTitle(1, 'stars', 8, 'The Matrix', 'movie', null, null, '1999', userConfig, 'tt0133093');
+
+  assert.equal(title.split('\n')[3], '👁️ 1.5k watchers - ▶️ 2.5M plays - 💬 1 comment');
+  assert.equal(env.trakt.find('GET', '/movies/tt0133093/stats')[0].headers['trakt-api-key'], 'test-client');
+});
+
+test('pattern 6 is the cinematic card', async () => {
+  const { formatRatingTitle } = env.server;
+
+  const movie = await formatRatingTitle(6, 'stars', 8, 'The Matrix', 'movie', null, null, '1999');
+  assert.deepEqual(movie.split('\n').filter((line, index) => index !== 3), [
+    '🎬 The Matrix (1999)',
+    `⭐ ${EIGHT_STARS}`,
+    '🎯 Rating 8/10',
+    '📊 8 out of 10 stars'
+  ]);
+
+  const premiere = await formatRatingTitle(6, 'stars', 8, 'Breaking Bad', 'series', 1, 1, null, null, null, false, { name: 'Pilot', type: 'series_premiere' });
+  assert.equal(premiere.split('\n')[0], "📺 Breaking Bad S1E1 'Pilot' 🚀");
+
+  // Without episode metadata no episode is assumed to be a finale
+  const tenth = await formatRatingTitle(6, 'stars', 8, 'Breaking Bad', 'series', 2, 10);
+  assert.equal(tenth.split('\n')[0], '📺 Breaking Bad S2E10');
+
+  const season = await formatRatingTitle(6, 'stars', 8, 'Breaking Bad', 'series', 2);
+  assert.equal(season.split('\n')[0], '📺 Breaking Bad Season 2');
+
+  const current = await formatRatingTitle(6, 'hearts', 2, 'Naruto', 'series', null, null, null, null, null, true);
+  assert.deepEqual(current.split('\n').filter((line, index) => index !== 3), [
+    '📺 Naruto (Series)',
+    '⭐ ❤️❤️🤍🤍🤍🤍🤍🤍🤍🤍',
+    '✅ Current Rating 2/10',
+    '🗑️ Click to remove rating'
+  ]);
+});
+
+test('5-star scale shows halves of the Trakt rating', async () => {
+  const config = { ratingScale: 'five_stars' };
+  assert.equal(
+    await env.server.formatRatingTitle(0, 'stars', 7, 'The Matrix', 'movie', null, null, '1999', config),
+    '★★★½☆\n"The Matrix" 3.5/5'
+  );
+  assert.equal(
+    await env.server.formatRatingTitle(0, 'hearts', 10, 'The Matrix', 'movie', null, null, '1999', config),
+    '❤️❤️❤️❤️❤️\n"The Matrix" 5/5'
+  );
+});
+
+test('thumbs and 100-point scales label the Trakt rating in their own terms', async () => {
+  const thumbs = await env.server.formatRatingTitle(1, 'stars', 8, 'The Matrix', 'movie', null, null, '1999', { ratingScale: 'thumbs' });
+  assert.equal(thumbs.split('\n')[0], '⭐ Rating: Liked it');
+  assert.equal(thumbs.split('\n')[2], '👍');
+
+  const hundred = await env.server.formatRatingTitle(0, 'progress', 8, 'The Matrix', 'movie', null, null, '1999', { ratingScale: 'hundred' }, null, true);
+  assert.equal(hundred, '▰▰▰▰▰▰▰▰▱▱\n"The Matrix" 80/100\n🗑️ Click to remove rating');
+});
+
+test('titles, stat plurals and number separators follow the configured language', async () => {
+  const german = await env.server.formatRatingTitle(1, 'stars', 8, 'Breaking Bad', 'series', 2, null, null, { language: 'de' });
+  assert.deepEqual(german.split('\n'), [
+    '⭐ Bewertung: 8/10',
+    '🎬 Breaking Bad Staffel 2',
+    EIGHT_STARS,
+    '👁️ 3,1 Tsd. Zuschauer - ▶️ 5,8 Tsd. Wiedergaben - 💬 6 Kommentare',
+    '📊 8 von 10 Sternen'
+  ]);
+
+  // French counts 0 as singular, unlike English
+  env.trakt.on('GET', '/movies/tt0111161/stats', { body: { watchers: 3100, plays: 0, comments: 1 } });
+  const userConfig = { clientId: 'test-client', language: 'fr', ratingScale: 'five_stars' };
+  const french = await env.server.formatRatingTitle(1, 'stars', 7, 'Les Évadés', 'movie', null, null, '1994', userConfig, 'tt0111161');
+  assert.equal(french.split('\n')[0], '⭐ Note : 3,5/5');
+  assert.equal(french.split('\n')[3], '👁️ 3,1 k spectateurs - ▶️ 0 lecture - 💬 1 commentaire');
+
+  const current = await env.server.formatRatingTitle(0, 'stars', 8, 'The Matrix', 'movie', null, null, '1999', { language: 'es' }, null, true);
+  assert.equal(current.split('\n')[2], '🗑️ Haz clic para quitar la calificación');
+});
+
+test('short visual styles fit a rating into five symbols or a number', async () => {
+  const visualOf = async (style, rating, config = {}) =>
+    (await env.server.formatRatingTitle(0, style, rating, 'The Matrix', 'movie', null, null, '1999', config)).split('\n')[0];
+
+  assert.equal(await visualOf('stars_compact', 7), '★★★½☆');
+  assert.equal(await visualOf('moons', 7), '🌕🌕🌕🌗🌑');
+  assert.equal(await visualOf('gradient', 7), '███▓░');
+  assert.equal(await visualOf('squares', 2), '🟥⬜⬜⬜⬜');
+  assert.equal(await visualOf('squares', 9), '🟩🟩🟩🟩⬜');
+  assert.equal(await visualOf('squares', 10), '🟩🟩🟩🟩🟩');
+  assert.equal(await visualOf('badge', 8), '8️⃣');
+  assert.equal(await visualOf('badge', 10), '🔟');
+  assert.equal(await visualOf('badge', 7, { ratingScale: 'five_stars' }), '3️⃣½');
+});
+
+test('custom glyph sets draw partial fills and fall back to stars when incomplete', async () => {
+  const visualOf = async (customVisual, rating) =>
+    (await env.server.formatRatingTitle(0, 'custom', rating, 'The Matrix', 'movie', null, null, '1999', { customVisual })).split('\n')[0];
+
+  assert.equal(await visualOf({ full: '●', empty: '○', half: '◐', glyphs: 4 }, 6), '●●◐○');
+  assert.equal(await visualOf({ full: '🍿', empty: '·', glyphs: 3 }, 5), '🍿··');
+  assert.equal(await visualOf({ full: '●' }, 8), EIGHT_STARS);
+});
@@ -0,0 +1,130 @@
+import http from 'http';
+
+// Minimal HTTP stand-in: records every request and answers from a route table,
+// falling back to defaultReply for anything not registered with on()
+export async function startFakeServer(defaultReply) {
+  const requests = [];
+  const routes = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://fake.local');
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch (error) {
+        body = raw;
+      }
+
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body
+      };
+      requests.push(request);
+
+      // Latest registration wins, so a test can override a default route
+      const route = [...routes].reverse().find(candidate =>
+        candidate.method === req.method &&
+        (typeof candidate.path === 'string' ? candidate.path === url.pathname : candidate.path.test(url.pathname))
+      );
+
+      const reply = route
+        ? (typeof route.reply === 'function' ? await route.reply(request) : route.reply)
+        : defaultReply(request);
+      const { status = 200, body: replyBody, headers = {} } = reply;
+
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(status === 204 || replyBody === undefined ? undefined : JSON.stringify(replyBody));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    on(method, path, reply) {
+      routes.push({ method, path, reply });
+    },
+    find(method, path) {
+      return requests.filter(request => request.method === method && request.path === path);
+    },
+    reset() {
+      requests.length = 0;
+      routes.length = 0;
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// Trakt: list endpoints default to empty, writes default to 201 Created
+export function startFakeTrakt() {
+  return startFakeServer(request => {
+    if (request.path === '/sync/last_activities') {
+      return { body: {} };
+    }
+    if (request.path === '/users/me/watching') {
+      return { status: 204 };
+    }
+    if (request.method === 'GET') {
+      return { body: [] };
+    }
+    if (request.method === 'DELETE') {
+      return { status: 204 };
+    }
+    return { status: 201, body: {} };
+  });
+}
+
+// TMDB: nothing found unless a test registers a /3/find route
+export function startFakeTmdb() {
+  return startFakeServer(() => ({ body: { movie_results: [], tv_results: [] } }));
+}
+
+// Upstash REST: /<command>/<arg>/<arg>... for the commands the server uses, backed by a Map
+// (lists are stored as arrays)
+export async function startFakeUpstash() {
+  const store = new Map();
+
+  const fake = await startFakeServer(request => {
+    const [command, key, ...args] = request.path.split('/').slice(1).map(part => decodeURIComponent(part));
+
+    switch (command.toLowerCase()) {
+      case 'set':
+        if (args.slice(1).map(option => option.toUpperCase()).includes('NX') && store.has(key)) {
+          return { body: { result: null } };
+        }
+        store.set(key, args[0]);
+        return { body: { result: 'OK' } };
+      case 'get':
+        return { body: { result: store.has(key) ? store.get(key) : null } };
+      case 'del':
+        return { body: { result: store.delete(key) ? 1 : 0 } };
+      case 'expire':
+        return { body: { result: store.has(key) ? 1 : 0 } };
+      case 'rpush':
+        store.set(key, [...(store.get(key) || []), ...args]);
+        return { body: { result: store.get(key).length } };
+      case 'lrange':
+        return { body: { result: store.get(key) || [] } };
+      case 'lrem': {
+        const list = store.get(key) || [];
+        store.set(key, list.filter(item => item !== args[1]));
+        return { body: { result: list.length - store.get(key).length } };
+      }
+      default:
+        return { status: 400, body: { error: `Unknown command ${command}` } };
+    }
+  });
+
+  fake.store = store;
+  return fake;
+}
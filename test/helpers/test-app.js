@@ -0,0 +1,57 @@
+import { once } from 'events';
+import { startFakeTrakt, startFakeTmdb, startFakeUpstash } from './fake-services.js';
+
+// Boots server.js against local fakes. Base URLs are read when server.js loads,
+// so the env has to be in place before the dynamic import.
+export async function startTestApp(env = {}) {
+  const trakt = await startFakeTrakt();
+  const tmdb = await startFakeTmdb();
+  const upstash = await startFakeUpstash();
+
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    TRAKT_API_URL: trakt.url,
+    TMDB_API_URL: tmdb.url,
+    ...env
+  });
+
+  // The server logs every step; keep test output readable unless asked otherwise
+  if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.error = () => {};
+  }
+
+  const server = await import('../../server.js');
+  const listener = server.default.listen(0, '127.0.0.1');
+  await once(listener, 'listening');
+
+  return {
+    trakt,
+    tmdb,
+    upstash,
+    server,
+    baseUrl: `http://127.0.0.1:${listener.address().port}`,
+    async close() {
+      listener.closeAllConnections();
+      await new Promise(resolve => listener.close(resolve));
+      await Promise.all([trakt.close(), tmdb.close(), upstash.close()]);
+    }
+  };
+}
+
+// Same encoding the configure page uses for plain (unencrypted) configs
+export function encodeTestConfig(config) {
+  return Buffer.from(JSON.stringify(config)).toString('base64url');
+}
+
+export function waitFor(condition, timeoutMs = 2000) {
+  const startedAt = Date.now();
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (condition()) return resolve();
+      if (Date.now() - startedAt > timeoutMs) return reject(new Error('Timed out waiting for condition'));
+      setTimeout(check, 20);
+    };
+    check();
+  });
+}
@@ -0,0 +1,208 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, encodeTestConfig, waitFor } from './helpers/test-app.js';
+
+let env;
+
+before(async () => {
+  env = await startTestApp();
+});
+
+after(async () => {
+  await env.close();
+});
+
+beforeEach(() => {
+  env.trakt.reset();
+  env.upstash.reset();
+});
+
+// Alice is the primary account, Bob is linked with his own URL-storage tokens
+function householdConfig(username, overrides = {}) {
+  return encodeTestConfig({
+    clientId: 'test-client',
+    access_token: `token-${username}`,
+    username,
+    accounts: [{ username: `${username}-bob`, access_token: `token-${username}-bob`, refresh_token: 'bob-refresh' }],
+    ratings: [5, 8],
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    showWatchedStatus: false,
+    showLastAction: false,
+    ...overrides
+  });
+}
+
+async function getStreams(config, type, id) {
+  const response = await fetch(`${env.baseUrl}/configured/${config}/stream/${type}/${id}.json`);
+  return (await response.json()).streams;
+}
+
+test('linked accounts resolve with their own tokens and the shared settings', async () => {
+  env.upstash.store.set('trakt_tokens:bob-config', JSON.stringify({
+    access_token: 'stored-bob-token',
+    refresh_token: 'stored-bob-refresh',
+    username: 'bob',
+    expires_at: Date.now() + 60 * 24 * 60 * 60 * 1000
+  }));
+  const config = encodeTestConfig({
+    clientId: 'test-client',
+    storage: 'upstash',
+    upstashUrl: env.upstash.url,
+    upstashToken: 'upstash-token',
+    access_token: 'alice-token',
+    username: 'alice',
+    personalLists: [{ id: 1, name: 'Favourites' }],
+    ratings: [7],
+    accounts: [{ username: 'bob', configId: 'bob-config' }, { username: 'carol' }]
+  });
+
+  const userConfig = await env.server.getUserConfigWithTokens(config);
+  assert.equal(userConfig.access_token, 'alice-token');
+  // Carol has neither tokens nor a configId, so she is left out
+  assert.equal(userConfig.linkedAccounts.length, 1);
+
+  const [bob] = userConfig.linkedAccounts;
+  assert.equal(bob.access_token, 'stored-bob-token');
+  assert.equal(bob.configId, 'bob-config');
+  assert.deepEqual(bob.ratings, [7]);
+  assert.equal(bob.personalLists, undefined);
+});
+
+test('everyone mode names all accounts on one set of action streams', async () => {
+  const streams = await getStreams(householdConfig('everyone'), 'movie', 'tt0133093');
+  assert.equal(streams.length, 3);
+
+  for (const stream of streams) {
+    assert.equal(new URL(stream.url).searchParams.get('accounts'), '0,1');
+    assert.ok(stream.title.split('\n')[0].endsWith(' — everyone + everyone-bob'));
+  }
+  assert.match(streams[2].title, /^✅ Mark "IMDb: tt0133093" as Watched — everyone \+ everyone-bob/);
+});
+
+test('per-account mode builds each account its streams from its own state', async () => {
+  env.trakt.on('GET', '/sync/ratings/movies', request => ({
+    body: request.headers.authorization === 'Bearer token-split-bob'
+      ? [{ rating: 8, movie: { ids: { imdb: 'tt0133093' } } }]
+      : []
+  }));
+  const config = householdConfig('split', { accountStreams: 'per_account', markAsWatched: false, showComments: true });
+  env.trakt.on('GET', '/movies/tt0133093/comments/likes', { body: [{ id: 1, comment: 'Great.', likes: 3, user: { username: 'fan' } }] });
+
+  const streams = await getStreams(config, 'movie', 'tt0133093');
+  const summary = streams.map(stream => stream.url
+    ? `${new URL(stream.url).searchParams.get('action')}:${new URL(stream.url).searchParams.get('accounts')}`
+    : 'info');
+
+  // Comments are shown once; Bob's existing 8 turns into his remove stream
+  assert.deepEqual(summary, [
+    'info',
+    'rate_only:0',
+    'rate_only:0',
+    'remove_rating:1',
+    'rate_only:1'
+  ]);
+  assert.notEqual(streams[1].behaviorHints.bingeGroup, streams[4].behaviorHints.bingeGroup);
+});
+
+test('a click fans out to each named account with its own token', async () => {
+  const config = householdConfig('fanout');
+  const response = await fetch(
+    `${env.baseUrl}/configured/${config}/trakt-action?action=mark_watched&type=movie&imdbId=tt0133093&title=Matrix&accounts=0,1`,
+    { redirect: 'manual' }
+  );
+  assert.equal(response.status, 302);
+
+  await waitFor(() => env.trakt.find('POST', '/sync/history').length === 2);
+  const tokens = env.trakt.find('POST', '/sync/history').map(request => request.headers.authorization).sort();
+  assert.deepEqual(tokens, ['Bearer token-fanout', 'Bearer token-fanout-bob']);
+
+  // Both accounts log into the primary's action log
+  let log;
+  for (let attempt = 0; attempt < 40; attempt++) {
+    log = await (await fetch(`${env.baseUrl}/configured/${config}/actions?format=json`)).json();
+    if (log.actions.length === 2) break;
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  assert.deepEqual(log.actions.map(entry => entry.account).sort(), ['fanout', 'fanout-bob']);
+});
+
+test('accounts that share a username are still told apart on a click', async () => {
+  // Neither account set a username, so both fall back to the default name
+  const config = encodeTestConfig({
+    clientId: 'test-client',
+    access_token: 'token-primary',
+    accounts: [{ access_token: 'token-linked', refresh_token: 'linked-refresh' }],
+    ratings: [8],
+    accountStreams: 'per_account',
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    showWatchedStatus: false,
+    showLastAction: false
+  });
+
+  const streams = await getStreams(config, 'movie', 'tt0133093');
+  assert.deepEqual(streams.map(stream => new URL(stream.url).searchParams.get('accounts')), ['0', '0', '1', '1']);
+
+  const clicked = new URL(streams[2].url);
+  await fetch(`${env.baseUrl}${clicked.pathname}${clicked.search}`, { redirect: 'manual' });
+  await waitFor(() => env.trakt.find('POST', '/sync/ratings').length === 1);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const tokens = env.trakt.find('POST', '/sync/ratings').map(request => request.headers.authorization);
+  assert.deepEqual(tokens, ['Bearer token-linked']);
+});
+
+test('the action log belongs to the Trakt user behind the token, not the username in the URL', async () => {
+  env.trakt.on('GET', '/users/settings', request => (request.headers.authorization === 'Bearer victim-token'
+    ? { body: { user: { username: 'victim' } } }
+    : { status: 401, body: {} }));
+  const victim = encodeTestConfig({ clientId: 'test-client', access_token: 'victim-token', username: 'victim' });
+  await fetch(
+    `${env.baseUrl}/configured/${victim}/trakt-action?action=mark_watched&type=movie&imdbId=tt0133093&title=Matrix`,
+    { redirect: 'manual' }
+  );
+  await waitFor(() => env.trakt.find('POST', '/sync/history').length === 1);
+
+  let log;
+  for (let attempt = 0; attempt < 40; attempt++) {
+    log = await (await fetch(`${env.baseUrl}/configured/${victim}/actions?format=json`)).json();
+    if (log.actions.length === 1) break;
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  assert.equal(log.actions.length, 1);
+
+  const forged = encodeTestConfig({ clientId: 'test-client', access_token: 'junk', username: 'victim', configId: 'victim' });
+  const forgedLog = await (await fetch(`${env.baseUrl}/configured/${forged}/actions?format=json`)).json();
+  assert.deepEqual(forgedLog.actions, []);
+});
+
+test('a linked account with someone else\'s username and a junk token is dropped', async () => {
+  env.trakt.on('GET', '/users/settings', request => (request.headers.authorization === 'Bearer token-intruder'
+    ? { body: { user: { username: 'intruder' } } }
+    : { status: 401, body: {} }));
+  const config = encodeTestConfig({
+    clientId: 'test-client',
+    access_token: 'token-intruder',
+    username: 'intruder',
+    accounts: [{ username: 'victim', access_token: 'junk' }]
+  });
+
+  const userConfig = await env.server.getUserConfigWithTokens(config);
+  assert.deepEqual(userConfig.linkedAccounts, []);
+
+  const log = await (await fetch(`${env.baseUrl}/configured/${config}/actions?format=json`)).json();
+  assert.deepEqual(log.pending, []);
+});
+
+test('streams without an accounts param only reach the primary account', async () => {
+  const config = householdConfig('legacy');
+  await fetch(
+    `${env.baseUrl}/configured/${config}/trakt-action?action=mark_watched&type=movie&imdbId=tt0133093&title=Matrix`,
+    { redirect: 'manual' }
+  );
+
+  await waitFor(() => env.trakt.find('POST', '/sync/history').length === 1);
+  assert.equal(env.trakt.find('POST', '/sync/history')[0].headers.authorization, 'Bearer token-legacy');
+});
@@ -0,0 +1,131 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, encodeTestConfig } from './helpers/test-app.js';
+
+let env;
+
+before(async () => {
+  env = await startTestApp({ METADATA_CACHE_MAX_ENTRIES: '3', METADATA_CACHE_PERSIST: 'true' });
+  // Server storage is picked on first use, after the fake Upstash is listening
+  Object.assign(process.env, {
+    STORAGE_BACKEND: 'upstash',
+    UPSTASH_REDIS_REST_URL: env.upstash.url,
+    UPSTASH_REDIS_REST_TOKEN: 'upstash-token'
+  });
+});
+
+after(async () => {
+  await env.close();
+});
+
+beforeEach(() => {
+  env.trakt.reset();
+  env.tmdb.reset();
+});
+
+function findMovie(imdbId, title, releaseDate) {
+  env.tmdb.on('GET', `/3/find/${imdbId}`, {
+    body: { movie_results: [{ id: 1, title, release_date: releaseDate, genre_ids: [878] }], tv_results: [] }
+  });
+}
+
+async function getStreams(username, extra, type, id) {
+  const config = encodeTestConfig({
+    clientId: 'test-client',
+    access_token: `token-${username}`,
+    username,
+    ratings: [],
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    ...extra
+  });
+  const response = await fetch(`${env.baseUrl}/configured/${config}/stream/${type}/${id}.json`);
+  return (await response.json()).streams;
+}
+
+test('metadata is looked up once and shared by every user', async () => {
+  findMovie('tt0133093', 'The Matrix', '1999-03-31');
+
+  const [first] = await getStreams('metadata-a', { tmdbKey: 'key-a' }, 'movie', 'tt0133093');
+  const [second] = await getStreams('metadata-b', { tmdbKey: 'key-b' }, 'movie', 'tt0133093');
+  // Users without a TMDB key still get what is already cached
+  const [third] = await getStreams('metadata-c', {}, 'movie', 'tt0133093');
+
+  for (const stream of [first, second, third]) {
+    assert.match(stream.title, /"The Matrix"/);
+  }
+  assert.equal(env.tmdb.find('GET', '/3/find/tt0133093').length, 1);
+
+  const stored = JSON.parse(env.upstash.store.get('metadata:movie:tt0133093'));
+  assert.equal(stored.metadata.title, 'The Matrix');
+  assert.deepEqual(stored.metadata.genres, ['science-fiction']);
+});
+
+test('concurrent lookups share one TMDB call and misses are cached too', async () => {
+  const results = await Promise.all([1, 2, 3].map(() => env.server.getMediaMetadata('tt0000404', 'movie', 'key')));
+  assert.deepEqual(results, [null, null, null]);
+  assert.equal(await env.server.getMediaMetadata('tt0000404', 'movie', 'key'), null);
+  assert.equal(env.tmdb.find('GET', '/3/find/tt0000404').length, 1);
+});
+
+test('failed lookups are not cached', async () => {
+  env.tmdb.on('GET', '/3/find/tt0000500', { status: 500, body: {} });
+  assert.equal(await env.server.getMediaMetadata('tt0000500', 'movie', 'key'), null);
+
+  findMovie('tt0000500', 'Back Online', '2020-01-01');
+  assert.equal((await env.server.getMediaMetadata('tt0000500', 'movie', 'key')).title, 'Back Online');
+  assert.equal(env.tmdb.find('GET', '/3/find/tt0000500').length, 2);
+});
+
+test('episode names and air dates come from one season call', async () => {
+  env.tmdb.on('GET', '/3/find/tt0903747', {
+    body: { movie_results: [], tv_results: [{ id: 1396, name: 'Breaking Bad', first_air_date: '2008-01-20' }] }
+  });
+  env.tmdb.on('GET', '/3/tv/1396/season/1', {
+    body: { episodes: [
+      { episode_number: 1, name: 'Pilot', air_date: '2008-01-20' },
+      { episode_number: 2, name: 'Cat\'s in the Bag...', air_date: '2008-01-27' }
+    ] }
+  });
+
+  assert.deepEqual(await env.server.getEpisodeMetadata('tt0903747', 1, 2, 'key'), { name: 'Cat\'s in the Bag...', airDate: '2008-01-27', type: null });
+  assert.deepEqual(await env.server.getEpisodeMetadata('tt0903747', '1', '1', 'key'), { name: 'Pilot', airDate: '2008-01-20', type: 'series_premiere' });
+  assert.equal(await env.server.getEpisodeMetadata('tt0903747', 1, 9, 'key'), null);
+  assert.equal(env.tmdb.find('GET', '/3/tv/1396/season/1').length, 1);
+});
+
+test('the last finale of a show that has ended is the series finale', async () => {
+  env.tmdb.on('GET', '/3/find/tt2861424', {
+    body: { movie_results: [], tv_results: [{ id: 60625, name: 'Rick and Morty', first_air_date: '2013-12-02' }] }
+  });
+  env.tmdb.on('GET', '/3/find/tt0386676', {
+    body: { movie_results: [], tv_results: [{ id: 2316, name: 'The Office', first_air_date: '2005-03-24' }] }
+  });
+  for (const [id, episodes] of [['60625', 10], ['2316', 23]]) {
+    env.tmdb.on('GET', new RegExp(`^/3/tv/${id}/season/\\d+$`), {
+      body: { episodes: [{ episode_number: episodes, name: 'Finale', air_date: '2013-05-16', episode_type: 'finale' }] }
+    });
+  }
+  env.tmdb.on('GET', '/3/tv/60625', { body: { status: 'Returning Series', last_episode_to_air: { season_number: 7, episode_number: 10 } } });
+  env.tmdb.on('GET', '/3/tv/2316', { body: { status: 'Ended', last_episode_to_air: { season_number: 9, episode_number: 23 } } });
+
+  assert.equal((await env.server.getEpisodeMetadata('tt2861424', 7, 10, 'key')).type, 'season_finale');
+  assert.equal((await env.server.getEpisodeMetadata('tt0386676', 8, 23, 'key')).type, 'season_finale');
+  assert.equal((await env.server.getEpisodeMetadata('tt0386676', 9, 23, 'key')).type, 'series_finale');
+  assert.equal(env.tmdb.find('GET', '/3/tv/2316').length, 1);
+});
+
+test('the least recently used entries are dropped past the size limit and reloaded from storage', async () => {
+  for (const imdbId of ['tt0000001', 'tt0000002', 'tt0000003', 'tt0000004']) {
+    findMovie(imdbId, `Movie ${imdbId}`, '2001-01-01');
+    await env.server.getMediaMetadata(imdbId, 'movie', 'key');
+  }
+
+  const health = await (await fetch(`${env.baseUrl}/health`)).json();
+  assert.equal(health.metadata_cache, 3);
+
+  // tt0000001 fell out of memory but comes back from storage, not TMDB
+  assert.equal((await env.server.getMediaMetadata('tt0000001', 'movie', 'key')).title, 'Movie tt0000001');
+  assert.equal(env.tmdb.find('GET', '/3/find/tt0000001').length, 1);
+});
@@ -0,0 +1,43 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './helpers/test-app.js';
+
+let env;
+
+before(async () => {
+  env = await startTestApp();
+});
+
+after(async () => {
+  await env.close();
+});
+
+test('movie ids are plain IMDb ids', () => {
+  assert.deepEqual(env.server.parseStremioId('tt0133093', 'movie'), { imdbId: 'tt0133093', season: null, episode: null });
+});
+
+test('series episode ids carry season and episode numbers', () => {
+  assert.deepEqual(env.server.parseStremioId('tt0903747:2:5', 'series'), {
+    imdbId: 'tt0903747',
+    season: 2,
+    episode: 5
+  });
+});
+
+test('series ids without an episode are the whole show', () => {
+  assert.deepEqual(env.server.parseStremioId('tt0903747', 'series'), { imdbId: 'tt0903747', season: null, episode: null });
+});
+
+test('specials keep season 0', () => {
+  assert.deepEqual(env.server.parseStremioId('tt0903747:0:3', 'series'), {
+    imdbId: 'tt0903747',
+    season: 0,
+    episode: 3
+  });
+});
+
+test('unsupported ids are rejected', () => {
+  assert.equal(env.server.parseStremioId('kitsu:1234', 'movie'), null);
+  assert.equal(env.server.parseStremioId('tt0903747:2', 'series'), null);
+  assert.equal(env.server.parseStremioId('kitsu:1:2:3', 'series'), null);
+});
@@ -0,0 +1,597 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, encodeTestConfig, waitFor } from './helpers/test-app.js';
+
+let env;
+
+before(async () => {
+  env = await startTestApp();
+});
+
+after(async () => {
+  await env.close();
+});
+
+beforeEach(() => {
+  env.trakt.reset();
+});
+
+// Each test gets its own username so per-user indexes start empty
+function configFor(username, overrides = {}) {
+  return encodeTestConfig({
+    clientId: 'test-client',
+    access_token: `token-${username}`,
+    username,
+    ratings: [5, 8],
+    showWatchedStatus: false,
+    showLastAction: false,
+    ...overrides
+  });
+}
+
+async function getStreams(config, type, id) {
+  const response = await fetch(`${env.baseUrl}/configured/${config}/stream/${type}/${id}.json`);
+  assert.equal(response.status, 200);
+  return (await response.json()).streams;
+}
+
+// Background genre lookups: wait for Trakt to be asked, then for the answer to be cached
+async function waitForGenres(path) {
+  for (let i = 0; i < 50 && env.trakt.find('GET', path).length === 0; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  await new Promise(resolve => setTimeout(resolve, 25));
+}
+
+// Action streams are named after the trakt-action they fire, info streams after their bingeGroup
+function streamKinds(streams) {
+  return streams.map(stream => {
+    if (stream.url) {
+      const action = new URL(stream.url).searchParams.get('action');
+      return action === 'rate_only' ? `rate_${new URL(stream.url).searchParams.get('rating')}` : action;
+    }
+    return stream.behaviorHints.bingeGroup.split('-').pop();
+  });
+}
+
+test('streams follow the configured order', async () => {
+  const config = configFor('order-user', {
+    streamOrder: ['unwatched', 'rating', 'watched', 'add_to_watchlist', 'remove_from_watchlist', 'watched_status'],
+    showWatchedStatus: true
+  });
+
+  const streams = await getStreams(config, 'movie', 'tt0133093');
+  assert.deepEqual(streamKinds(streams), [
+    'mark_unwatched',
+    'rate_5',
+    'rate_8',
+    'mark_watched',
+    'add_to_watchlist',
+    'watched_status'
+  ]);
+});
+
+test('stream types missing from a saved order are appended in default order', async () => {
+  const config = configFor('legacy-order-user', {
+    streamOrder: ['watched'],
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false
+  });
+
+  const streams = await getStreams(config, 'movie', 'tt0133093');
+  assert.deepEqual(streamKinds(streams), ['mark_watched', 'rate_5', 'rate_8']);
+});
+
+test('an existing rating shows as removable and is not offered again', async () => {
+  env.trakt.on('GET', '/sync/ratings/movies', {
+    body: [{ rating: 8, rated_at: '2026-01-01T00:00:00.000Z', movie: { ids: { imdb: 'tt0133093' } } }]
+  });
+  const config = configFor('rated-user', { markAsWatched: false, markAsUnwatched: false, enableWatchlist: false, enableRemoveFromWatchlist: false });
+
+  const streams = await getStreams(config, 'movie', 'tt0133093');
+  assert.deepEqual(streamKinds(streams), ['remove_rating', 'rate_5']);
+});
+
+test('concurrent stream requests share one ratings download', async () => {
+  env.trakt.on('GET', '/sync/ratings/movies', {
+    body: [{ rating: 8, rated_at: '2026-01-01T00:00:00.000Z', movie: { ids: { imdb: 'tt0133093' } } }]
+  });
+  const config = configFor('concurrent-rated-user', { markAsWatched: false, markAsUnwatched: false, enableWatchlist: false, enableRemoveFromWatchlist: false });
+
+  const results = await Promise.all([1, 2, 3].map(() => getStreams(config, 'movie', 'tt0133093')));
+  for (const streams of results) {
+    assert.deepEqual(streamKinds(streams), ['remove_rating', 'rate_5']);
+  }
+  assert.equal(env.trakt.find('GET', '/sync/ratings/movies').length, 1);
+  assert.equal(env.trakt.find('GET', '/sync/last_activities').length, 1);
+});
+
+test('concurrent stream requests share one watched history download', async () => {
+  const config = configFor('concurrent-watched-user', { ratings: [], showWatchedStatus: true });
+
+  await Promise.all([1, 2, 3].map(() => getStreams(config, 'movie', 'tt0133093')));
+  assert.equal(env.trakt.find('GET', '/sync/watched/movies').length, 1);
+});
+
+test('concurrent stream requests share one watchlist download', async () => {
+  const config = configFor('concurrent-watchlist-user', { ratings: [] });
+
+  await Promise.all([1, 2, 3].map(() => getStreams(config, 'movie', 'tt0133093')));
+  assert.equal(env.trakt.find('GET', '/sync/watchlist/movies').length, 1);
+});
+
+test('rating streams follow the configured scale', async () => {
+  env.trakt.on('GET', '/sync/ratings/movies', {
+    body: [{ rating: 8, rated_at: '2026-01-01T00:00:00.000Z', movie: { ids: { imdb: 'tt0133093' } } }]
+  });
+  // 5 is left over from the 10-point scale, 7 reads as the same thumbs-up as the current 8
+  const config = configFor('thumbs-user', {
+    ratingScale: 'thumbs',
+    ratings: [3, 5, 7, 10],
+    markAsWatched: false,
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false
+  });
+
+  const streams = await getStreams(config, 'movie', 'tt0133093');
+  assert.deepEqual(streamKinds(streams), ['remove_rating', 'rate_3', 'rate_10']);
+  assert.match(streams[0].title, /^👍\n/);
+});
+
+test('season ratings show on episodes with the current season rating removable', async () => {
+  env.trakt.on('GET', '/sync/ratings/seasons', {
+    body: [{ rating: 5, rated_at: '2026-01-01T00:00:00.000Z', show: { ids: { imdb: 'tt0903747' } }, season: { number: 2 } }]
+  });
+  const config = configFor('season-rating-user', {
+    streamOrder: ['season_rating'],
+    markAsWatched: false,
+    markAsUnwatched: false,
+    enableSeasonWatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    enableSeasonRatings: true
+  });
+
+  // The episode's own rating streams follow, appended from the default order
+  const streams = await getStreams(config, 'series', 'tt0903747:2:3');
+  assert.deepEqual(streamKinds(streams), ['remove_rating', 'rate_8', 'rate_5', 'rate_8']);
+  for (const stream of streams.slice(0, 2)) {
+    const params = new URL(stream.url).searchParams;
+    assert.equal(params.get('season'), '2');
+    assert.equal(params.get('episode'), '');
+  }
+  assert.match(streams[0].title, /"IMDb: tt0903747" Season 2 5\/10\n🗑️ Click to remove rating$/);
+
+  // Season 1 has no rating yet, and whole-show pages only rate the show
+  assert.deepEqual(streamKinds(await getStreams(config, 'series', 'tt0903747:1:1')), ['rate_5', 'rate_8', 'rate_5', 'rate_8']);
+  assert.deepEqual(streamKinds(await getStreams(config, 'series', 'tt0903747')), ['rate_5', 'rate_8']);
+  assert.equal(env.trakt.find('GET', '/sync/ratings/seasons').length, 1);
+});
+
+test('season and series actions only appear on episodes', async () => {
+  const config = configFor('series-user', {
+    ratings: [],
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false
+  });
+
+  const episodeStreams = await getStreams(config, 'series', 'tt0903747:1:2');
+  assert.deepEqual(streamKinds(episodeStreams), ['mark_watched', 'mark_season_watched', 'mark_series_watched']);
+
+  // Specials are season 0 and still point at the episode
+  const [special] = await getStreams(config, 'series', 'tt0903747:0:3');
+  assert.equal(new URL(special.url).searchParams.get('season'), '0');
+  assert.equal(new URL(special.url).searchParams.get('episode'), '3');
+
+  const catchUpConfig = configFor('catch-up-user', {
+    ratings: [],
+    markAsUnwatched: false,
+    enableSeasonWatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    enableMarkUpToHere: true
+  });
+  assert.deepEqual(streamKinds(await getStreams(catchUpConfig, 'series', 'tt0903747:2:3')), ['mark_watched', 'mark_up_to_here', 'mark_series_watched']);
+  assert.deepEqual(streamKinds(await getStreams(catchUpConfig, 'series', 'tt0903747:1:1')), ['mark_watched', 'mark_series_watched']);
+
+  const movieStreams = await getStreams(config, 'movie', 'tt0133093');
+  assert.deepEqual(streamKinds(movieStreams), ['mark_watched']);
+});
+
+test('each enabled watched time gets its own mark stream', async () => {
+  const config = configFor('watched-at-user', {
+    ratings: [],
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    watchedAtVariants: ['now', 'release']
+  });
+
+  const streams = await getStreams(config, 'movie', 'tt0133093');
+  assert.deepEqual(streamKinds(streams), ['mark_watched', 'mark_watched']);
+  assert.deepEqual(streams.map(stream => new URL(stream.url).searchParams.get('watchedAt')), ['now', 'release']);
+  assert.match(streams[1].title, /\n📆 Watched at release date$/);
+});
+
+test('stream names and titles follow the configured language', async () => {
+  const config = configFor('german-user', {
+    language: 'de',
+    ratings: [],
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    watchedAtVariants: ['now', 'release']
+  });
+
+  const streams = await getStreams(config, 'movie', 'tt0133093');
+  assert.deepEqual(streams.map(stream => stream.name), ['Trakt Markieren', 'Trakt Markieren']);
+  assert.match(streams[0].title, /^✅ ".+" als gesehen markieren\n🕒 Gerade eben gesehen$/);
+  assert.match(streams[1].title, /\n📆 Zum Erscheinungsdatum gesehen$/);
+});
+
+test('info stream names follow the configured language too', async () => {
+  const config = configFor('german-status-user', {
+    language: 'de',
+    ratings: [],
+    markAsWatched: false,
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    showWatchedStatus: true
+  });
+
+  const streams = await getStreams(config, 'movie', 'tt0133093');
+  assert.deepEqual(streams.map(stream => stream.name), ['Trakt Status']);
+  assert.match(streams[0].title, /^👁️ Noch nicht gesehen/);
+
+  const french = await getStreams(configFor('french-status-user', {
+    language: 'fr',
+    ratings: [],
+    markAsWatched: false,
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    showWatchedStatus: true
+  }), 'movie', 'tt0133093');
+  assert.deepEqual(french.map(stream => stream.name), ['Statut Trakt']);
+});
+
+test('configs saved before the watched status stream existed do not get it', async () => {
+  const config = configFor('old-config-user', {
+    ratings: [],
+    markAsWatched: false,
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    showWatchedStatus: undefined
+  });
+
+  assert.deepEqual(await getStreams(config, 'movie', 'tt0133093'), []);
+  assert.equal(env.trakt.find('GET', '/sync/watched/movies').length, 0);
+});
+
+test('the configure page gets the stream title catalog with English filling the gaps', async () => {
+  const german = await (await fetch(`${env.baseUrl}/messages/de`)).json();
+  assert.equal(german.language, 'de');
+  assert.equal(german.messages['mark.watched'], '"{title}" als gesehen markieren');
+  assert.deepEqual(german.messages['stat.plays'], { one: 'Wiedergabe', other: 'Wiedergaben' });
+
+  const unknown = await (await fetch(`${env.baseUrl}/messages/constructor`)).json();
+  assert.equal(unknown.language, 'en');
+  assert.equal(unknown.messages['rating.removeHint'], 'Click to remove rating');
+});
+
+test('only the applicable watchlist action is shown', async () => {
+  env.trakt.on('GET', '/sync/watchlist/movies', {
+    body: [{ listed_at: '2026-02-03T10:00:00.000Z', movie: { ids: { imdb: 'tt0133093' } } }]
+  });
+  const config = configFor('watchlist-user', { ratings: [], markAsWatched: false, markAsUnwatched: false });
+
+  const listed = await getStreams(config, 'movie', 'tt0133093');
+  assert.deepEqual(streamKinds(listed), ['remove_from_watchlist']);
+  assert.match(listed[0].title, /On your watchlist since 2026-02-03/);
+
+  const notListed = await getStreams(config, 'movie', 'tt0111161');
+  assert.deepEqual(streamKinds(notListed), ['add_to_watchlist']);
+});
+
+test('each picked list offers only the action that applies', async () => {
+  env.trakt.on('GET', '/users/me/lists/1/items/movie,show', {
+    body: [{ type: 'movie', movie: { ids: { imdb: 'tt0133093' } } }]
+  });
+  env.trakt.on('GET', '/users/me/lists/2/items/movie,show', { body: [] });
+  const config = configFor('lists-user', {
+    ratings: [],
+    markAsWatched: false,
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    personalLists: [{ id: 1, name: 'Favourites' }, { id: 2, name: 'Halloween' }]
+  });
+
+  const streams = await getStreams(config, 'movie', 'tt0133093');
+  assert.deepEqual(streamKinds(streams), ['remove_from_list', 'add_to_list']);
+  assert.equal(new URL(streams[0].url).searchParams.get('listId'), '1');
+  assert.match(streams[1].title, /Add to "Halloween"/);
+});
+
+test('concurrent stream requests share one download per list', async () => {
+  env.trakt.on('GET', '/users/me/lists/4/items/movie,show', { body: [] });
+  const config = configFor('lists-concurrent-user', {
+    ratings: [],
+    markAsWatched: false,
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    personalLists: [{ id: 4, name: 'Someday' }]
+  });
+
+  await Promise.all([1, 2, 3].map(() => getStreams(config, 'movie', 'tt0133093')));
+  assert.equal(env.trakt.find('GET', '/users/me/lists/4/items/movie,show').length, 1);
+});
+
+test('lists without an activity timestamp are refreshed after a while', async () => {
+  env.trakt.on('GET', '/users/me/lists/3/items/movie,show', { body: [] });
+  const config = configFor('lists-ttl-user', {
+    ratings: [],
+    markAsWatched: false,
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    personalLists: [{ id: 3, name: 'Later' }]
+  });
+  assert.deepEqual(streamKinds(await getStreams(config, 'movie', 'tt0133093')), ['add_to_list']);
+
+  // Added on trakt.tv, but the fake last_activities has no lists.updated_at to notice it by
+  env.trakt.on('GET', '/users/me/lists/3/items/movie,show', {
+    body: [{ type: 'movie', movie: { ids: { imdb: 'tt0133093' } } }]
+  });
+  assert.deepEqual(streamKinds(await getStreams(config, 'movie', 'tt0133093')), ['add_to_list']);
+
+  const realNow = Date.now;
+  Date.now = () => realNow() + 16 * 60 * 1000;
+  try {
+    assert.deepEqual(streamKinds(await getStreams(config, 'movie', 'tt0133093')), ['remove_from_list']);
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+test('top comments show as info streams with spoilers hidden', async () => {
+  env.trakt.on('GET', '/movies/tt0133093/comments/likes', {
+    body: [
+      { id: 11, comment: 'The ending gives away that Neo is the one', spoiler: true, likes: 900, user: { username: 'spoiler-sam' } },
+      { id: 12, comment: `Holds up.   ${'Still great. '.repeat(30)}`, spoiler: false, likes: 1200, user: { username: 'neo_fan' }, user_stats: { rating: 9 } },
+      { id: 13, comment: 'Fine.', spoiler: false, likes: 1, user: { username: 'meh' } }
+    ]
+  });
+  const config = configFor('comments-user', {
+    ratings: [],
+    markAsWatched: false,
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    showComments: true,
+    commentsCount: 2
+  });
+
+  const streams = await getStreams(config, 'movie', 'tt0133093');
+  assert.deepEqual(streamKinds(streams), ['comments', 'comments']);
+  assert.equal(streams[0].externalUrl, 'https://trakt.tv/comments/12');
+  assert.match(streams[0].title, /^💬 neo_fan · ⭐ 9\/10 · 👍 1\.2k likes\n"Holds up\. Still great\./);
+  assert.ok(streams[0].title.endsWith('…"'));
+  assert.equal(streams[1].title, '💬 meh · 👍 1 like\n"Fine."');
+  assert.equal(env.trakt.find('GET', '/movies/tt0133093/comments/likes').length, 1);
+});
+
+test('series progress shows the next episode and flags episodes past it', async () => {
+  env.trakt.on('GET', '/shows/tt0903747/progress/watched', {
+    body: { aired: 62, completed: 34, next_episode: { season: 3, number: 5, title: 'Mas' } }
+  });
+  const config = configFor('progress-user', {
+    ratings: [],
+    markAsWatched: false,
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    showSeriesProgress: true
+  });
+
+  const [next] = await getStreams(config, 'series', 'tt0903747:3:5');
+  assert.equal(next.title, "📈 34/62 episodes (55%) — next up: S03E05 'Mas'\n📺 \"IMDb: tt0903747\"\n▶️ This is your next episode");
+
+  const [ahead] = await getStreams(config, 'series', 'tt0903747:4:1');
+  assert.deepEqual(streamKinds([ahead]), ['progress']);
+  assert.match(ahead.title, /⏭️ S04E01 is ahead of your next unwatched episode$/);
+
+  const [behind] = await getStreams(config, 'series', 'tt0903747:1:2');
+  assert.equal(behind.title.split('\n').length, 2);
+  assert.equal(env.trakt.find('GET', '/shows/tt0903747/progress/watched').length, 1);
+  assert.equal(env.trakt.find('GET', '/shows/tt0903747/progress/watched')[0].headers.authorization, 'Bearer token-progress-user');
+});
+
+test('concurrent stream requests share one progress lookup per show', async () => {
+  env.trakt.on('GET', '/shows/tt0903747/progress/watched', { body: { aired: 62, completed: 0 } });
+  const config = configFor('progress-concurrent-user', {
+    ratings: [],
+    markAsWatched: false,
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    showSeriesProgress: true
+  });
+
+  await Promise.all([1, 2, 3].map(() => getStreams(config, 'series', 'tt0903747:1:1')));
+  assert.equal(env.trakt.find('GET', '/shows/tt0903747/progress/watched').length, 1);
+});
+
+test('a refused check-in is named on the cancel stream until the next click', async () => {
+  env.trakt.on('POST', '/checkin', { status: 409, body: { expires_at: '2026-01-01T20:00:00.000Z' } });
+  env.trakt.on('GET', '/users/me/watching', {
+    body: { action: 'checkin', type: 'movie', movie: { title: 'Other Film', ids: { imdb: 'tt0000002' } }, expires_at: '2026-01-01T20:00:00.000Z' }
+  });
+  const config = configFor('conflict-user', {
+    ratings: [],
+    markAsWatched: false,
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    enableCheckin: true
+  });
+  const cancelTitle = async () => (await getStreams(config, 'movie', 'tt0133093'))
+    .find(stream => new URL(stream.url).searchParams.get('action') === 'cancel_checkin').title;
+  const click = action => fetch(`${env.baseUrl}/configured/${config}/trakt-action?action=${action}&type=movie&imdbId=tt0133093&title=Matrix`, { redirect: 'manual' });
+
+  assert.doesNotMatch(await cancelTitle(), /⚠️/);
+
+  await click('checkin');
+  await waitFor(() => env.trakt.find('POST', '/checkin').length === 1);
+  let title;
+  for (let attempt = 0; attempt < 40 && !title?.includes('⚠️'); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 25));
+    title = await cancelTitle();
+  }
+  assert.equal(title, '🛑 Cancel Current Check-in\n📍 "Other Film" (until 20:00 UTC)\n⚠️ Trakt turned down your check-in to "Matrix" while this one runs\n↩️ Frees Trakt up for a new check-in');
+
+  env.trakt.on('DELETE', '/checkin', { status: 204 });
+  await click('cancel_checkin');
+  await waitFor(() => env.trakt.find('DELETE', '/checkin').length === 1);
+  for (let attempt = 0; attempt < 40 && title.includes('⚠️'); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 25));
+    title = await cancelTitle();
+  }
+  assert.doesNotMatch(title, /⚠️/);
+});
+
+test('TMDB titles are used when a key is configured', async () => {
+  env.tmdb.on('GET', '/3/find/tt0133093', {
+    body: { movie_results: [{ title: 'The Matrix', release_date: '1999-03-31' }], tv_results: [] }
+  });
+  const config = configFor('tmdb-user', { tmdbKey: 'tmdb-key', ratings: [], markAsUnwatched: false, enableWatchlist: false, enableRemoveFromWatchlist: false });
+
+  const [stream] = await getStreams(config, 'movie', 'tt0133093');
+  assert.match(stream.title, /The Matrix/);
+  assert.equal(env.tmdb.find('GET', '/3/find/tt0133093')[0].query.api_key, 'tmdb-key');
+});
+
+test('the media emoji comes from TMDB genres, or Trakt genres without a TMDB key', async () => {
+  env.tmdb.on('GET', '/3/find/tt0409591', {
+    body: { movie_results: [], tv_results: [{ name: 'Naruto', first_air_date: '2002-10-03', genre_ids: [16, 10759], origin_country: ['JP'] }] }
+  });
+  const watchlistOnly = { ratings: [], markAsWatched: false, markAsUnwatched: false, enableSeasonWatched: false, enableRemoveFromWatchlist: false };
+
+  const [anime] = await getStreams(configFor('tmdb-genres-user', { tmdbKey: 'tmdb-key', ...watchlistOnly }), 'series', 'tt0409591');
+  assert.equal(anime.title.split('\n')[1], '🐉 "Naruto" (2002)');
+
+  // The Trakt lookup doesn't hold up the response; later streams pick it up
+  env.trakt.on('GET', '/movies/tt0081505', { body: { title: 'The Shining', genres: ['drama', 'horror'] } });
+  await getStreams(configFor('trakt-genres-user', watchlistOnly), 'movie', 'tt0081505');
+  await waitForGenres('/movies/tt0081505');
+  const [horror] = await getStreams(configFor('trakt-genres-user', watchlistOnly), 'movie', 'tt0081505');
+  assert.match(horror.title.split('\n')[1], /^👻 /);
+  assert.equal(env.trakt.find('GET', '/movies/tt0081505')[0].query.extended, 'full');
+
+  // A user's own genre map wins; genres are cached, so Trakt isn't asked again
+  const [custom] = await getStreams(configFor('genre-map-user', { genreEmoji: { horror: '🩸' }, ...watchlistOnly }), 'movie', 'tt0081505');
+  assert.match(custom.title.split('\n')[1], /^🩸 /);
+  assert.equal(env.trakt.find('GET', '/movies/tt0081505').length, 1);
+});
+
+test('items Trakt has no genres for are not looked up on every stream request', async () => {
+  env.trakt.on('GET', '/movies/tt0000404', { status: 404, body: {} });
+  const config = configFor('genre-miss-user', { ratings: [], markAsWatched: false, markAsUnwatched: false, enableRemoveFromWatchlist: false });
+
+  await getStreams(config, 'movie', 'tt0000404');
+  await waitForGenres('/movies/tt0000404');
+  const [stream] = await getStreams(config, 'movie', 'tt0000404');
+  assert.match(stream.title.split('\n')[1], /^🎬 /);
+  assert.equal(env.trakt.find('GET', '/movies/tt0000404').length, 1);
+});
+
+test('episode titles carry the episode name and premiere or finale flag', async () => {
+  env.tmdb.on('GET', '/3/find/tt0944947', {
+    body: { movie_results: [], tv_results: [{ id: 1399, name: 'Game of Thrones', first_air_date: '2011-04-17' }] }
+  });
+  env.tmdb.on('GET', '/3/tv/1399/season/2', {
+    body: { episodes: [{ episode_number: 10, name: 'Valar Morghulis', air_date: '2012-06-03', episode_type: 'finale' }] }
+  });
+  const rateOnly = { ratings: [8], ratingPattern: 6, markAsUnwatched: false, enableWatchlist: false, enableRemoveFromWatchlist: false, showWatchedStatus: false, showLastAction: false };
+
+  const streams = await getStreams(configFor('episode-info-user', { tmdbKey: 'tmdb-key', ...rateOnly }), 'series', 'tt0944947:2:10');
+  const titles = streams.map(stream => stream.title.split('\n')[0]);
+  assert.ok(titles.includes("✅ Mark S2E10 'Valar Morghulis' as Watched"));
+  assert.ok(titles.includes("📺 Game of Thrones S2E10 'Valar Morghulis' 🔚"));
+
+  // Without TMDB the episode comes from Trakt, which also knows series finales
+  env.trakt.on('GET', '/shows/tt0903747/seasons/5/episodes/16', {
+    body: { title: 'Felina', first_aired: '2013-09-30T01:00:00.000Z', episode_type: 'series_finale' }
+  });
+  const [rating] = (await getStreams(configFor('episode-info-trakt', { ...rateOnly, ratingPattern: 1 }), 'series', 'tt0903747:5:16'))
+    .filter(stream => stream.title.startsWith('⭐'));
+  assert.equal(rating.title.split('\n')[1], "🎬 IMDb: tt0903747 S5E16 'Felina' — Series Finale");
+  assert.equal(env.trakt.find('GET', '/shows/tt0903747/seasons/5/episodes/16')[0].query.extended, 'full');
+});
+
+test('watchlist catalog pages stay full when Trakt items lack an IMDb id', async () => {
+  const movie = number => ({ movie: { title: `Movie ${number}`, year: 2000, ids: { imdb: number % 10 === 0 && number < 100 ? null : `tt${String(number).padStart(7, '0')}` } } });
+  const pages = {
+    1: Array.from({ length: 100 }, (_, index) => movie(index)),
+    2: Array.from({ length: 100 }, (_, index) => movie(100 + index)),
+    3: Array.from({ length: 5 }, (_, index) => movie(200 + index))
+  };
+  env.trakt.on('GET', /^\/sync\/watchlist\/movies\//, request => ({ body: pages[request.query.page] || [] }));
+  const config = configFor('catalog-pages-user');
+
+  const first = (await (await fetch(`${env.baseUrl}/configured/${config}/catalog/movie/trakt-watchlist-movies.json`)).json()).metas;
+  const second = (await (await fetch(`${env.baseUrl}/configured/${config}/catalog/movie/trakt-watchlist-movies/skip=${first.length}.json`)).json()).metas;
+
+  assert.equal(first.length, 100);
+  assert.equal(second.length, 95);
+  assert.equal(new Set([...first, ...second].map(meta => meta.id)).size, 195);
+  assert.deepEqual(env.trakt.requests.filter(request => request.path.startsWith('/sync/watchlist')).map(request => request.query.page), ['1', '2', '3']);
+});
+
+test('concurrent watchlist catalog requests share one fetch', async () => {
+  const movie = number => ({ movie: { title: `Movie ${number}`, year: 2000, ids: { imdb: `tt${String(number).padStart(7, '0')}` } } });
+  env.trakt.on('GET', /^\/sync\/watchlist\/movies\//, request => ({
+    body: request.query.page === '1' ? Array.from({ length: 30 }, (_, index) => movie(index)) : []
+  }));
+  const config = configFor('catalog-concurrent-user');
+  const url = `${env.baseUrl}/configured/${config}/catalog/movie/trakt-watchlist-movies.json`;
+
+  const [first, second] = await Promise.all([url, url].map(async catalogUrl => (await (await fetch(catalogUrl)).json()).metas));
+
+  assert.equal(first.length, 30);
+  assert.deepEqual(second.map(meta => meta.id), first.map(meta => meta.id));
+  assert.equal(env.trakt.requests.filter(request => request.path.startsWith('/sync/watchlist')).length, 1);
+});
+
+test('a watchlist catalog page that fails leaves nothing half-cached', async () => {
+  const movie = number => ({ movie: { title: `Movie ${number}`, year: 2000, ids: { imdb: number % 2 ? null : `tt${String(number).padStart(7, '0')}` } } });
+  let failPageTwo = true;
+  env.trakt.on('GET', /^\/sync\/watchlist\/movies\//, request => {
+    if (request.query.page === '2' && failPageTwo) {
+      failPageTwo = false;
+      return { status: 500, body: {} };
+    }
+    return { body: request.query.page === '3' ? [] : Array.from({ length: 100 }, (_, index) => movie(index + (request.query.page - 1) * 100)) };
+  });
+  const config = configFor('catalog-failure-user');
+  const url = `${env.baseUrl}/configured/${config}/catalog/movie/trakt-watchlist-movies.json`;
+
+  assert.deepEqual((await (await fetch(url)).json()).metas, []);
+  const metas = (await (await fetch(url)).json()).metas;
+
+  assert.equal(metas.length, 100);
+  assert.equal(new Set(metas.map(meta => meta.id)).size, 100);
+  // The retry starts again from page 1 instead of reusing the half-finished fetch
+  assert.deepEqual(env.trakt.requests.filter(request => request.path.startsWith('/sync/watchlist')).map(request => request.query.page), ['1', '2', '1', '2']);
+});
+
+test('configs without a token get no streams', async () => {
+  const config = encodeTestConfig({ clientId: 'test-client', username: 'no-token' });
+  assert.deepEqual(await getStreams(config, 'movie', 'tt0133093'), []);
+});
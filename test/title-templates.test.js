@@ -0,0 +1,126 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, encodeTestConfig } from './helpers/test-app.js';
+
+let env;
+
+before(async () => {
+  env = await startTestApp();
+});
+
+after(async () => {
+  await env.close();
+});
+
+beforeEach(() => {
+  env.trakt.reset();
+});
+
+async function preview(body) {
+  const response = await fetch(`${env.baseUrl}/templates/preview`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, ...(await response.json()) };
+}
+
+async function getStreams(config, type, id) {
+  const response = await fetch(`${env.baseUrl}/configured/${config}/stream/${type}/${id}.json`);
+  return (await response.json()).streams;
+}
+
+test('conditionals keep or drop their text and empty lines disappear', async () => {
+  const template = '{title}{?year} ({year}){/year}{!year} (no year){/year}\\n{?SxxEyy}{SxxEyy}{/SxxEyy}\n{?isMovie}🎬{/isMovie}{!isMovie}📺 {scope}{/isMovie}';
+
+  const movie = await preview({ template, action: 'mark_watched', sample: 'movie' });
+  assert.equal(movie.title, 'The Matrix (1999)\n🎬');
+
+  const episode = await preview({ template, action: 'mark_watched', sample: 'episode' });
+  assert.equal(episode.title, 'Breaking Bad (2008)\nS01E02\n📺');
+
+  const season = await preview({ template, action: 'rate_only', sample: 'season', config: { language: 'de' } });
+  assert.equal(season.title, 'Breaking Bad (2008)\n📺 Staffel 2');
+});
+
+test('the built-in presets reproduce the rating patterns', async () => {
+  const { presets } = await (await fetch(`${env.baseUrl}/templates`)).json();
+
+  const compact = await preview({ template: presets.compact.templates.rate_only, action: 'rate_only', sample: 'episode' });
+  assert.equal(compact.title, await env.server.formatRatingTitle(0, 'stars', 8, 'Breaking Bad', 'series', 1, 2, '2008', null, null, false, { name: 'Cat\'s in the Bag...' }));
+
+  const vertical = await preview({ template: presets.vertical.templates.remove_rating, action: 'remove_rating', sample: 'movie' });
+  assert.equal(vertical.title, await env.server.formatRatingTitle(1, 'stars', 8, 'The Matrix', 'movie', null, null, '1999', null, null, true));
+});
+
+test('presets come in the configured language', async () => {
+  const { presets } = await (await fetch(`${env.baseUrl}/templates?language=de`)).json();
+  assert.equal(presets.vertical.name, 'Emoji zuerst, vertikal (Muster 1)');
+
+  const config = { language: 'de' };
+  const vertical = await preview({ template: presets.vertical.templates.rate_only, action: 'rate_only', sample: 'movie', config });
+  assert.equal(vertical.title, await env.server.formatRatingTitle(1, 'stars', 8, 'The Matrix', 'movie', null, null, '1999', config));
+  assert.match(vertical.title, /^⭐ Bewertung: /);
+
+  const english = await (await fetch(`${env.baseUrl}/templates?language=xx`)).json();
+  assert.equal(english.presets.vertical.name, 'Emoji-first vertical (pattern 1)');
+});
+
+test('broken templates are rejected with every problem listed', async () => {
+  const result = await preview({ template: '{?year}{title}{/title} {plays}', action: 'rate_only' });
+  assert.equal(result.status, 400);
+  assert.deepEqual(result.errors, [
+    '{/title} does not close an open {?title} or {!title}',
+    'Unknown placeholder {plays}',
+    '{?year} is never closed with {/year}'
+  ]);
+
+  assert.equal((await preview({ template: '{title}', action: 'cancel_checkin' })).status, 400);
+});
+
+test('malformed preview requests fall back to defaults instead of failing', async () => {
+  assert.equal((await preview({ template: '{title}', config: null })).title, 'The Matrix');
+  assert.equal((await preview({ template: '{title}', config: 'de', sample: '__proto__' })).title, 'The Matrix');
+
+  const response = await fetch(`${env.baseUrl}/templates/preview`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '[]'
+  });
+  assert.equal(response.status, 400);
+  assert.deepEqual((await response.json()).errors, ['Template is empty']);
+});
+
+test('stream titles use the template for their action with watch count and current rating', async () => {
+  env.trakt.on('GET', '/sync/watched/movies', {
+    body: [{ plays: 3, last_watched_at: '2026-01-01T00:00:00.000Z', movie: { ids: { imdb: 'tt0133093' } } }]
+  });
+  env.trakt.on('GET', '/sync/ratings/movies', {
+    body: [{ rating: 7, rated_at: '2026-01-01T00:00:00.000Z', movie: { ids: { imdb: 'tt0133093' } } }]
+  });
+  const config = encodeTestConfig({
+    clientId: 'test-client',
+    access_token: 'token-template-user',
+    username: 'template-user',
+    ratings: [9],
+    showWatchedStatus: false,
+    showLastAction: false,
+    markAsUnwatched: false,
+    enableWatchlist: false,
+    enableRemoveFromWatchlist: false,
+    streamOrder: ['watched', 'rating', 'current_rating'],
+    titleTemplates: {
+      mark_watched: '✅ {title}{?watchCount} · seen {watchCount}×{/watchCount}',
+      rate_only: '{rating}{?currentRating} (was {currentRating}){/currentRating}',
+      remove_rating: '{title} {bogus}'
+    }
+  });
+
+  const streams = await getStreams(config, 'movie', 'tt0133093');
+  const titles = streams.map(stream => stream.title);
+
+  assert.equal(titles[0], '✅ IMDb: tt0133093 · seen 3×');
+  assert.equal(titles[1], '9/10 (was 7/10)');
+  // The broken remove_rating template falls back to the built-in title
+  assert.match(titles[2], /🗑️ Click to remove rating$/);
+});
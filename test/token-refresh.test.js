@@ -0,0 +1,220 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { readFile, rm } from 'fs/promises';
+import { startTestApp, encodeTestConfig } from './helpers/test-app.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const storageFile = join(tmpdir(), `trakt-addon-test-${process.pid}.json`);
+
+let env;
+
+before(async () => {
+  env = await startTestApp({ STORAGE_BACKEND: 'file', STORAGE_FILE: storageFile });
+});
+
+after(async () => {
+  await env.close();
+  await rm(storageFile, { force: true });
+});
+
+beforeEach(() => {
+  env.trakt.reset();
+  env.upstash.reset();
+  env.trakt.on('POST', '/oauth/token', {
+    body: { access_token: 'refreshed-token', refresh_token: 'refreshed-refresh', expires_in: 7776000 }
+  });
+  env.trakt.on('GET', '/users/settings', { body: { user: { username: 'tester' } } });
+});
+
+function storedTokens(accessToken, daysLeft) {
+  return JSON.stringify({
+    access_token: accessToken,
+    refresh_token: 'stored-refresh-token',
+    expires_in: 7776000,
+    expires_at: Date.now() + daysLeft * DAY
+  });
+}
+
+function upstashConfig(configId, extra = {}) {
+  return encodeTestConfig({
+    clientId: 'test-client',
+    storage: 'upstash',
+    upstashUrl: env.upstash.url,
+    upstashToken: 'upstash-token',
+    configId,
+    ...extra
+  });
+}
+
+test('URL storage uses the tokens in the config without refreshing them', async () => {
+  const config = encodeTestConfig({ clientId: 'test-client', access_token: 'url-token', refresh_token: 'url-refresh-token' });
+
+  const userConfig = await env.server.getUserConfigWithTokens(config);
+  assert.equal(userConfig.access_token, 'url-token');
+  // Only the identity check that keys this user's caches and log
+  assert.deepEqual(env.trakt.requests.map(request => request.path), ['/users/settings']);
+});
+
+test('URL storage without a token is rejected', async () => {
+  const config = encodeTestConfig({ clientId: 'test-client' });
+  assert.equal(await env.server.getUserConfigWithTokens(config), null);
+});
+
+test('stored tokens with plenty of time left are used as is', async () => {
+  env.upstash.store.set('trakt_tokens:fresh', storedTokens('stored-token', 60));
+
+  const userConfig = await env.server.getUserConfigWithTokens(upstashConfig('fresh'));
+  assert.equal(userConfig.access_token, 'stored-token');
+  assert.equal(env.trakt.find('POST', '/oauth/token').length, 0);
+  assert.equal(env.upstash.requests[0].headers.authorization, 'Bearer upstash-token');
+});
+
+test('stored tokens close to expiry are refreshed and written back', async () => {
+  env.upstash.store.set('trakt_tokens:expiring', storedTokens('old-token', 10));
+
+  const userConfig = await env.server.getUserConfigWithTokens(upstashConfig('expiring'));
+  assert.equal(userConfig.access_token, 'refreshed-token');
+
+  const [refresh] = env.trakt.find('POST', '/oauth/token');
+  assert.equal(refresh.body.grant_type, 'refresh_token');
+  assert.equal(refresh.body.refresh_token, 'stored-refresh-token');
+
+  const saved = JSON.parse(env.upstash.store.get('trakt_tokens:expiring'));
+  assert.equal(saved.access_token, 'refreshed-token');
+  assert.equal(saved.username, 'tester');
+});
+
+test('a failed refresh keeps the existing stored token', async () => {
+  env.trakt.on('POST', '/oauth/token', { status: 401, body: { error: 'invalid_grant' } });
+  env.upstash.store.set('trakt_tokens:refresh-fails', storedTokens('still-valid-token', 5));
+
+  const userConfig = await env.server.getUserConfigWithTokens(upstashConfig('refresh-fails'));
+  assert.equal(userConfig.access_token, 'still-valid-token');
+});
+
+test('missing stored tokens fall back to the tokens in the config', async () => {
+  const withFallback = await env.server.getUserConfigWithTokens(upstashConfig('missing', { access_token: 'config-token' }));
+  assert.equal(withFallback.access_token, 'config-token');
+
+  assert.equal(await env.server.getUserConfigWithTokens(upstashConfig('missing-no-fallback')), null);
+});
+
+test('an unreachable Upstash falls back to the tokens in the config', async () => {
+  env.upstash.on('GET', /^\/get\//, { status: 500, body: { error: 'down' } });
+
+  const userConfig = await env.server.getUserConfigWithTokens(upstashConfig('upstash-down', { access_token: 'config-token' }));
+  assert.equal(userConfig.access_token, 'config-token');
+});
+
+test('server storage reads tokens from the configured backend', async () => {
+  const exchange = await fetch(`${env.baseUrl}/oauth/exchange`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code: 'auth-code', clientId: 'test-client' })
+  }).then(response => response.json());
+
+  assert.equal(exchange.storage, 'server');
+  assert.equal(exchange.backend, 'file');
+
+  const config = encodeTestConfig({ clientId: 'test-client', storage: 'server', configId: exchange.configId });
+  const userConfig = await env.server.getUserConfigWithTokens(config);
+  assert.equal(userConfig.access_token, 'refreshed-token');
+
+  const file = JSON.parse(await readFile(storageFile, 'utf8'));
+  assert.ok(file[`trakt_tokens:${exchange.configId}`]);
+});
+
+test('Upstash storage without credentials falls back to server storage and says so', async () => {
+  const exchange = await fetch(`${env.baseUrl}/oauth/exchange`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code: 'auth-code', clientId: 'test-client' })
+  }).then(response => response.json());
+
+  const logged = [];
+  const originalError = console.error;
+  console.error = (...args) => logged.push(args.join(' '));
+  try {
+    const config = encodeTestConfig({ clientId: 'test-client', storage: 'upstash', configId: exchange.configId });
+    const userConfig = await env.server.getUserConfigWithTokens(config);
+    assert.equal(userConfig.access_token, 'refreshed-token');
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.equal(env.upstash.requests.length, 0);
+  assert.ok(logged.some(line => line.includes('[STORAGE]') && line.includes('server storage (file)')));
+});
+
+test('/oauth/refresh stores the new tokens in the Upstash named by the config', async () => {
+  env.upstash.store.set('trakt_tokens:manual-refresh', JSON.stringify({ access_token: 'old-token', refresh_token: 'stored-refresh-token' }));
+  const config = encodeTestConfig({
+    clientId: 'test-client',
+    storage: 'upstash',
+    upstashUrl: env.upstash.url,
+    upstashToken: 'upstash-token',
+    configId: 'manual-refresh'
+  });
+  const response = await fetch(`${env.baseUrl}/oauth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken: 'stored-refresh-token', clientId: 'test-client', config })
+  });
+  const data = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(data.success, true);
+  assert.equal(data.username, 'tester');
+  assert.equal(JSON.parse(env.upstash.store.get('trakt_tokens:manual-refresh')).access_token, 'refreshed-token');
+});
+
+test('/oauth/refresh ignores storage named in the body', async () => {
+  env.upstash.store.set('trakt_tokens:victim-config', JSON.stringify({ access_token: 'victim-token', refresh_token: 'victim-refresh' }));
+  const response = await fetch(`${env.baseUrl}/oauth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      refreshToken: 'attacker-refresh-token',
+      clientId: 'test-client',
+      upstashUrl: env.upstash.url,
+      upstashToken: 'upstash-token',
+      configId: 'victim-config',
+      storage: 'upstash'
+    })
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(JSON.parse(env.upstash.store.get('trakt_tokens:victim-config')).access_token, 'victim-token');
+  assert.equal(env.upstash.requests.length, 0);
+});
+
+test('/oauth/refresh refuses a refresh token that is not the one stored for the config', async () => {
+  env.upstash.store.set('trakt_tokens:victim-config', JSON.stringify({ access_token: 'victim-token', refresh_token: 'victim-refresh' }));
+  const config = encodeTestConfig({
+    clientId: 'test-client',
+    storage: 'upstash',
+    upstashUrl: env.upstash.url,
+    upstashToken: 'upstash-token',
+    configId: 'victim-config'
+  });
+  const response = await fetch(`${env.baseUrl}/oauth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken: 'attacker-refresh-token', clientId: 'test-client', config })
+  });
+
+  assert.equal(response.status, 403);
+  assert.equal(JSON.parse(env.upstash.store.get('trakt_tokens:victim-config')).access_token, 'victim-token');
+  assert.equal(env.trakt.find('POST', '/oauth/token').length, 0);
+});
+
+test('/oauth/refresh requires a refresh token and client id', async () => {
+  const response = await fetch(`${env.baseUrl}/oauth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ clientId: 'test-client' })
+  });
+  assert.equal(response.status, 400);
+});
@@ -0,0 +1,345 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './helpers/test-app.js';
+
+let env;
+
+const userConfig = {
+  clientId: 'test-client',
+  access_token: 'test-token',
+  username: 'tester'
+};
+
+before(async () => {
+  env = await startTestApp();
+});
+
+after(async () => {
+  await env.close();
+});
+
+beforeEach(() => {
+  env.trakt.reset();
+});
+
+function run(action, type, imdbId, options = {}) {
+  const { rating = null, season = null, episode = null, config = userConfig, listId, watchedAt } = options;
+  return env.server.makeTraktRequest(action, type, imdbId, 'Test Title', config, rating, season, episode, { listId, watchedAt });
+}
+
+function writes() {
+  return env.trakt.requests.filter(request => request.method !== 'GET');
+}
+
+test('every request is authenticated with the user token and client id', async () => {
+  await run('mark_watched', 'movie', 'tt0000001');
+  const [request] = writes();
+  assert.equal(request.headers.authorization, 'Bearer test-token');
+  assert.equal(request.headers['trakt-api-key'], 'test-client');
+  assert.equal(request.headers['trakt-api-version'], '2');
+});
+
+test('mark_watched adds a movie or an episode to history', async () => {
+  assert.equal((await run('mark_watched', 'movie', 'tt0000001')).success, true);
+  assert.equal((await run('mark_watched', 'series', 'tt0000002', { season: 1, episode: 3 })).success, true);
+
+  const [movie, episode] = writes();
+  assert.equal(movie.path, '/sync/history');
+  assert.deepEqual(movie.body.movies[0].ids, { imdb: 'tt0000001' });
+  assert.equal(episode.path, '/sync/history');
+  assert.deepEqual(episode.body.shows[0].ids, { imdb: 'tt0000002' });
+  assert.equal(episode.body.shows[0].seasons[0].number, 1);
+  assert.equal(episode.body.shows[0].seasons[0].episodes[0].number, 3);
+});
+
+test('mark_unwatched removes from history', async () => {
+  await run('mark_unwatched', 'movie', 'tt0000001');
+  await run('mark_unwatched', 'series', 'tt0000002', { season: 2, episode: 4 });
+
+  const [movie, episode] = writes();
+  assert.equal(movie.path, '/sync/history/remove');
+  assert.deepEqual(movie.body.movies[0].ids, { imdb: 'tt0000001' });
+  assert.equal(episode.path, '/sync/history/remove');
+  assert.equal(episode.body.shows[0].seasons[0].episodes[0].number, 4);
+});
+
+test('mark_season_watched and mark_series_watched send the whole season or show', async () => {
+  await run('mark_season_watched', 'series', 'tt0000002', { season: 2 });
+  await run('mark_series_watched', 'series', 'tt0000002');
+
+  const [season, series] = writes();
+  assert.equal(season.path, '/sync/history');
+  assert.equal(season.body.shows[0].seasons[0].number, 2);
+  assert.equal(season.body.shows[0].seasons[0].episodes, undefined);
+  assert.equal(series.path, '/sync/history');
+  assert.deepEqual(series.body.shows[0], { ids: { imdb: 'tt0000002' } });
+});
+
+test('rate_only rates movies, episodes and shows', async () => {
+  await run('rate_only', 'movie', 'tt0000001', { rating: 8 });
+  await run('rate_only', 'series', 'tt0000002', { rating: 7, season: 1, episode: 1 });
+  await run('rate_only', 'series', 'tt0000002', { rating: 9 });
+
+  const [movie, episode, show] = writes();
+  assert.equal(movie.path, '/sync/ratings');
+  assert.equal(movie.body.movies[0].rating, 8);
+  assert.equal(episode.body.shows[0].seasons[0].episodes[0].rating, 7);
+  assert.equal(show.body.shows[0].rating, 9);
+});
+
+test('rate_only marks as played first when markAsPlayedOnRate and keepSingleWatchedState are set', async () => {
+  const config = { ...userConfig, markAsPlayedOnRate: true, keepSingleWatchedState: true };
+  await run('rate_only', 'movie', 'tt0000001', { rating: 8, config });
+
+  const paths = writes().map(request => request.path);
+  // Keep single state clears earlier plays before the fresh one
+  assert.deepEqual(paths, ['/sync/history/remove', '/sync/history', '/sync/ratings']);
+});
+
+test('rate_only adds a play with the rating watched time when only markAsPlayedOnRate is set', async () => {
+  const config = { ...userConfig, markAsPlayedOnRate: true, rateWatchedAt: 'unknown' };
+  const movie = await run('rate_only', 'movie', 'tt0000001', { rating: 8, config });
+  const episode = await run('rate_only', 'series', 'tt0000002', { rating: 7, season: 1, episode: 2, config });
+
+  const [moviePlay, movieRating, episodePlay, episodeRating] = writes();
+  assert.equal(moviePlay.path, '/sync/history');
+  assert.equal(moviePlay.body.movies[0].watched_at, 'released');
+  assert.equal(movieRating.path, '/sync/ratings');
+  assert.equal(episodePlay.body.shows[0].seasons[0].episodes[0].watched_at, 'released');
+  assert.equal(episodeRating.path, '/sync/ratings');
+  assert.equal(movie.message, 'Rated "Test Title" 8/10 (watched, date unknown)');
+  assert.equal(episode.message, 'Rated S1E2 of "Test Title" 7/10 (watched, date unknown)');
+});
+
+test('rate_only only reports a play that Trakt accepted', async () => {
+  env.trakt.on('POST', '/sync/history', { status: 500, body: {} });
+  const config = { ...userConfig, markAsPlayedOnRate: true, rateWatchedAt: 'release' };
+  const movie = await run('rate_only', 'movie', 'tt0000009', { rating: 8, config });
+  const show = await run('rate_only', 'series', 'tt0000002', { rating: 9, config });
+
+  assert.equal(movie.message, 'Rated "Test Title" 8/10');
+  // Whole shows are rated without a play, so no release date is looked up either
+  assert.equal(show.message, 'Rated series "Test Title" 9/10');
+  assert.equal(env.trakt.find('GET', '/shows/tt0000002').length, 0);
+});
+
+test('remove_rating removes movie, episode and show ratings', async () => {
+  await run('remove_rating', 'movie', 'tt0000001');
+  await run('remove_rating', 'series', 'tt0000002', { season: 1, episode: 1 });
+  await run('remove_rating', 'series', 'tt0000002');
+
+  const [movie, episode, show] = writes();
+  assert.equal(movie.path, '/sync/ratings/remove');
+  assert.deepEqual(movie.body.movies[0].ids, { imdb: 'tt0000001' });
+  assert.equal(episode.body.shows[0].seasons[0].episodes[0].number, 1);
+  assert.deepEqual(show.body.shows[0], { ids: { imdb: 'tt0000002' } });
+});
+
+test('season ratings rate and remove the season itself', async () => {
+  const config = { ...userConfig, markAsPlayedOnRate: true };
+  const rated = await run('rate_only', 'series', 'tt0000002', { rating: 4, season: 2, config });
+  await run('remove_rating', 'series', 'tt0000002', { season: 2 });
+
+  const [rate, remove] = writes();
+  assert.equal(writes().length, 2);
+  assert.equal(rate.path, '/sync/ratings');
+  assert.deepEqual(rate.body.shows[0].seasons, [{ number: 2, rating: 4 }]);
+  assert.equal(rated.message, 'Rated Season 2 of "Test Title" 4/10');
+  assert.equal(remove.path, '/sync/ratings/remove');
+  assert.deepEqual(remove.body.shows[0].seasons, [{ number: 2 }]);
+});
+
+test('specials (season 0) are marked and rated as episodes, not the show', async () => {
+  await run('mark_watched', 'series', 'tt0000002', { season: 0, episode: 3 });
+  await run('rate_only', 'series', 'tt0000002', { rating: 6, season: 0, episode: 3 });
+
+  const [mark, rate] = writes();
+  assert.equal(mark.body.shows[0].seasons[0].number, 0);
+  assert.equal(mark.body.shows[0].seasons[0].episodes[0].number, 3);
+  assert.equal(rate.body.shows[0].seasons[0].number, 0);
+  assert.equal(rate.body.shows[0].seasons[0].episodes[0].rating, 6);
+});
+
+test('watchlist add and remove', async () => {
+  await run('add_to_watchlist', 'movie', 'tt0000001');
+  await run('add_to_watchlist', 'series', 'tt0000002');
+  await run('remove_from_watchlist', 'movie', 'tt0000001');
+  await run('remove_from_watchlist', 'series', 'tt0000002');
+
+  assert.deepEqual(writes().map(request => [request.path, Object.keys(request.body)[0]]), [
+    ['/sync/watchlist', 'movies'],
+    ['/sync/watchlist', 'shows'],
+    ['/sync/watchlist/remove', 'movies'],
+    ['/sync/watchlist/remove', 'shows']
+  ]);
+});
+
+test('add_to_collection attaches the configured metadata preset', async () => {
+  const config = { ...userConfig, collectionPreset: 'uhd_bluray' };
+  const result = await run('add_to_collection', 'movie', 'tt0000001', { config });
+  await run('add_to_collection', 'series', 'tt0000002', { season: 1, episode: 2, config });
+
+  assert.match(result.message, /4K UHD Blu-ray/);
+
+  const [movie, episode] = writes();
+  assert.equal(movie.path, '/sync/collection');
+  assert.deepEqual(movie.body.movies[0], {
+    ids: { imdb: 'tt0000001' },
+    media_type: 'bluray',
+    resolution: 'uhd_4k',
+    hdr: 'dolby_vision',
+    audio: 'dolby_atmos',
+    audio_channels: '7.1'
+  });
+  assert.equal(episode.body.shows[0].seasons[0].episodes[0].number, 2);
+  assert.equal(episode.body.shows[0].seasons[0].episodes[0].resolution, 'uhd_4k');
+});
+
+test('remove_from_collection sends the bare item', async () => {
+  await run('remove_from_collection', 'series', 'tt0000002', { config: { ...userConfig, collectionPreset: 'dvd' } });
+
+  const [request] = writes();
+  assert.equal(request.path, '/sync/collection/remove');
+  assert.deepEqual(request.body, { shows: [{ ids: { imdb: 'tt0000002' } }] });
+});
+
+test('plain marks leave watched_at to Trakt', async () => {
+  await run('mark_watched', 'movie', 'tt0000001');
+  const [request] = writes();
+  assert.equal(request.body.movies[0].watched_at, undefined);
+});
+
+test('release variant backdates to the looked-up release or air date', async () => {
+  env.trakt.on('GET', '/movies/tt0000001', { body: { released: '1999-03-31' } });
+  env.trakt.on('GET', '/shows/tt0000002/seasons/1/episodes/2', { body: { first_aired: '2008-01-27T03:00:00.000Z' } });
+
+  const result = await run('mark_watched', 'movie', 'tt0000001', { watchedAt: 'release' });
+  await run('mark_watched', 'series', 'tt0000002', { season: 1, episode: 2, watchedAt: 'release' });
+  await run('mark_season_watched', 'series', 'tt0000002', { season: 1, watchedAt: 'release' });
+
+  assert.equal(result.message, 'Marked "Test Title" as watched (watched at release date)');
+  const [movie, episode, season] = writes();
+  assert.equal(movie.body.movies[0].watched_at, '1999-03-31T12:00:00.000Z');
+  assert.equal(episode.body.shows[0].seasons[0].episodes[0].watched_at, '2008-01-27T03:00:00.000Z');
+  // Whole seasons let Trakt pick each episode's own air date
+  assert.equal(season.body.shows[0].seasons[0].watched_at, 'released');
+});
+
+test('unknown and yesterday-evening variants', async () => {
+  await run('mark_series_watched', 'series', 'tt0000002', { watchedAt: 'unknown' });
+  // UTC+2 browsers report -120
+  await run('mark_watched', 'movie', 'tt0000001', { watchedAt: 'yesterday_evening', config: { ...userConfig, timezoneOffset: -120 } });
+
+  await run('mark_watched', 'movie', 'tt0000003', { watchedAt: 'unknown' });
+
+  const [series, movie, undated] = writes();
+  assert.equal(series.body.shows[0].watched_at, 'released');
+  // Never looks up a date, unlike the release variant
+  assert.equal(undated.body.movies[0].watched_at, 'released');
+  assert.equal(env.trakt.find('GET', '/movies/tt0000003').length, 0);
+
+  const watchedAt = new Date(movie.body.movies[0].watched_at);
+  assert.equal(watchedAt.getUTCHours(), 18);
+  const hoursAgo = (Date.now() - watchedAt.getTime()) / (60 * 60 * 1000);
+  assert.ok(hoursAgo > 0 && hoursAgo <= 48, `expected yesterday, got ${watchedAt.toISOString()}`);
+});
+
+test('mark_up_to_here catches up on earlier unwatched episodes, skipping specials', async () => {
+  env.trakt.on('GET', '/shows/tt0000002/seasons', {
+    body: [
+      { number: 0, episodes: [{ number: 1 }] },
+      { number: 1, episodes: [{ number: 1 }, { number: 2 }, { number: 3 }] },
+      { number: 2, episodes: [{ number: 1 }, { number: 2 }, { number: 3 }] },
+      { number: 3, episodes: [{ number: 1 }] }
+    ]
+  });
+  env.trakt.on('GET', '/sync/watched/shows', {
+    body: [{ show: { ids: { imdb: 'tt0000002' } }, plays: 1, seasons: [{ number: 1, episodes: [{ number: 2, plays: 1 }] }] }]
+  });
+  const config = { ...userConfig, access_token: 'catch-up-token' };
+
+  const result = await run('mark_up_to_here', 'series', 'tt0000002', { season: 2, episode: 2, config });
+
+  assert.equal(result.message, 'Marked 4 episodes of "Test Title" up to S2E2 as watched');
+  assert.equal(env.trakt.find('GET', '/shows/tt0000002/seasons')[0].query.extended, 'episodes');
+  const [request] = writes();
+  assert.equal(request.path, '/sync/history');
+  assert.deepEqual(request.body.shows[0].seasons, [
+    { number: 1, episodes: [{ number: 1 }, { number: 3 }] },
+    { number: 2, episodes: [{ number: 1 }, { number: 2 }] }
+  ]);
+});
+
+test('mark_up_to_here gives up, retryably, when the watched history is unavailable', async () => {
+  env.trakt.on('GET', '/shows/tt0000002/seasons', { body: [{ number: 1, episodes: [{ number: 1 }, { number: 2 }] }] });
+  env.trakt.on('GET', '/sync/watched/shows', { status: 429, body: {}, headers: { 'Retry-After': '1' } });
+  const config = { ...userConfig, access_token: 'catch-up-outage-token' };
+
+  const result = await run('mark_up_to_here', 'series', 'tt0000002', { season: 1, episode: 2, config });
+
+  assert.equal(result.success, false);
+  assert.equal(result.retryable, true);
+  assert.deepEqual(writes(), []);
+});
+
+test('list actions post to the chosen personal list', async () => {
+  const config = { ...userConfig, personalLists: [{ id: 42, name: 'Halloween' }] };
+  const added = await run('add_to_list', 'movie', 'tt0000001', { config, listId: '42' });
+  await run('remove_from_list', 'series', 'tt0000002', { season: 1, episode: 2, config, listId: '42' });
+
+  assert.equal(added.message, 'Added "Test Title" to list "Halloween"');
+
+  const [add, remove] = writes();
+  assert.equal(add.path, '/users/me/lists/42/items');
+  assert.deepEqual(add.body, { movies: [{ ids: { imdb: 'tt0000001' } }] });
+  assert.equal(remove.path, '/users/me/lists/42/items/remove');
+  assert.deepEqual(remove.body, { shows: [{ ids: { imdb: 'tt0000002' } }] });
+});
+
+test('list actions without a list id fail without calling Trakt', async () => {
+  const result = await run('add_to_list', 'movie', 'tt0000001');
+  assert.equal(result.success, false);
+  assert.equal(writes().length, 0);
+});
+
+test('checkin posts the item and cancel_checkin deletes it', async () => {
+  assert.equal((await run('checkin', 'movie', 'tt0000001')).success, true);
+  assert.equal((await run('checkin', 'series', 'tt0000002', { season: 1, episode: 2 })).success, true);
+  assert.equal((await run('cancel_checkin', 'movie', 'tt0000001')).success, true);
+
+  const [movie, episode, cancel] = writes();
+  assert.equal(movie.path, '/checkin');
+  assert.deepEqual(movie.body.movie.ids, { imdb: 'tt0000001' });
+  assert.equal(episode.path, '/checkin');
+  assert.equal(episode.body.episode.season, 1);
+  assert.equal(episode.body.episode.number, 2);
+  assert.equal(cancel.method, 'DELETE');
+  assert.equal(cancel.path, '/checkin');
+});
+
+test('checkin reports a conflict when another check-in is active', async () => {
+  env.trakt.on('POST', '/checkin', { status: 409, body: { expires_at: '2026-01-01T20:00:00.000Z' } });
+
+  const result = await run('checkin', 'movie', 'tt0000001');
+  assert.equal(result.success, false);
+  assert.equal(result.conflict, true);
+  assert.equal(result.expiresAt, '2026-01-01T20:00:00.000Z');
+});
+
+test('rate limits and outages are retryable, client errors are not', async () => {
+  env.trakt.on('POST', '/sync/ratings', { status: 429, headers: { 'Retry-After': '3' }, body: {} });
+  const limited = await run('rate_only', 'movie', 'tt0000001', { rating: 5 });
+  assert.equal(limited.success, false);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.retryable, true);
+  assert.equal(limited.retryAfterMs, 3000);
+
+  env.trakt.on('POST', '/sync/history', { status: 503, body: {} });
+  const outage = await run('mark_watched', 'movie', 'tt0000001');
+  assert.equal(outage.retryable, true);
+
+  env.trakt.on('POST', '/sync/watchlist', { status: 422, body: { error: 'bad item' } });
+  const rejected = await run('add_to_watchlist', 'movie', 'tt0000001');
+  assert.equal(rejected.retryable, false);
+  assert.match(rejected.error, /422/);
+});